@@ -0,0 +1,47 @@
+// api/audit/index.js
+//
+// GET /api/audit?entity=clients&entity_id=12  -> change history for one record, newest first
+// Also filters on action, user_id and created_at_from/_to; paginated like the list routes.
+import { getPool } from "../lib/db.js";
+import { authorize, STAFF } from "../lib/auth.js";
+import { sendList } from "../lib/list.js";
+
+const LIST_SPEC = {
+  table: "audit_log",
+  filters: {
+    entity: { type: "string" },
+    entity_id: { type: "int" },
+    action: { type: "string" },
+    user_id: { type: "int" },
+    created_at: { type: "date" },
+  },
+  sorts: { created_at: "created_at" },
+  defaultSort: "-id",
+  legacyOrder: "id DESC",
+  alwaysPaged: true,
+};
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Max-Age", "86400");
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const user = await authorize(req, res, { GET: STAFF });
+  if (!user) return;
+
+  if (req.method !== "GET") {
+    res.setHeader("Allow", ["GET"]);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  const db = getPool();
+
+  try {
+    return await sendList(db, req, res, LIST_SPEC);
+  } catch (err) {
+    console.error("Audit API Error:", err);
+    return res.status(500).json({ error: "Internal Server Error", detail: err.code || err.message });
+  }
+}
@@ -0,0 +1,46 @@
+// api/auth/login.js
+import { getPool } from "../lib/db.js";
+import { checkPassword, signToken } from "../lib/auth.js";
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Max-Age", "86400");
+  res.setHeader("Cache-Control", "no-store");
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  if (req.method !== "POST") {
+    res.setHeader("Allow", ["POST"]);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  const db = getPool();
+
+  try {
+    const { email, password } = req.body || {};
+    if (!email || !password) {
+      return res.status(400).json({ error: "Email and password required" });
+    }
+
+    const [[user]] = await db.query(
+      "SELECT id, email, name, role, active, password_hash FROM users WHERE email = ? LIMIT 1",
+      [String(email).trim().toLowerCase()]
+    );
+
+    // Same response for unknown email and wrong password
+    if (!user || !user.active || !(await checkPassword(password, user.password_hash))) {
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+
+    await db.query("UPDATE users SET last_login_at = NOW() WHERE id = ?", [user.id]);
+
+    return res.status(200).json({
+      token: signToken(user),
+      user: { id: user.id, email: user.email, name: user.name, role: user.role },
+    });
+  } catch (err) {
+    console.error("Login API Error:", err);
+    return res.status(500).json({ error: "Internal Server Error", detail: err.code || err.message });
+  }
+}
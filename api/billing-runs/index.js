@@ -0,0 +1,141 @@
+// api/billing-runs/index.js
+//
+// GET  /api/billing-runs              -> list past runs
+// GET  /api/billing-runs?month=YYYY-MM -> invoices raised for that month
+// POST /api/billing-runs { month }    -> raise one invoice per active recurring sale (idempotent;
+//                                       a re-run that raises nothing is not recorded and answers 200)
+import { getPool } from "../lib/db.js";
+import { authorize, STAFF } from "../lib/auth.js";
+import { chargesInMonth, lineAmounts } from "../lib/recurring.js";
+
+function parseMonth(month) {
+  if (typeof month !== "string" || !/^\d{4}-\d{2}$/.test(month)) return null;
+  const year = parseInt(month.slice(0, 4), 10);
+  const mon = parseInt(month.slice(5, 7), 10);
+  if (mon < 1 || mon > 12) return null;
+  return { year, mon };
+}
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Max-Age", "86400");
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const user = await authorize(req, res, { GET: STAFF, POST: STAFF });
+  if (!user) return;
+
+  const pool = getPool();
+
+  try {
+    if (req.method === "GET") {
+      const { month } = req.query || {};
+
+      if (month) {
+        const period = parseMonth(month);
+        if (!period) {
+          return res.status(400).json({ ok: false, error: "Invalid month (YYYY-MM)" });
+        }
+        const [invoices] = await pool.query(
+          `SELECT ri.*, c.company AS client_name
+           FROM recurring_invoices ri
+           LEFT JOIN clients c ON c.id = ri.client_id
+           WHERE ri.period_year = ? AND ri.period_month = ?
+           ORDER BY c.company ASC, ri.id ASC`,
+          [period.year, period.mon]
+        );
+        return res.status(200).json({ ok: true, invoices });
+      }
+
+      const [runs] = await pool.query(
+        "SELECT * FROM billing_runs ORDER BY period_year DESC, period_month DESC, id DESC"
+      );
+      return res.status(200).json({ ok: true, runs });
+    }
+
+    if (req.method === "POST") {
+      const period = parseMonth((req.body || {}).month);
+      if (!period) {
+        return res.status(400).json({ ok: false, error: "Invalid or missing month (YYYY-MM)" });
+      }
+      const monthDate = new Date(period.year, period.mon - 1, 1);
+
+      const conn = await pool.getConnection();
+      try {
+        const [recurring] = await conn.query("SELECT * FROM recurring_sales WHERE deleted_at IS NULL");
+        const due = recurring
+          .map((r) => ({ sale: r, charges: chargesInMonth(r, monthDate) }))
+          .filter((d) => d.charges > 0);
+
+        await conn.beginTransaction();
+        try {
+          const [run] = await conn.query(
+            `INSERT INTO billing_runs (period_year, period_month, run_by, created_at)
+             VALUES (?, ?, ?, NOW())`,
+            [period.year, period.mon, user.id]
+          );
+          const runId = run.insertId;
+
+          let created = 0;
+          let skipped = 0;
+          let totalAmount = 0;
+
+          for (const { sale: r, charges } of due) {
+            const { quantity, unit_amount, amount } = lineAmounts(r, charges);
+            // uniq_sale_period turns a second run for the same month into a no-op per sale
+            const [result] = await conn.query(
+              `INSERT IGNORE INTO recurring_invoices
+               (run_id, recurring_sale_id, client_id, period_year, period_month, description, quantity, unit_amount, amount, created_at)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+              [
+                runId, r.id, r.client_id || null, period.year, period.mon,
+                r.description || r.service_name || r.product || "",
+                quantity, unit_amount, amount,
+              ]
+            );
+            if (result.affectedRows) {
+              created++;
+              totalAmount += amount;
+            } else {
+              skipped++;
+            }
+          }
+
+          const summary = {
+            month: `${period.year}-${String(period.mon).padStart(2, "0")}`,
+            active_sales: due.length,
+            created,
+            skipped,
+            total_amount: totalAmount,
+          };
+
+          // Every sale already billed for the month: nothing to record in the run history
+          if (!created) {
+            await conn.rollback();
+            return res.status(200).json({ ok: true, run: { id: null, ...summary } });
+          }
+
+          await conn.query(
+            "UPDATE billing_runs SET created_count = ?, skipped_count = ?, total_amount = ? WHERE id = ?",
+            [created, skipped, totalAmount, runId]
+          );
+          await conn.commit();
+
+          return res.status(201).json({ ok: true, run: { id: runId, ...summary } });
+        } catch (err) {
+          await conn.rollback();
+          throw err;
+        }
+      } finally {
+        try { conn.release(); } catch {}
+      }
+    }
+
+    res.setHeader("Allow", ["GET", "POST"]);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  } catch (err) {
+    console.error("Billing Runs API Error:", err);
+    return res.status(500).json({ ok: false, error: "Internal Server Error", detail: err.code || err.message });
+  }
+}
@@ -1,20 +1,66 @@
 // api/calendar/index.js
 import { getPool } from "../lib/db.js";
+import { authorize, ANY, STAFF } from "../lib/auth.js";
+import { recordAudit, loadForAudit } from "../lib/audit.js";
+import { sendArchive } from "../lib/archive.js";
+import { parseBody, ValidationError, sendValidationError } from "../lib/validate.js";
+import { SCHEMAS } from "../lib/schemas.js";
+import { sendRecord, patchRecord } from "../lib/records.js";
+import { versionGuard, assertUpdated, VersionConflictError, sendConflict } from "../lib/versions.js";
+
+function toEvent(row) {
+  return {
+    id: row.id,
+    client_id: row.client_id ?? null,
+    title: row.title,
+    type: row.event_type,
+    date: row.event_date
+      ? row.event_date.toISOString
+        ? row.event_date.toISOString().slice(0, 10)
+        : String(row.event_date).slice(0, 10)
+      : null,
+    time: row.event_time
+      ? row.event_time.toISOString
+        ? row.event_time.toISOString().slice(11, 19)
+        : String(row.event_time).slice(0, 8)
+      : null,
+    notes: row.notes ?? null,
+    created_at: row.created_at ?? null,
+    version: row.version,
+  };
+}
+
+const RECORD_SPEC = {
+  entity: "calendar_events",
+  table: "calendar_events",
+  schema: SCHEMAS.calendar_events,
+  fields: ["client_id", "title", "type", "date", "time", "notes"],
+  columns: { type: "event_type", date: "event_date", time: "event_time" },
+  shape: toEvent,
+  key: "event",
+};
 
 export default async function handler(req, res) {
   // CORS (same as clients)
   res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,DELETE,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,PATCH,DELETE,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, If-Match");
+  res.setHeader("Access-Control-Expose-Headers", "ETag");
   res.setHeader("Access-Control-Max-Age", "86400");
   if (req.method === "OPTIONS") return res.status(200).end();
 
+  const user = await authorize(req, res, { GET: ANY, POST: STAFF, PUT: STAFF, PATCH: STAFF, DELETE: STAFF });
+  if (!user) return;
+
   const db = getPool();
 
   try {
-    // GET /api/calendar?month=YYYY-MM
+    // GET /api/calendar?month=YYYY-MM[&client_id=]  or  ?id=
     if (req.method === "GET") {
-      const { month } = req.query || {};
+      const { month, client_id, id } = req.query || {};
+      if (id !== undefined) {
+        return await sendRecord(db, req, res, RECORD_SPEC);
+      }
 
       if (!month || !/^\d{4}-\d{2}$/.test(month)) {
         return res
@@ -40,70 +86,44 @@ export default async function handler(req, res) {
         "0"
       )}-01`;
 
-      const [rows] = await db.query(
-        `SELECT id, title, event_type, event_date, event_time, notes, created_at
+      let sql = `SELECT id, client_id, title, event_type, event_date, event_time, notes, created_at, version
          FROM calendar_events
-         WHERE event_date >= ? AND event_date < ?
-         ORDER BY event_date ASC, event_time ASC`,
-        [startDate, endDate]
-      );
+         WHERE event_date >= ? AND event_date < ? AND deleted_at IS NULL`;
+      const params = [startDate, endDate];
+      if (client_id) {
+        sql += " AND client_id = ?";
+        params.push(Number(client_id));
+      }
+      sql += " ORDER BY event_date ASC, event_time ASC";
 
-      const events = rows.map((row) => ({
-        id: row.id,
-        title: row.title,
-        type: row.event_type,
-        date: row.event_date
-          ? row.event_date.toISOString
-            ? row.event_date.toISOString().slice(0, 10)
-            : String(row.event_date).slice(0, 10)
-          : null,
-        time: row.event_time
-          ? row.event_time.toISOString
-            ? row.event_time.toISOString().slice(11, 19)
-            : String(row.event_time).slice(0, 8)
-          : null,
-        notes: row.notes ?? null,
-        created_at: row.created_at ?? null,
-      }));
+      const [rows] = await db.query(sql, params);
+
+      const events = rows.map(toEvent);
 
       return res.status(200).json({ ok: true, events });
     }
 
     // POST /api/calendar  (create)
     if (req.method === "POST") {
-      const { title, type, date, time, notes } = req.body || {};
-
-      if (!title || !date) {
-        return res
-          .status(400)
-          .json({ ok: false, error: "Title and date required" });
-      }
+      const { title, type, date, time, notes, client_id } = await parseBody(db, SCHEMAS.calendar_events, req.body);
 
-      const validTypes = ["meeting", "call", "followup", "personal"];
-      const eventType = validTypes.includes(type) ? type : "meeting";
-
-      let eventTime = null;
-      if (time) {
-        const parts = String(time).split(":");
-        const hh = parseInt(parts[0] || "0", 10);
-        const mm = parseInt(parts[1] || "0", 10);
-        const ss = parseInt(parts[2] || "0", 10);
-        eventTime = `${String(hh).padStart(2, "0")}:${String(mm).padStart(
-          2,
-          "0"
-        )}:${String(ss).padStart(2, "0")}`;
-      }
+      const eventType = type ?? "meeting";
+      // parseBody has already normalised time to HH:MM:SS
+      const eventTime = time ?? null;
 
       const [result] = await db.query(
-        `INSERT INTO calendar_events (title, event_type, event_date, event_time, notes)
-         VALUES (?, ?, ?, ?, ?)`,
-        [title.trim(), eventType, date, eventTime, notes ?? null]
+        `INSERT INTO calendar_events (client_id, title, event_type, event_date, event_time, notes)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [client_id ?? null, title.trim(), eventType, date, eventTime, notes ?? null]
       );
+      const created = await loadForAudit(db, "calendar_events", result.insertId);
+      await recordAudit(db, req, { entity: "calendar_events", id: result.insertId, action: "create", after: created });
 
       return res.status(201).json({
         ok: true,
         event: {
           id: result.insertId,
+          client_id: client_id ?? null,
           title: title.trim(),
           type: eventType,
           date,
@@ -115,57 +135,46 @@ export default async function handler(req, res) {
 
     // PUT /api/calendar  (update)
     if (req.method === "PUT") {
-      const { id, title, type, date, time, notes } = req.body || {};
+      const data = await parseBody(db, SCHEMAS.calendar_events, req.body, "update");
+      const { id, title, type, date, time, notes } = data;
 
-      if (!id) {
-        return res.status(400).json({ ok: false, error: "Missing id" });
-      }
-      if (!title || !date) {
-        return res
-          .status(400)
-          .json({ ok: false, error: "Title and date required" });
-      }
-
-      const validTypes = ["meeting", "call", "followup", "personal"];
-      const eventType = validTypes.includes(type) ? type : "meeting";
-
-      let eventTime = null;
-      if (time) {
-        const parts = String(time).split(":");
-        const hh = parseInt(parts[0] || "0", 10);
-        const mm = parseInt(parts[1] || "0", 10);
-        const ss = parseInt(parts[2] || "0", 10);
-        eventTime = `${String(hh).padStart(2, "0")}:${String(mm).padStart(
-          2,
-          "0"
-        )}:${String(ss).padStart(2, "0")}`;
-      }
+      const eventType = type ?? "meeting";
+      const eventTime = time ?? null;
 
-      await db.query(
+      const guard = versionGuard(req);
+      const before = await loadForAudit(db, "calendar_events", id);
+      // Callers that predate client links don't send client_id: keep the event's client
+      const clientId = "client_id" in data ? data.client_id : before ? before.client_id : null;
+      const [result] = await db.query(
         `UPDATE calendar_events
-           SET title = ?, event_type = ?, event_date = ?, event_time = ?, notes = ?
-         WHERE id = ?`,
-        [title.trim(), eventType, date, eventTime, notes ?? null, id]
+           SET client_id = ?, title = ?, event_type = ?, event_date = ?, event_time = ?, notes = ?,
+               version = version + 1
+         WHERE id = ? AND deleted_at IS NULL${guard.sql}`,
+        [clientId, title.trim(), eventType, date, eventTime, notes ?? null, id, ...guard.params]
       );
+      await assertUpdated(db, result, "calendar_events", id);
+      const after = await loadForAudit(db, "calendar_events", id);
+      await recordAudit(db, req, { entity: "calendar_events", id, action: "update", before, after });
+
+      return res.status(200).json({ ok: true, message: "Event updated", version: after.version });
+    }
 
-      return res.status(200).json({ ok: true, message: "Event updated" });
+    // PATCH /api/calendar  (update only the fields sent)
+    if (req.method === "PATCH") {
+      return await patchRecord(db, req, res, RECORD_SPEC);
     }
 
     // DELETE /api/calendar  (delete)
     if (req.method === "DELETE") {
       const { id } = req.body || {};
-      if (!id) {
-        return res.status(400).json({ ok: false, error: "Missing id" });
-      }
-
-      await db.query("DELETE FROM calendar_events WHERE id=?", [id]);
-
-      return res.status(200).json({ ok: true, message: "Event deleted" });
+      return await sendArchive(db, req, res, "calendar_events", id, { message: "Event deleted", ok: true });
     }
 
-    res.setHeader("Allow", ["GET", "POST", "PUT", "DELETE"]);
+    res.setHeader("Allow", ["GET", "POST", "PUT", "PATCH", "DELETE"]);
     return res.status(405).end(`Method ${req.method} Not Allowed`);
   } catch (err) {
+    if (err instanceof ValidationError) return sendValidationError(res, err, { ok: true });
+    if (err instanceof VersionConflictError) return sendConflict(res, err, { ok: true, shape: toEvent });
     console.error("Calendar API Error:", err);
     return res.status(500).json({
       ok: false,
@@ -0,0 +1,153 @@
+// api/clients/[id].js
+//
+// GET /api/clients/:id -> one client with everything linked to it, so the
+// client page loads in a single request. Sales and revenue figures are only
+// included for staff and admin.
+import { getPool } from "../lib/db.js";
+import { authorize, ANY, STAFF } from "../lib/auth.js";
+import { ymd, firstOfMonth, amountForMonth, rowAmount, monthlyEquivalent } from "../lib/recurring.js";
+
+// Recurring income to date: raised invoices where a billing run covered the month, else the projection.
+function recurringLifetime(recurring, raised, now) {
+  const raisedByMonth = new Map();
+  for (const r of raised) {
+    const key = r.period_year * 100 + r.period_month;
+    raisedByMonth.set(key, (raisedByMonth.get(key) || 0) + Number(r.amount || 0));
+  }
+
+  const starts = recurring
+    .map((r) => (r.start_date ? new Date(r.start_date) : null))
+    .filter((d) => d && !isNaN(d));
+  for (const r of raised) starts.push(new Date(r.period_year, r.period_month - 1, 1));
+  if (!starts.length) return 0;
+
+  let total = 0;
+  const end = firstOfMonth(now);
+  for (let cursor = firstOfMonth(new Date(Math.min(...starts)));
+       cursor <= end;
+       cursor = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 1)) {
+    const key = cursor.getFullYear() * 100 + cursor.getMonth() + 1;
+    total += raisedByMonth.has(key)
+      ? raisedByMonth.get(key)
+      : recurring.reduce((a, r) => a + amountForMonth(r, cursor), 0);
+  }
+  return total;
+}
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Max-Age", "86400");
+  res.setHeader("Cache-Control", "no-store");
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const user = await authorize(req, res, { GET: ANY });
+  if (!user) return;
+
+  if (req.method !== "GET") {
+    res.setHeader("Allow", ["GET"]);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  const id = Number((req.query || {}).id);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ ok: false, error: "Invalid client id" });
+  }
+  const showSales = STAFF.includes(user.role);
+
+  const pool = getPool();
+  const conn = await pool.getConnection(); // ONE connection for everything in this request
+  try {
+    const [[client]] = await conn.query("SELECT * FROM clients WHERE id = ? AND deleted_at IS NULL", [id]);
+    if (!client) {
+      return res.status(404).json({ ok: false, error: "Client not found" });
+    }
+
+    const now = new Date();
+    const today = ymd(now);
+
+    const [projects] = await conn.query(
+      `SELECT * FROM projects WHERE client_id = ? AND deleted_at IS NULL
+       ORDER BY completed ASC, FIELD(priority,'urgent','high','normal','low'), eta_date IS NULL, eta_date ASC, id DESC`,
+      [id]
+    );
+    const [tasks] = await conn.query(
+      "SELECT * FROM tasks WHERE client_id = ? AND deleted_at IS NULL ORDER BY due_date ASC",
+      [id]
+    );
+    const [renewals] = await conn.query(
+      "SELECT * FROM renewals WHERE client_id = ? AND deleted_at IS NULL ORDER BY renewal_date ASC, item_label ASC",
+      [id]
+    );
+    const [events] = await conn.query(
+      `SELECT * FROM calendar_events
+       WHERE client_id = ? AND event_date >= ? AND deleted_at IS NULL
+       ORDER BY event_date ASC, event_time ASC`,
+      [id, today]
+    );
+
+    const activeRenewals = renewals.filter(
+      (r) => String(r.status || "active").toLowerCase() === "active" && r.renewal_date
+    );
+    const nextRenewal = activeRenewals.find((r) => ymd(new Date(r.renewal_date)) >= today) || null;
+
+    const body = {
+      ok: true,
+      client,
+      projects,
+      tasks,
+      renewals,
+      upcoming_events: events,
+      summary: {
+        open_projects: projects.filter((p) => !p.completed).length,
+        open_tasks: tasks.filter((t) => String(t.status || "").toLowerCase() === "open").length,
+        next_renewal_date: nextRenewal ? ymd(new Date(nextRenewal.renewal_date)) : null,
+        next_renewal_item: nextRenewal ? nextRenewal.item_label : null,
+      },
+    };
+
+    if (showSales) {
+      const [recurring] = await conn.query(
+        "SELECT * FROM recurring_sales WHERE client_id = ? AND deleted_at IS NULL ORDER BY id DESC",
+        [id]
+      );
+      const [oneoff] = await conn.query(
+        "SELECT * FROM oneoff_sales WHERE client_id = ? AND deleted_at IS NULL ORDER BY id DESC",
+        [id]
+      );
+      const [raised] = await conn.query(
+        "SELECT period_year, period_month, amount FROM recurring_invoices WHERE client_id = ?",
+        [id]
+      );
+
+      const oneoffTotal = (statuses) =>
+        oneoff
+          .filter((s) => statuses.includes(String(s.status || "").toLowerCase()))
+          .reduce((a, s) => a + rowAmount(s), 0);
+
+      const thisMonth = firstOfMonth(now);
+      const mrr = recurring
+        .filter((r) => {
+          const started = !r.start_date || new Date(r.start_date) <= now;
+          const notEnded = !r.end_date || new Date(r.end_date) >= thisMonth;
+          const activeFlag = r.active == null || r.active == 1;
+          return activeFlag && started && notEnded && monthlyEquivalent(r) > 0;
+        })
+        .reduce((a, r) => a + monthlyEquivalent(r), 0);
+
+      body.recurring_sales = recurring;
+      body.oneoff_sales = oneoff;
+      body.summary.lifetime_revenue = oneoffTotal(["sent", "paid"]) + recurringLifetime(recurring, raised, now);
+      body.summary.mrr = mrr;
+      body.summary.outstanding_drafts = oneoffTotal(["draft"]);
+    }
+
+    return res.status(200).json(body);
+  } catch (err) {
+    console.error("Client Detail API Error:", err);
+    return res.status(500).json({ ok: false, error: "Internal Server Error", detail: err.code || err.message });
+  } finally {
+    try { conn.release(); } catch {}
+  }
+}
@@ -1,51 +1,103 @@
 import { getPool } from "../lib/db.js";
+import { authorize, ANY, STAFF, ADMIN } from "../lib/auth.js";
+import { sendList } from "../lib/list.js";
+import { recordAudit, loadForAudit } from "../lib/audit.js";
+import { sendArchive } from "../lib/archive.js";
+import { parseBody, ValidationError, sendValidationError } from "../lib/validate.js";
+import { SCHEMAS } from "../lib/schemas.js";
+import { sendRecord, patchRecord } from "../lib/records.js";
+import { versionGuard, assertUpdated, VersionConflictError, sendConflict } from "../lib/versions.js";
+
+const LIST_SPEC = {
+  table: "clients",
+  archivable: true,
+  filters: {
+    status: { type: "string", lower: true },
+    city: { type: "string" },
+    created_at: { type: "date" },
+  },
+  sorts: { name: "name", company: "company", city: "city", status: "status", created_at: "created_at" },
+  defaultSort: "-id",
+  legacyOrder: "id DESC",
+};
+
+const RECORD_SPEC = {
+  entity: "clients",
+  table: "clients",
+  schema: SCHEMAS.clients,
+  fields: [
+    "name", "company", "contact_name", "email", "phone",
+    "address1", "city", "status", "website", "notes", "seo_branding_id",
+  ],
+  touch: true,
+};
 
 export default async function handler(req, res) {
   // CORS
   res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,DELETE,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,PATCH,DELETE,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, If-Match");
+  res.setHeader("Access-Control-Expose-Headers", "ETag, X-Total-Count");
   res.setHeader("Access-Control-Max-Age", "86400");
   if (req.method === "OPTIONS") return res.status(200).end();
 
+  const user = await authorize(req, res, { GET: ANY, POST: STAFF, PUT: STAFF, PATCH: STAFF, DELETE: ADMIN });
+  if (!user) return;
+
   const db = getPool();
 
   try {
     if (req.method === "GET") {
-      const [rows] = await db.query("SELECT * FROM clients ORDER BY id DESC");
-      return res.status(200).json(rows);
+      if (req.query && req.query.id !== undefined) {
+        return await sendRecord(db, req, res, RECORD_SPEC);
+      }
+      return await sendList(db, req, res, LIST_SPEC);
     }
 
     if (req.method === "POST") {
-      const { name, company, contact_name, email, phone, address1, city, status="active", website, notes } = req.body || {};
-      await db.query(
-        `INSERT INTO clients (name, company, contact_name, email, phone, address1, city, status, website, notes, created_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
-        [name ?? company ?? "", company ?? "", contact_name ?? "", email ?? "", phone ?? "", address1 ?? "", city ?? "", status, website ?? "", notes ?? ""]
+      const { name, company, contact_name, email, phone, address1, city, status, website, notes, seo_branding_id } =
+        await parseBody(db, SCHEMAS.clients, req.body);
+      const [result] = await db.query(
+        `INSERT INTO clients (name, company, contact_name, email, phone, address1, city, status, website, notes, seo_branding_id, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [name ?? company ?? "", company ?? "", contact_name ?? "", email ?? "", phone ?? "", address1 ?? "", city ?? "", status ?? "active", website ?? "", notes ?? "", seo_branding_id ?? null]
       );
+      const created = await loadForAudit(db, "clients", result.insertId);
+      await recordAudit(db, req, { entity: "clients", id: result.insertId, action: "create", after: created });
       return res.status(201).json({ message: "Client added" });
     }
 
     if (req.method === "PUT") {
-      const { id, name, company, contact_name, email, phone, address1, city, status, website, notes } = req.body || {};
-      await db.query(
+      const { id, name, company, contact_name, email, phone, address1, city, status, website, notes } =
+        await parseBody(db, SCHEMAS.clients, req.body, "update");
+      const guard = versionGuard(req);
+      const before = await loadForAudit(db, "clients", id);
+      const [result] = await db.query(
         `UPDATE clients
-         SET name=?, company=?, contact_name=?, email=?, phone=?, address1=?, city=?, status=?, website=?, notes=?, updated_at=NOW()
-         WHERE id=?`,
-        [name ?? company ?? "", company ?? "", contact_name ?? "", email ?? "", phone ?? "", address1 ?? "", city ?? "", status ?? "active", website ?? "", notes ?? "", id]
+         SET name=?, company=?, contact_name=?, email=?, phone=?, address1=?, city=?, status=?, website=?, notes=?, updated_at=NOW(), version=version+1
+         WHERE id=? AND deleted_at IS NULL${guard.sql}`,
+        [name ?? company ?? "", company ?? "", contact_name ?? "", email ?? "", phone ?? "", address1 ?? "", city ?? "", status ?? "active", website ?? "", notes ?? "", id, ...guard.params]
       );
-      return res.status(200).json({ message: "Client updated" });
+      await assertUpdated(db, result, "clients", id);
+      const after = await loadForAudit(db, "clients", id);
+      await recordAudit(db, req, { entity: "clients", id, action: "update", before, after });
+      return res.status(200).json({ message: "Client updated", version: after.version });
+    }
+
+    if (req.method === "PATCH") {
+      return await patchRecord(db, req, res, RECORD_SPEC);
     }
 
     if (req.method === "DELETE") {
       const { id } = req.body || {};
-      await db.query("DELETE FROM clients WHERE id=?", [id]);
-      return res.status(200).json({ message: "Client deleted" });
+      return await sendArchive(db, req, res, "clients", id, { message: "Client deleted" });
     }
 
-    res.setHeader("Allow", ["GET", "POST", "PUT", "DELETE"]);
+    res.setHeader("Allow", ["GET", "POST", "PUT", "PATCH", "DELETE"]);
     return res.status(405).end(`Method ${req.method} Not Allowed`);
   } catch (err) {
+    if (err instanceof ValidationError) return sendValidationError(res, err);
+    if (err instanceof VersionConflictError) return sendConflict(res, err);
     console.error("Clients API Error:", err);
     return res.status(500).json({ error: "Internal Server Error", detail: err.code || err.message });
   }
@@ -1,32 +1,12 @@
 // api/dashboard/index.js
 import { getPool } from "../lib/db.js";
+import { authorize, STAFF } from "../lib/auth.js";
+import { ymd, firstOfMonth, lastOfMonth, amountForMonth } from "../lib/recurring.js";
 
-function ymd(date) {
-  const y = date.getFullYear();
-  const m = String(date.getMonth() + 1).padStart(2, "0");
-  const d = String(date.getDate()).padStart(2, "0");
-  return `${y}-${m}-${d}`;
-}
-const firstOfMonth = d => new Date(d.getFullYear(), d.getMonth(), 1);
-const lastOfMonth  = d => new Date(d.getFullYear(), d.getMonth() + 1, 0);
 function fyStartFor(d) { // FY starts April 1
   const y = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
   return new Date(y, 3, 1);
 }
-function isActiveInMonth(rec, monthDate) {
-  const start = rec.start_date ? new Date(rec.start_date) : null;
-  const end   = rec.end_date ? new Date(rec.end_date) : null;
-  const mStart = firstOfMonth(monthDate);
-  const mEnd   = lastOfMonth(monthDate);
-  const activeFlag = rec.active == null || rec.active == 1;
-  const afterStart = !start || start <= mEnd;
-  const beforeEnd  = !end   || end   >= mStart;
-  const cycleOk = String(rec.billing_cycle || "monthly").toLowerCase() === "monthly";
-  return activeFlag && cycleOk && afterStart && beforeEnd;
-}
-const rowAmount = r =>
-  (r.amount != null ? Number(r.amount)
-   : Number(r.quantity || 0) * Number(r.unit_amount || 0)) || 0;
 
 export default async function handler(req, res) {
   // CORS + caching
@@ -36,6 +16,10 @@ export default async function handler(req, res) {
   res.setHeader("Access-Control-Max-Age", "86400");
   res.setHeader("Cache-Control", "no-store"); // avoid stale values in browsers/CDN
   if (req.method === "OPTIONS") return res.status(200).end();
+
+  const user = await authorize(req, res, { GET: STAFF });
+  if (!user) return;
+
   if (req.method !== "GET") return res.status(405).json({ error: "Method Not Allowed" });
 
   const pool = getPool();
@@ -54,7 +38,7 @@ export default async function handler(req, res) {
               ELSE COALESCE(quantity,0)*COALESCE(unit_amount,0) END
        ),0) AS total
        FROM oneoff_sales
-       WHERE LOWER(status) IN ('sent','paid') AND sale_date BETWEEN ? AND ?`,
+       WHERE deleted_at IS NULL AND LOWER(status) IN ('sent','paid') AND sale_date BETWEEN ? AND ?`,
       [ymd(fyStart), today]
     );
 
@@ -64,7 +48,7 @@ export default async function handler(req, res) {
               ELSE COALESCE(quantity,0)*COALESCE(unit_amount,0) END
        ),0) AS total
        FROM oneoff_sales
-       WHERE LOWER(status) IN ('sent','paid') AND sale_date BETWEEN ? AND ?`,
+       WHERE deleted_at IS NULL AND LOWER(status) IN ('sent','paid') AND sale_date BETWEEN ? AND ?`,
       [ymd(sMonth), ymd(eMonth)]
     );
 
@@ -73,17 +57,31 @@ export default async function handler(req, res) {
          CASE WHEN amount IS NOT NULL THEN amount
               ELSE COALESCE(quantity,0)*COALESCE(unit_amount,0) END
        ),0) AS total
-       FROM oneoff_sales WHERE LOWER(status)='draft'`
+       FROM oneoff_sales WHERE deleted_at IS NULL AND LOWER(status)='draft'`
     );
 
     // ---- RECURRING rows (JS decides month inclusion for accuracy) ----
     const [recurring] = await conn.query(
-      `SELECT id, amount, quantity, unit_amount, start_date, end_date, active, billing_cycle
-       FROM recurring_sales`
+      `SELECT id, amount, quantity, unit_amount, start_date, end_date, active, billing_cycle, billing_anchor
+       FROM recurring_sales
+       WHERE deleted_at IS NULL`
+    );
+    // Months already through a billing run use the invoices actually raised
+    const fyKey = fyStart.getFullYear() * 100 + fyStart.getMonth() + 1;
+    const [raisedRows] = await conn.query(
+      `SELECT period_year, period_month, SUM(amount) AS total
+       FROM recurring_invoices
+       WHERE period_year * 100 + period_month BETWEEN ? AND ?
+       GROUP BY period_year, period_month`,
+      [fyKey, fyKey + 100]
     );
-    const sumRecurringForMonth = (monthDate) =>
-      recurring.filter(r => isActiveInMonth(r, monthDate))
-               .reduce((a, r) => a + rowAmount(r), 0);
+    const raised = new Map(raisedRows.map(r => [r.period_year * 100 + r.period_month, Number(r.total)]));
+
+    const sumRecurringForMonth = (monthDate) => {
+      const key = monthDate.getFullYear() * 100 + monthDate.getMonth() + 1;
+      if (raised.has(key)) return raised.get(key);
+      return recurring.reduce((a, r) => a + amountForMonth(r, monthDate), 0);
+    };
 
     // recurring totals
     let recurringYTD = 0;
@@ -99,13 +97,14 @@ export default async function handler(req, res) {
     const [[activeClients]] = await conn.query(`
       SELECT COUNT(*) AS c
       FROM clients
-      WHERE COALESCE(NULLIF(TRIM(LOWER(status)), ''), 'active')
+      WHERE deleted_at IS NULL
+        AND COALESCE(NULLIF(TRIM(LOWER(status)), ''), 'active')
             NOT IN ('inactive','archived','closed')
     `);
     const [[openTasks]] = await conn.query(`
       SELECT COUNT(*) AS c
       FROM tasks
-      WHERE LOWER(status)='open'
+      WHERE deleted_at IS NULL AND LOWER(status)='open'
     `);
 
     // ---- FINAL NUMBERS ----
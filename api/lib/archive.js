@@ -0,0 +1,205 @@
+// api/lib/archive.js
+//
+// Soft delete. DELETE routes set deleted_at instead of removing the row;
+// /api/restore clears it again. Archiving a client also deals with the rows
+// that point at it, according to the cascade policy:
+//   "cascade" - archive the client's projects, tasks, sales, renewals and events with it
+//   "block"   - refuse (409) while the client still has unarchived dependents
+// The default comes from ARCHIVE_CASCADE_POLICY ("cascade" if unset) and can be
+// overridden per request with ?cascade=.
+import { recordAudit, loadForAudit } from "./audit.js";
+
+export const CASCADE_POLICIES = ["cascade", "block"];
+
+// entity name (as used in the audit log and /api/restore) -> table and dependents
+export const ARCHIVABLE = {
+  clients: {
+    table: "clients",
+    dependents: [
+      { entity: "projects", column: "client_id" },
+      { entity: "tasks", column: "client_id" },
+      { entity: "renewals", column: "client_id" },
+      { entity: "oneoff_sales", column: "client_id" },
+      { entity: "recurring_sales", column: "client_id" },
+      { entity: "calendar_events", column: "client_id" },
+    ],
+  },
+  projects: { table: "projects", dependents: [] },
+  tasks: { table: "tasks", dependents: [] },
+  renewals: { table: "renewals", dependents: [] },
+  oneoff_sales: { table: "oneoff_sales", dependents: [] },
+  recurring_sales: { table: "recurring_sales", dependents: [] },
+  calendar_events: { table: "calendar_events", dependents: [] },
+  xero_exports: { table: "xero_exports", dependents: [] },
+  project_milestones: { table: "project_milestones", dependents: [] },
+};
+
+export class ArchiveError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+/**
+ * SQL condition for "not archived", optionally with a table alias.
+ */
+export const notArchived = (alias) => `${alias ? `${alias}.` : ""}deleted_at IS NULL`;
+
+/**
+ * Condition for a list's ?archived= parameter: unset hides archived rows,
+ * "include" shows everything (null), "only" shows just the archived ones.
+ * Throws ArchiveError(400) for anything else.
+ */
+export function archivedCondition(archived, alias) {
+  const col = `${alias ? `${alias}.` : ""}deleted_at`;
+  if (archived === undefined || archived === "") return `${col} IS NULL`;
+  if (archived === "include") return null;
+  if (archived === "only") return `${col} IS NOT NULL`;
+  throw new ArchiveError(400, "archived must be include or only");
+}
+
+export function cascadePolicy(req) {
+  const requested = req.query && req.query.cascade;
+  const policy = requested || process.env.ARCHIVE_CASCADE_POLICY || "cascade";
+  if (!CASCADE_POLICIES.includes(policy)) {
+    throw new ArchiveError(400, `cascade must be one of ${CASCADE_POLICIES.join(", ")}`);
+  }
+  return policy;
+}
+
+async function countDependents(db, def, id) {
+  const counts = {};
+  for (const dep of def.dependents) {
+    const [[{ c }]] = await db.query(
+      `SELECT COUNT(*) AS c FROM ${ARCHIVABLE[dep.entity].table} WHERE ${dep.column} = ? AND deleted_at IS NULL`,
+      [id]
+    );
+    if (c) counts[dep.entity] = c;
+  }
+  return counts;
+}
+
+// Run fn(conn) in a transaction, so a cascade never leaves the parent and its
+// dependents half archived (or half restored). Takes the pool, or a single
+// connection from routes that open their own (api/xero-exports).
+async function inTransaction(db, fn) {
+  const pooled = typeof db.getConnection === "function";
+  const conn = pooled ? await db.getConnection() : db;
+  try {
+    await conn.beginTransaction();
+    try {
+      const result = await fn(conn);
+      await conn.commit();
+      return result;
+    } catch (err) {
+      await conn.rollback();
+      throw err;
+    }
+  } finally {
+    if (pooled) {
+      try { conn.release(); } catch {}
+    }
+  }
+}
+
+/**
+ * Archive one record (and, for clients, its dependents). Dependents get the same
+ * deleted_at as the parent so restoring the parent can bring exactly them back.
+ */
+export async function archiveRecord(db, req, entity, id, policy = "cascade") {
+  return inTransaction(db, (conn) => archiveWith(conn, req, entity, id, policy));
+}
+
+async function archiveWith(db, req, entity, id, policy) {
+  const def = ARCHIVABLE[entity];
+  const before = await loadForAudit(db, def.table, id);
+  if (!before) throw new ArchiveError(404, "Record not found");
+  if (before.deleted_at) throw new ArchiveError(409, "Record is already archived");
+
+  const dependents = await countDependents(db, def, id);
+  if (policy === "block" && Object.keys(dependents).length) {
+    throw new ArchiveError(409, "Record has active dependents; archive them first or use cascade", { dependents });
+  }
+
+  const [[{ ts }]] = await db.query("SELECT NOW() AS ts");
+
+  for (const dep of def.dependents) {
+    if (!dependents[dep.entity]) continue;
+    const table = ARCHIVABLE[dep.entity].table;
+    const [rows] = await db.query(
+      `SELECT * FROM ${table} WHERE ${dep.column} = ? AND deleted_at IS NULL`,
+      [id]
+    );
+    await db.query(
+      `UPDATE ${table} SET deleted_at = ?, version = version + 1 WHERE ${dep.column} = ? AND deleted_at IS NULL`,
+      [ts, id]
+    );
+    for (const row of rows) {
+      await recordAudit(db, req, { entity: dep.entity, id: row.id, action: "archive", before: row, after: { ...row, deleted_at: ts } });
+    }
+  }
+
+  await db.query(`UPDATE ${def.table} SET deleted_at = ?, version = version + 1 WHERE id = ?`, [ts, id]);
+  const after = await loadForAudit(db, def.table, id);
+  await recordAudit(db, req, { entity, id, action: "archive", before, after });
+
+  return { archived: after, cascaded: policy === "cascade" ? dependents : {} };
+}
+
+/**
+ * Restore an archived record plus any dependents archived in the same operation.
+ */
+export async function restoreRecord(db, req, entity, id) {
+  return inTransaction(db, (conn) => restoreWith(conn, req, entity, id));
+}
+
+async function restoreWith(db, req, entity, id) {
+  const def = ARCHIVABLE[entity];
+  const before = await loadForAudit(db, def.table, id);
+  if (!before) throw new ArchiveError(404, "Record not found");
+  if (!before.deleted_at) throw new ArchiveError(409, "Record is not archived");
+
+  const restored = {};
+  for (const dep of def.dependents) {
+    const table = ARCHIVABLE[dep.entity].table;
+    const [rows] = await db.query(
+      `SELECT * FROM ${table} WHERE ${dep.column} = ? AND deleted_at = ?`,
+      [id, before.deleted_at]
+    );
+    if (!rows.length) continue;
+    await db.query(
+      `UPDATE ${table} SET deleted_at = NULL, version = version + 1 WHERE ${dep.column} = ? AND deleted_at = ?`,
+      [id, before.deleted_at]
+    );
+    for (const row of rows) {
+      await recordAudit(db, req, { entity: dep.entity, id: row.id, action: "restore", before: row, after: { ...row, deleted_at: null } });
+    }
+    restored[dep.entity] = rows.length;
+  }
+
+  await db.query(`UPDATE ${def.table} SET deleted_at = NULL, version = version + 1 WHERE id = ?`, [id]);
+  const after = await loadForAudit(db, def.table, id);
+  await recordAudit(db, req, { entity, id, action: "restore", before, after });
+
+  return { restored: after, cascaded: restored };
+}
+
+/**
+ * DELETE branch shared by the entity routes: archive and send the response.
+ */
+export async function sendArchive(db, req, res, entity, id, { message, ok = false }) {
+  const envelope = (success) => (ok ? { ok: success } : {});
+  if (!id) return res.status(400).json({ ...envelope(false), error: "Missing id for delete" });
+  try {
+    const policy = cascadePolicy(req);
+    const result = await archiveRecord(db, req, entity, id, policy);
+    return res.status(200).json({ ...envelope(true), message, id: Number(id), cascaded: result.cascaded });
+  } catch (err) {
+    if (err instanceof ArchiveError) {
+      return res.status(err.status).json({ ...envelope(false), error: err.message, ...err.extra });
+    }
+    throw err;
+  }
+}
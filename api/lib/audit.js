@@ -0,0 +1,67 @@
+// api/lib/audit.js
+//
+// Change history for every write. Handlers load the row before and after a
+// change and hand both to recordAudit(); /api/audit reads it back.
+
+// Columns that change on every write and would only add noise to a diff.
+const IGNORED = new Set(["updated_at"]);
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Load a row by id for before/after snapshots. Table names come from code, never from input.
+ */
+export async function loadForAudit(db, table, id) {
+  if (id === undefined || id === null || id === "") return null;
+  const [[row]] = await db.query(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+  return row || null;
+}
+
+/**
+ * Field-by-field changes as { field: [before, after] }.
+ */
+export function diffRows(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (IGNORED.has(key)) continue;
+    const a = before ? before[key] : undefined;
+    const b = after ? after[key] : undefined;
+    if (!same(a, b)) changes[key] = [a ?? null, b ?? null];
+  }
+  return changes;
+}
+
+/**
+ * Write one audit_log row. `req.user` comes from authorize(); an optional
+ * `audit_reason` in the body is stored with the change.
+ * Failures are logged, not thrown: the data change has already been made.
+ */
+export async function recordAudit(db, req, { entity, id, action, before = null, after = null }) {
+  try {
+    const changes = diffRows(before, after);
+    if (action === "update" && !Object.keys(changes).length) return;
+
+    const user = req.user || {};
+    const reason = req.body && typeof req.body.audit_reason === "string" ? req.body.audit_reason.slice(0, 500) : null;
+
+    await db.query(
+      `INSERT INTO audit_log
+       (entity, entity_id, action, user_id, user_email, changes, before_data, after_data, reason, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        entity,
+        id,
+        action,
+        user.id || null,
+        user.email || null,
+        JSON.stringify(changes),
+        before ? JSON.stringify(before) : null,
+        after ? JSON.stringify(after) : null,
+        reason,
+      ]
+    );
+  } catch (err) {
+    console.error(`Audit write failed (${entity} #${id} ${action}):`, err);
+  }
+}
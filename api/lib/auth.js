@@ -0,0 +1,151 @@
+// api/lib/auth.js
+import crypto from "crypto";
+import { promisify } from "util";
+import { getPool } from "./db.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+export const ROLES = ["admin", "staff", "readonly"];
+
+// Per-method role lists used by the route policies below.
+export const ANY = ["admin", "staff", "readonly"];
+export const STAFF = ["admin", "staff"];
+export const ADMIN = ["admin"];
+
+const TOKEN_TTL = Number(process.env.AUTH_TOKEN_TTL || 12 * 60 * 60); // seconds
+
+function getSecret() {
+  const secret = process.env.AUTH_SECRET;
+  if (!secret) throw new Error("AUTH_SECRET is not configured");
+  return secret;
+}
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+
+function hmac(data) {
+  return crypto.createHmac("sha256", getSecret()).update(data).digest("base64url");
+}
+
+/**
+ * Issue an HS256 JWT for a users row.
+ */
+export function signToken(user) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = b64url(JSON.stringify({
+    sub: user.id,
+    email: user.email,
+    name: user.name || null,
+    role: user.role,
+    iat: now,
+    exp: now + TOKEN_TTL,
+  }));
+  return `${header}.${payload}.${hmac(`${header}.${payload}`)}`;
+}
+
+/**
+ * Returns the token payload, or null when the signature or expiry is bad.
+ */
+export function verifyToken(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return null;
+  const [header, payload, sig] = parts;
+
+  const expected = Buffer.from(hmac(`${header}.${payload}`));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) return null;
+    if (!ROLES.includes(claims.role)) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+// Stored as "scrypt$<salt>$<hash>", both hex.
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, 64);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+export async function checkPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = await scrypt(String(password), Buffer.from(saltHex, "hex"), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Resolve the caller from "Authorization: Bearer <token>".
+ * Re-reads the users row so deactivated accounts and role changes apply immediately.
+ */
+export async function authenticate(req) {
+  const header = (req.headers && (req.headers.authorization || req.headers.Authorization)) || "";
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  if (!match) return null;
+
+  const claims = verifyToken(match[1].trim());
+  if (!claims) return null;
+
+  const [[user]] = await getPool().query(
+    "SELECT id, email, name, role, active FROM users WHERE id = ?",
+    [claims.sub]
+  );
+  if (!user || !user.active || !ROLES.includes(user.role)) return null;
+  return { id: user.id, email: user.email, name: user.name, role: user.role };
+}
+
+/**
+ * Vercel cron invocations carry "Authorization: Bearer $CRON_SECRET".
+ */
+export function isCronRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return false;
+  const header = (req.headers && req.headers.authorization) || "";
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const given = Buffer.from(header);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Check the caller against a route policy of the form { GET: ANY, POST: STAFF, ... }.
+ * A method the policy doesn't list is refused with 405, so a route can't expose
+ * one by forgetting it. Sends 401/403/405 itself and returns null; otherwise returns the user.
+ */
+export async function authorize(req, res, policy) {
+  const allowed = policy[req.method];
+  if (!allowed) {
+    res.setHeader("Allow", Object.keys(policy));
+    res.status(405).end(`Method ${req.method} Not Allowed`);
+    return null;
+  }
+
+  let user;
+  try {
+    user = await authenticate(req);
+  } catch (err) {
+    console.error("Auth Error:", err);
+    res.status(500).json({ error: "Internal Server Error", detail: err.code || err.message });
+    return null;
+  }
+
+  if (!user) {
+    res.status(401).json({ error: "Unauthorized" });
+    return null;
+  }
+
+  if (!allowed.includes(user.role)) {
+    res.status(403).json({ error: "Forbidden", detail: `Role '${user.role}' cannot ${req.method} this resource` });
+    return null;
+  }
+
+  req.user = user;
+  return user;
+}
@@ -0,0 +1,19 @@
+// api/lib/csv.js
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Serialise rows to CSV. `columns` fixes the header order;
+ * each row is an object keyed by column name.
+ */
+export function toCsv(columns, rows) {
+  const lines = [columns.map(csvCell).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((c) => csvCell(row[c])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
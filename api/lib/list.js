@@ -0,0 +1,230 @@
+// api/lib/list.js
+//
+// Shared GET handling for the list routes: whitelisted filters and sort,
+// page/limit or cursor pagination, and a total count.
+//
+// Query parameters understood for a route's spec:
+//   <filter>=a,b                 equality (comma list = IN) for "string" / "int" filters
+//   <filter>_from / <filter>_to  inclusive range of days for "date" filters (DATE or DATETIME columns:
+//                                _to takes in the whole day, up to the next midnight)
+//   sort=<key> | sort=-<key>     one of spec.sorts, "-" for descending
+//   page=&limit=                 offset pagination
+//   cursor=&limit=               keyset pagination; start with an empty cursor, then pass back next_cursor
+//   archived=include|only        for archivable specs: also show, or only show, soft-deleted rows
+//
+// Without page, limit or cursor the route keeps its old behaviour: a plain
+// array in the legacy order, with the count in an X-Total-Count header.
+
+import { archivedCondition } from "./archive.js";
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+export class ListQueryError extends Error {}
+
+function encodeCursor(value, id) {
+  const v = value instanceof Date ? { d: value.toISOString() } : { v: value ?? null };
+  return Buffer.from(JSON.stringify({ ...v, id })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const c = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (c.id === undefined) throw new Error("bad cursor");
+    return { value: c.d ? new Date(c.d) : c.v, id: c.id };
+  } catch {
+    throw new ListQueryError("Invalid cursor");
+  }
+}
+
+// Rows strictly after (value, id) in "ORDER BY col dir, id dir".
+// MySQL sorts NULLs first ascending and last descending, so they need their own branches.
+function keysetCondition(col, idCol, desc, value, id) {
+  const cmp = desc ? "<" : ">";
+  if (value === null) {
+    return desc
+      ? { sql: `(${col} IS NULL AND ${idCol} < ?)`, params: [id] }
+      : { sql: `((${col} IS NULL AND ${idCol} > ?) OR ${col} IS NOT NULL)`, params: [id] };
+  }
+  const nulls = desc ? ` OR ${col} IS NULL` : "";
+  return {
+    sql: `(${col} ${cmp} ? OR (${col} = ? AND ${idCol} ${cmp} ?)${nulls})`,
+    params: [value, value, id],
+  };
+}
+
+function splitList(value) {
+  return String(value).split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+/**
+ * Build the WHERE clause for a spec from req.query.
+ */
+export function buildFilters(spec, query) {
+  const where = [...(spec.where || [])];
+  const params = [...(spec.whereParams || [])];
+
+  if (spec.archivable) {
+    let cond;
+    try {
+      cond = archivedCondition(query.archived);
+    } catch (err) {
+      throw new ListQueryError(err.message);
+    }
+    if (cond) where.push(cond);
+  }
+
+  for (const [name, f] of Object.entries(spec.filters || {})) {
+    const col = f.column || name;
+
+    if (f.type === "date") {
+      // "<= day" would stop a DATETIME column at midnight, so _to is "< next day"
+      for (const [suffix, cond] of [["_from", `${col} >= ?`], ["_to", `${col} < DATE_ADD(?, INTERVAL 1 DAY)`]]) {
+        const v = query[name + suffix];
+        if (v === undefined || v === "") continue;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(v))) {
+          throw new ListQueryError(`${name + suffix} must be YYYY-MM-DD`);
+        }
+        where.push(cond);
+        params.push(String(v));
+      }
+      continue;
+    }
+
+    const raw = query[name];
+    if (raw === undefined || raw === "") continue;
+    let values = splitList(raw);
+    if (f.type === "int") {
+      values = values.map(Number);
+      if (values.some((n) => !Number.isInteger(n))) {
+        throw new ListQueryError(`${name} must be an integer`);
+      }
+    } else if (f.lower) {
+      values = values.map((v) => v.toLowerCase());
+    }
+    const expr = f.lower ? `LOWER(${col})` : col;
+    if (values.length === 1) {
+      where.push(`${expr} = ?`);
+      params.push(values[0]);
+    } else {
+      where.push(`${expr} IN (${values.map(() => "?").join(", ")})`);
+      params.push(...values);
+    }
+  }
+
+  return { where, params };
+}
+
+/**
+ * Run a list query for `spec` and send the response.
+ *
+ * spec = {
+ *   table: "clients",
+ *   filters: { status: { type: "string", lower: true }, client_id: { type: "int" }, sale_date: { type: "date" } },
+ *   sorts: { company: "company", created_at: "created_at" },
+ *   defaultSort: "-id",               // used for page/cursor requests with no sort
+ *   legacyOrder: "id DESC",           // ORDER BY for the plain-array response
+ *   alwaysPaged: true,                // never return the unbounded plain array
+ *   archivable: true,                 // hide soft-deleted rows unless ?archived= says otherwise
+ *   where: [], whereParams: [],       // fixed conditions
+ * }
+ */
+export async function sendList(db, req, res, spec) {
+  const query = req.query || {};
+  const idCol = spec.idColumn || "id";
+
+  let filters;
+  try {
+    filters = buildFilters(spec, query);
+  } catch (err) {
+    if (err instanceof ListQueryError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+  const whereSql = filters.where.length ? ` WHERE ${filters.where.join(" AND ")}` : "";
+
+  const [[{ total }]] = await db.query(
+    `SELECT COUNT(*) AS total FROM ${spec.table}${whereSql}`,
+    filters.params
+  );
+
+  const paged = spec.alwaysPaged ||
+    query.page !== undefined || query.limit !== undefined || query.cursor !== undefined;
+
+  const sortParam = query.sort || (paged ? spec.defaultSort : null);
+  let sortCol = null;
+  let desc = false;
+  if (sortParam) {
+    const key = String(sortParam).replace(/^-/, "");
+    desc = String(sortParam).startsWith("-");
+    sortCol = key === idCol ? idCol : (spec.sorts || {})[key];
+    if (!sortCol) {
+      const allowed = [idCol, ...Object.keys(spec.sorts || {})].join(", ");
+      return res.status(400).json({ error: `sort must be one of ${allowed}` });
+    }
+  }
+  const dir = desc ? "DESC" : "ASC";
+  const orderSql = sortCol
+    ? sortCol === idCol ? `${idCol} ${dir}` : `${sortCol} ${dir}, ${idCol} ${dir}`
+    : spec.legacyOrder;
+
+  if (!paged) {
+    const [rows] = await db.query(
+      `SELECT * FROM ${spec.table}${whereSql} ORDER BY ${orderSql}`,
+      filters.params
+    );
+    res.setHeader("X-Total-Count", String(total));
+    return res.status(200).json(rows);
+  }
+
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT));
+
+  if (query.cursor !== undefined) {
+    let after;
+    try {
+      after = query.cursor ? decodeCursor(query.cursor) : null;
+    } catch (err) {
+      if (err instanceof ListQueryError) return res.status(400).json({ error: err.message });
+      throw err;
+    }
+
+    const where = [...filters.where];
+    const params = [...filters.params];
+    if (after) {
+      const cond = sortCol === idCol
+        ? { sql: `${idCol} ${desc ? "<" : ">"} ?`, params: [after.id] }
+        : keysetCondition(sortCol, idCol, desc, after.value, after.id);
+      where.push(cond.sql);
+      params.push(...cond.params);
+    }
+
+    const [rows] = await db.query(
+      `SELECT * FROM ${spec.table}${where.length ? ` WHERE ${where.join(" AND ")}` : ""}
+       ORDER BY ${orderSql} LIMIT ?`,
+      [...params, limit + 1]
+    );
+    const hasMore = rows.length > limit;
+    const data = hasMore ? rows.slice(0, limit) : rows;
+    const last = data[data.length - 1];
+
+    return res.status(200).json({
+      data,
+      total,
+      limit,
+      next_cursor: hasMore && last ? encodeCursor(last[sortCol], last[idCol]) : null,
+    });
+  }
+
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const [rows] = await db.query(
+    `SELECT * FROM ${spec.table}${whereSql} ORDER BY ${orderSql} LIMIT ? OFFSET ?`,
+    [...filters.params, limit, (page - 1) * limit]
+  );
+
+  return res.status(200).json({
+    data: rows,
+    total,
+    page,
+    limit,
+    pages: Math.ceil(total / limit),
+  });
+}
@@ -0,0 +1,60 @@
+// api/lib/mailer.js
+//
+// Outgoing email. Uses SMTP_* env vars via nodemailer; with no SMTP_HOST
+// messages are only logged, so local and preview runs never send real mail.
+// In production (VERCEL_ENV=production) a missing SMTP_HOST is an error instead,
+// so callers see the failure rather than counting a logged message as sent.
+// Anything with a sendMail(message) method can be swapped in with setTransport().
+
+let transport;
+
+async function getNodemailer() {
+  const mod = await import("nodemailer");
+  return mod.default || mod;
+}
+
+export function setTransport(t) {
+  transport = t;
+}
+
+export async function getTransport() {
+  if (transport) return transport;
+
+  const nodemailer = await getNodemailer();
+  if (process.env.SMTP_HOST) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: String(process.env.SMTP_SECURE || "") === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  } else if (process.env.VERCEL_ENV === "production") {
+    throw new Error("SMTP_HOST is not set; cannot send mail in production");
+  } else {
+    const json = nodemailer.createTransport({ jsonTransport: true });
+    transport = {
+      async sendMail(message) {
+        const info = await json.sendMail(message);
+        console.log("Mail (not sent, SMTP_HOST unset):", info.message);
+        return info;
+      },
+    };
+  }
+  return transport;
+}
+
+export async function sendMail(message) {
+  const t = await getTransport();
+  return t.sendMail({ from: process.env.MAIL_FROM || process.env.SMTP_USER, ...message });
+}
+
+/**
+ * Fill {{name}} placeholders from vars. Unknown names render as "".
+ */
+export function renderTemplate(template, vars) {
+  return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key) =>
+    vars[key] === null || vars[key] === undefined ? "" : String(vars[key])
+  );
+}
@@ -0,0 +1,124 @@
+// api/lib/project-stages.js
+//
+// Stage history and milestones for projects (sql/016_project_stages.sql).
+// Every write that moves projects.stage adds a project_stage_history row, so
+// /api/projects/stages can work out how long each project spent in each stage.
+import { PROJECT_STAGES } from "./schemas.js";
+import { toDateString } from "./renewals.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toTime = (value) => (value instanceof Date ? value.getTime() : new Date(value).getTime());
+const toDays = (ms) => Math.round((ms / DAY_MS) * 10) / 10;
+
+/**
+ * Add a history row when a project's stage changes (`from` is null for a new project).
+ * Failures are logged, not thrown: the project itself has already been saved.
+ */
+export async function recordStageChange(db, req, { projectId, from = null, to, progress = null }) {
+  if (!to || from === to) return;
+  try {
+    const user = req.user || {};
+    await db.query(
+      `INSERT INTO project_stage_history (project_id, from_stage, stage, progress_percent, changed_by, changed_at)
+       VALUES (?, ?, ?, ?, ?, NOW())`,
+      [projectId, from, to, progress ?? null, user.id || null]
+    );
+  } catch (err) {
+    console.error(`Stage history write failed (project #${projectId}):`, err);
+  }
+}
+
+/**
+ * History rows for one or more projects, oldest first within each project.
+ */
+export async function loadStageHistory(db, projectIds) {
+  const ids = [].concat(projectIds);
+  if (!ids.length) return [];
+  const [rows] = await db.query(
+    `SELECT * FROM project_stage_history
+     WHERE project_id IN (?)
+     ORDER BY project_id ASC, changed_at ASC, id ASC`,
+    [ids]
+  );
+  return rows;
+}
+
+/**
+ * Time spent in each stage from one project's history (oldest first). A stage
+ * lasts until the next change; the last one until `until` (now, or when the
+ * project was marked complete). Returns
+ *   { entries: [{ ...row, ended_at, days }],
+ *     stages:  [{ stage, days, visits }]   - in PROJECT_STAGES order, stages never entered left out
+ *     current: { stage, since, days } | null }
+ */
+export function stageDurations(history, until = new Date()) {
+  const end = toTime(until);
+  const totals = new Map();
+
+  const entries = history.map((row, i) => {
+    const next = history[i + 1];
+    const start = toTime(row.changed_at);
+    const stop = next ? toTime(next.changed_at) : Math.max(start, end);
+    const ms = Math.max(0, stop - start);
+
+    const total = totals.get(row.stage) || { stage: row.stage, ms: 0, visits: 0 };
+    total.ms += ms;
+    total.visits += 1;
+    totals.set(row.stage, total);
+
+    return { ...row, ended_at: next ? next.changed_at : null, days: toDays(ms) };
+  });
+
+  const order = (stage) => {
+    const i = PROJECT_STAGES.indexOf(stage);
+    return i === -1 ? PROJECT_STAGES.length : i;
+  };
+  const stages = [...totals.values()]
+    .sort((a, b) => order(a.stage) - order(b.stage))
+    .map(({ stage, ms, visits }) => ({ stage, days: toDays(ms), visits }));
+
+  const last = entries[entries.length - 1];
+  return {
+    entries,
+    stages,
+    current: last ? { stage: last.stage, since: last.changed_at, days: last.days } : null,
+  };
+}
+
+/**
+ * Response form of a milestone row:
+ * status is "done", "overdue" (past its due date and not done) or "open";
+ * days_late is how far past the due date it was completed (or is now, if overdue).
+ */
+export function toMilestone(row, today = toDateString(new Date())) {
+  const due = toDateString(row.due_date);
+  const completed = toDateString(row.completed_date);
+  const status = completed ? "done" : due && due < today ? "overdue" : "open";
+  const lateBy = (date) => Math.round((toTime(date) - toTime(due)) / DAY_MS);
+  return {
+    id: row.id,
+    project_id: row.project_id,
+    title: row.title,
+    due_date: due,
+    completed_date: completed,
+    notes: row.notes || null,
+    status,
+    days_late: !due ? null : completed ? lateBy(completed) : status === "overdue" ? lateBy(today) : null,
+  };
+}
+
+/**
+ * Unarchived milestones of one or more projects, by due date (undated last).
+ */
+export async function loadMilestones(db, projectIds) {
+  const ids = [].concat(projectIds);
+  if (!ids.length) return [];
+  const [rows] = await db.query(
+    `SELECT * FROM project_milestones
+     WHERE project_id IN (?) AND deleted_at IS NULL
+     ORDER BY project_id ASC, due_date IS NULL, due_date ASC, id ASC`,
+    [ids]
+  );
+  return rows.map((row) => toMilestone(row));
+}
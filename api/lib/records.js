@@ -0,0 +1,119 @@
+// api/lib/records.js
+//
+// Single-record handling shared by the entity routes:
+//   GET   ?id=<id>            one record; 404 if unknown or archived (?archived=include to see those)
+//   PATCH { id, ...fields }   update only the fields sent and return the updated record
+// PATCH also takes the id as ?id=. Fields are validated with the route's
+// schema in "patch" mode, so a field that is left out is left alone.
+// Both send the row's version as an ETag; PATCH honours If-Match / body.version
+// (see api/lib/versions.js) and answers a stale write with 409 and the current record.
+//
+// spec = {
+//   entity: "tasks",                  // name used in the audit log
+//   table: "tasks",
+//   schema: SCHEMAS.tasks,
+//   fields: ["title", "details"],     // body fields PATCH may change
+//   columns: { type: "event_type" },  // body field -> column, where they differ
+//   touch: true,                      // also set updated_at = NOW()
+//   select: "SELECT p.*, ...",        // custom read query (joins), with
+//   alias: "p",                       // the alias of the main table in it
+//   extra: (data, before) => ({}),    // more columns to set, derived from the change
+//   afterUpdate: async (db, req, before, after) => {},   // follow-up writes once the change is saved
+//   shape: (row) => row,              // response form of a row
+//   key: "project",                   // reply { ok: true, project } instead of the bare record
+// }
+import { loadForAudit, recordAudit } from "./audit.js";
+import { archivedCondition, ArchiveError } from "./archive.js";
+import { parseBody } from "./validate.js";
+import { versionGuard, etag } from "./versions.js";
+
+function toId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+const shape = (spec, row) => (spec.shape ? spec.shape(row) : row);
+
+function send(res, spec, status, row) {
+  const tag = etag(row);
+  if (tag) res.setHeader("ETag", tag);
+  const record = shape(spec, row);
+  return res.status(status).json(spec.key ? { ok: true, [spec.key]: record } : record);
+}
+
+function fail(res, spec, status, error, extra = {}) {
+  return res.status(status).json({ ...(spec.key ? { ok: false } : {}), error, ...extra });
+}
+
+async function loadRecord(db, spec, id, archived) {
+  const col = (c) => (spec.alias ? `${spec.alias}.${c}` : c);
+  const where = [`${col("id")} = ?`];
+  const cond = archivedCondition(archived, spec.alias);
+  if (cond) where.push(cond);
+  const [[row]] = await db.query(
+    `${spec.select || `SELECT * FROM ${spec.table}`} WHERE ${where.join(" AND ")}`,
+    [id]
+  );
+  return row || null;
+}
+
+/**
+ * GET ?id= for one record.
+ */
+export async function sendRecord(db, req, res, spec) {
+  const query = req.query || {};
+  const id = toId(query.id);
+  if (!id) return fail(res, spec, 400, "id must be a positive integer");
+
+  let row;
+  try {
+    row = await loadRecord(db, spec, id, query.archived);
+  } catch (err) {
+    if (err instanceof ArchiveError) return fail(res, spec, err.status, err.message);
+    throw err;
+  }
+  if (!row) return fail(res, spec, 404, "Record not found");
+  return send(res, spec, 200, row);
+}
+
+/**
+ * PATCH: partial update. A ValidationError from the body is thrown for the
+ * route's catch block to send, like the POST and PUT branches.
+ */
+export async function patchRecord(db, req, res, spec) {
+  const id = toId((req.body && req.body.id) ?? (req.query && req.query.id));
+  if (!id) return fail(res, spec, 400, "Missing id for update");
+
+  const data = await parseBody(db, spec.schema, req.body, "patch");
+  const guard = versionGuard(req);
+
+  const before = await loadForAudit(db, spec.table, id);
+  if (!before || before.deleted_at) return fail(res, spec, 404, "Record not found");
+
+  const changes = {};
+  for (const field of spec.fields) {
+    if (field in data) changes[(spec.columns || {})[field] || field] = data[field];
+  }
+  if (!Object.keys(changes).length) return fail(res, spec, 400, "No valid fields to update");
+  if (spec.extra) Object.assign(changes, spec.extra(data, before));
+
+  const sets = Object.keys(changes).map((c) => `${c} = ?`);
+  sets.push("version = version + 1");
+  if (spec.touch) sets.push("updated_at = NOW()");
+  const [result] = await db.query(
+    `UPDATE ${spec.table} SET ${sets.join(", ")} WHERE id = ? AND deleted_at IS NULL${guard.sql}`,
+    [...Object.values(changes), id, ...guard.params]
+  );
+  if (!result.affectedRows) {
+    const current = await loadRecord(db, spec, id);
+    if (!current) return fail(res, spec, 404, "Record not found");
+    res.setHeader("ETag", etag(current));
+    return fail(res, spec, 409, "Record has been changed by someone else", { current: shape(spec, current) });
+  }
+
+  const after = await loadForAudit(db, spec.table, id);
+  await recordAudit(db, req, { entity: spec.entity, id, action: "update", before, after });
+  if (spec.afterUpdate) await spec.afterUpdate(db, req, before, after);
+
+  return send(res, spec, 200, await loadRecord(db, spec, id, "include"));
+}
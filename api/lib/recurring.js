@@ -0,0 +1,105 @@
+// api/lib/recurring.js
+//
+// Month maths shared by the dashboard, billing runs and the Xero export.
+
+export function ymd(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+export const firstOfMonth = d => new Date(d.getFullYear(), d.getMonth(), 1);
+export const lastOfMonth  = d => new Date(d.getFullYear(), d.getMonth() + 1, 0);
+
+export const BILLING_CYCLES = ["weekly", "monthly", "quarterly", "annual"];
+
+// Calendar months between charges; weekly is handled by counting days instead.
+const CYCLE_MONTHS = { monthly: 1, quarterly: 3, annual: 12 };
+
+// DATE columns arrive as Date (mysql2) or "YYYY-MM-DD" strings; read both as local calendar dates.
+function toLocalDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+  if (m) return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  const d = new Date(value);
+  return isNaN(d) ? null : new Date(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+const dayNumber = d => Math.round(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()) / 86400000);
+
+export function billingCycle(rec) {
+  const cycle = String(rec.billing_cycle || "monthly").toLowerCase();
+  return BILLING_CYCLES.includes(cycle) ? cycle : null;
+}
+
+/**
+ * How many times a recurring_sales row is charged in the month of monthDate.
+ * Monthly rows charge once in every month their start/end range touches.
+ * Quarterly and annual rows charge in the anchor month and every 3/12 months from it.
+ * Weekly rows charge on each 7-day step from the anchor that lands inside the month.
+ * The anchor is billing_anchor, else start_date, else 1 January.
+ */
+export function chargesInMonth(rec, monthDate) {
+  const cycle = billingCycle(rec);
+  const activeFlag = rec.active == null || rec.active == 1;
+  if (!cycle || !activeFlag) return 0;
+
+  const start = toLocalDate(rec.start_date);
+  const end   = toLocalDate(rec.end_date);
+  const mStart = firstOfMonth(monthDate);
+  const mEnd   = lastOfMonth(monthDate);
+  if ((start && start > mEnd) || (end && end < mStart)) return 0;
+
+  const anchor = toLocalDate(rec.billing_anchor) || start || new Date(mStart.getFullYear(), 0, 1);
+
+  if (cycle === "weekly") {
+    const lo = dayNumber(start && start > mStart ? start : mStart);
+    const hi = dayNumber(end && end < mEnd ? end : mEnd);
+    const a = dayNumber(anchor);
+    const first = Math.ceil((lo - a) / 7);
+    const last = Math.floor((hi - a) / 7);
+    return Math.max(0, last - first + 1);
+  }
+
+  const step = CYCLE_MONTHS[cycle];
+  const diff = (mStart.getFullYear() - anchor.getFullYear()) * 12 + (mStart.getMonth() - anchor.getMonth());
+  return ((diff % step) + step) % step === 0 ? 1 : 0;
+}
+
+/**
+ * True when a recurring_sales row should be charged in the month of monthDate.
+ */
+export function isActiveInMonth(rec, monthDate) {
+  return chargesInMonth(rec, monthDate) > 0;
+}
+
+export const rowAmount = r =>
+  (r.amount != null ? Number(r.amount)
+   : Number(r.quantity || 0) * Number(r.unit_amount || 0)) || 0;
+
+// Invoice line for a row, always adding up to rowAmount() so exports and invoices
+// match the dashboard: the row's own quantity x unit price when that multiplies out
+// to its amount, otherwise one unit of the amount.
+// `charges` scales the quantity when a weekly row bills several times in one month.
+export function lineAmounts(r, charges = 1) {
+  const amount = rowAmount(r);
+  const qty = Number(r.quantity || 0);
+  const unit = Number(r.unit_amount || 0);
+  if (qty > 0 && unit > 0 && Math.abs(qty * unit - amount) < 0.005) {
+    return { quantity: qty * charges, unit_amount: unit, amount: amount * charges };
+  }
+  return { quantity: charges, unit_amount: amount, amount: amount * charges };
+}
+
+// What a row bills in the month of monthDate, allowing for several weekly charges.
+export const amountForMonth = (r, monthDate) => rowAmount(r) * chargesInMonth(r, monthDate);
+
+// Monthly-equivalent value of a row, for MRR.
+const MONTHLY_FACTOR = { weekly: 52 / 12, monthly: 1, quarterly: 1 / 3, annual: 1 / 12 };
+
+export function monthlyEquivalent(r) {
+  const cycle = billingCycle(r);
+  return cycle ? rowAmount(r) * MONTHLY_FACTOR[cycle] : 0;
+}
@@ -0,0 +1,29 @@
+// api/lib/renewals.js
+
+// renewals.renewal_term values and how far one renewal moves the date on.
+export const RENEWAL_TERMS = { monthly: 1, "1y": 12, "2y": 24 };
+
+/**
+ * Move a YYYY-MM-DD date on by one term, clamping to month end
+ * (31 Jan + monthly = 28/29 Feb).
+ */
+export function addTerm(dateStr, term) {
+  const months = RENEWAL_TERMS[term];
+  if (!months) throw new Error(`Unknown renewal term '${term}'`);
+  const [y, m, d] = String(dateStr).slice(0, 10).split("-").map(Number);
+  const target = new Date(Date.UTC(y, m - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(d, lastDay));
+  return target.toISOString().slice(0, 10);
+}
+
+export function toDateString(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    const y = value.getFullYear();
+    const m = String(value.getMonth() + 1).padStart(2, "0");
+    const d = String(value.getDate()).padStart(2, "0");
+    return `${y}-${m}-${d}`;
+  }
+  return String(value).slice(0, 10);
+}
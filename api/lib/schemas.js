@@ -0,0 +1,135 @@
+// api/lib/schemas.js
+//
+// Body schemas for the entity routes, checked with parseBody() from
+// api/lib/validate.js. Field names match the request bodies the routes take.
+import { ROLES } from "./auth.js";
+import { BILLING_CYCLES } from "./recurring.js";
+import { RENEWAL_TERMS } from "./renewals.js";
+
+export const PROJECT_PRIORITIES = ["low", "normal", "high", "urgent"];
+export const PROJECT_STAGES = ["not_started", "discovery", "design", "build", "qa", "live", "blocked", "completed"];
+export const EVENT_TYPES = ["meeting", "call", "followup", "personal"];
+export const ONEOFF_STATUSES = ["draft", "sent", "paid"];
+
+const clientRef = { type: "id", references: "clients" };
+
+export const SCHEMAS = {
+  clients: {
+    name: { type: "string", requiredWithout: "company" },
+    company: { type: "string" },
+    contact_name: { type: "string" },
+    email: { type: "email" },
+    phone: { type: "string", maxLength: 50 },
+    address1: { type: "string" },
+    city: { type: "string", maxLength: 100 },
+    status: { type: "string", maxLength: 30 },
+    website: { type: "url" },
+    notes: { type: "text" },
+    seo_branding_id: { type: "id", references: "seo_brandings" },
+  },
+
+  tasks: {
+    client_id: { ...clientRef, required: "create" },
+    title: { type: "string", required: true },
+    details: { type: "text" },
+    due_date: { type: "date" },
+    status: { type: "string", maxLength: 30 },
+  },
+
+  projects: {
+    client_id: clientRef,
+    client_name_manual: { type: "string" },
+    title: { type: "string", required: true },
+    notes: { type: "text" },
+    allocated_to: { type: "string", maxLength: 100 },
+    cost: { type: "number", min: 0 },
+    start_date: { type: "date" },
+    eta_date: { type: "date" },
+    priority: { type: "enum", values: PROJECT_PRIORITIES, nullable: false },
+    stage: { type: "enum", values: PROJECT_STAGES, nullable: false },
+    progress_percent: { type: "int", min: 0, max: 100, nullable: false },
+    completed: { type: "boolean", nullable: false },
+  },
+
+  project_milestones: {
+    project_id: { type: "id", references: "projects", required: "create" },
+    title: { type: "string", required: true },
+    due_date: { type: "date" },
+    completed_date: { type: "date" },
+    notes: { type: "text" },
+  },
+
+  renewals: {
+    client_id: clientRef,
+    service_type: { type: "string", maxLength: 50 },
+    item_label: { type: "string", required: true },
+    provider: { type: "string" },
+    renewal_date: { type: "date", required: true },
+    renewal_term: { type: "enum", values: Object.keys(RENEWAL_TERMS), nullable: false },
+    cost: { type: "number", min: 0 },
+    auto_renew: { type: "boolean", nullable: false },
+    status: { type: "string", maxLength: 30 },
+  },
+
+  oneoff_sales: {
+    client_id: { ...clientRef, required: "create" },
+    description: { type: "text" },
+    amount: { type: "number" },
+    status: { type: "enum", values: ONEOFF_STATUSES, nullable: false },
+    quantity: { type: "number", min: 0 },
+    unit_amount: { type: "number" },
+    notes: { type: "text" },
+    sale_date: { type: "date" },
+  },
+
+  recurring_sales: {
+    client_id: { ...clientRef, required: "create" },
+    product: { type: "string" },
+    service_name: { type: "string" },
+    amount: { type: "number" },
+    description: { type: "text" },
+    quantity: { type: "number", min: 0 },
+    unit_amount: { type: "number" },
+    start_date: { type: "date" },
+    end_date: { type: "date" },
+    notes: { type: "text" },
+    billing_cycle: { type: "enum", values: BILLING_CYCLES, nullable: false },
+    billing_anchor: { type: "date" },
+    active: { type: "boolean", nullable: false },
+  },
+
+  calendar_events: {
+    client_id: clientRef,
+    title: { type: "string", required: true },
+    type: { type: "enum", values: EVENT_TYPES, nullable: false },
+    date: { type: "date", required: true },
+    time: { type: "time" },
+    notes: { type: "text" },
+  },
+
+  xero_exports: {
+    name: { type: "string", required: true },
+    period_year: { type: "int", min: 2000, max: 2100, required: true },
+    period_month: { type: "int", min: 1, max: 12, required: true },
+  },
+
+  // `config` is checked separately by validateProfileConfig() in api/lib/seo-profiles.js
+  seo_mapping_profiles: {
+    name: { type: "string", required: true },
+    notes: { type: "text" },
+  },
+
+  // `config` and the image/font fields are checked in api/lib/seo-brandings.js
+  seo_brandings: {
+    name: { type: "string", required: true },
+  },
+
+  users: {
+    email: { type: "email", required: "create" },
+    name: { type: "string" },
+    // blank on update means "keep the current password"
+    password: { type: "string", minLength: 8, maxLength: 200, required: "create", nullable: true },
+    role: { type: "enum", values: ROLES },
+    active: { type: "boolean" },
+  },
+};
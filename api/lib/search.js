@@ -0,0 +1,131 @@
+// api/lib/search.js
+//
+// Small fuzzy matcher for /api/search. SQL narrows each table to rows that
+// share an n-gram with the query, then rows are scored here so a typo or two
+// still finds the record.
+
+export function normalise(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+// Shorter query tokens are ignored: a single letter is in almost every row.
+export const MIN_TOKEN_LENGTH = 2;
+
+export function tokenize(text) {
+  return normalise(text).split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent swaps), capped at max+1.
+export function editDistance(a, b, max = 2) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const prev2 = new Array(b.length + 1);
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        v = Math.min(v, prev2[j - 2] + 1);
+      }
+      cur[j] = v;
+      rowMin = Math.min(rowMin, v);
+    }
+    if (rowMin > max) return max + 1;
+    for (let j = 0; j <= b.length; j++) prev2[j] = prev[j];
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// How well one query token matches one word of a field, 0..1.
+function tokenSimilarity(q, word) {
+  if (word === q) return 1;
+  if (word.startsWith(q)) return 0.9;
+  if (q.length >= 3 && word.includes(q)) return 0.75;
+  if (q.length >= 4) {
+    const allowed = q.length >= 7 ? 2 : 1;
+    const d = editDistance(q, word.slice(0, q.length + allowed), allowed);
+    if (d <= allowed) return d === 1 ? 0.7 : 0.5;
+  }
+  return 0;
+}
+
+/**
+ * SQL fragments for candidate rows: any column LIKE any n-gram of any query token.
+ * Trigrams for longer tokens, bigrams for short ones, so one typo rarely removes every gram.
+ * `rank` orders the candidates before the LIMIT, so a loose gram match can't crowd
+ * out a row that holds a query token whole (exact value, prefix, word prefix, anywhere).
+ * Tokens shorter than MIN_TOKEN_LENGTH match nearly every row; callers drop them.
+ */
+export function candidateFilter(columns, queryTokens) {
+  const grams = new Set();
+  for (const t of queryTokens) {
+    const n = t.length >= 6 ? 3 : 2;
+    if (t.length <= n) grams.add(t);
+    for (let i = 0; i + n <= t.length; i++) grams.add(t.slice(i, i + n));
+  }
+  const clauses = [];
+  const params = [];
+  const rankTerms = [];
+  const rankParams = [];
+  for (const col of columns) {
+    for (const g of grams) {
+      clauses.push(`LOWER(${col}) LIKE ?`);
+      params.push(`%${g}%`);
+    }
+    // tokens are [a-z0-9] only (tokenize), so they need no LIKE escaping
+    const value = `COALESCE(LOWER(${col}), '')`;
+    for (const t of queryTokens) {
+      rankTerms.push(`(${value} = ?) * 4 + (${value} LIKE ?) * 2 + (${value} LIKE ?) * 2 + (${value} LIKE ?)`);
+      rankParams.push(t, `${t}%`, `% ${t}%`, `%${t}%`);
+    }
+  }
+  return {
+    sql: clauses.length ? `(${clauses.join(" OR ")})` : "1=0",
+    params,
+    rank: rankTerms.length ? rankTerms.join(" + ") : "0",
+    rankParams,
+  };
+}
+
+/**
+ * Score a row against the query. fields = [{ name, weight, value, digits? }].
+ * Every query token has to match some field; returns null otherwise.
+ */
+export function scoreRow(queryTokens, fields) {
+  let total = 0;
+  const matched = new Set();
+
+  for (const q of queryTokens) {
+    let best = 0;
+    let bestField = null;
+    for (const f of fields) {
+      if (f.value === null || f.value === undefined || f.value === "") continue;
+      let sim = 0;
+      if (f.digits) {
+        const digits = String(f.value).replace(/\D/g, "");
+        sim = /^\d{3,}$/.test(q) && digits.includes(q) ? 1 : 0;
+      } else {
+        for (const word of tokenize(f.value)) {
+          sim = Math.max(sim, tokenSimilarity(q, word));
+          if (sim === 1) break;
+        }
+      }
+      const s = sim * f.weight;
+      if (s > best) {
+        best = s;
+        bestField = f.name;
+      }
+    }
+    if (!best) return null;
+    total += best;
+    matched.add(bestField);
+  }
+
+  return { score: Math.round((total / queryTokens.length) * 1000) / 1000, matched: Array.from(matched) };
+}
@@ -0,0 +1,235 @@
+// api/lib/seo-batch.js
+//
+// Batch SEO reports: several uploads, or one zip of workbooks, give a zip with
+// a report per workbook plus manifest.json listing what worked and what failed.
+import path from "path";
+import fs from "fs";
+import { getPool } from "./db.js";
+import { toDateString } from "./renewals.js";
+import { saveSeoRun } from "./seo-runs.js";
+import { DEFAULT_BRANDING, resolveBranding } from "./seo-brandings.js";
+import { getJSZip, zipEntries, parseSeoWorkbook, SeoInputError } from "./seo-parse.js";
+import { summaryJson } from "./seo-format.js";
+import { seoPdfBuffer } from "./seo-pdf.js";
+import { buildSeoHtml } from "./seo-html.js";
+
+const MAX_BATCH_FILES = 100;
+// Vercel refuses function responses over 4.5 MB. Reports stop being added once
+// the zip would pass this (leaving room for the manifest and zip headers); a
+// branded PDF is ~240 KB, so that is roughly 15 PDFs per batch.
+const MAX_BATCH_BYTES = 4 * 1024 * 1024;
+const BATCH_FILE_RE = /\.(xlsx|csv|zip)$/i;
+
+// The files to report on, or null when the upload is a single report
+// (one workbook, CSV, or zip of section CSVs)
+export async function batchItems(uploads) {
+  const items = [];
+  let expanded = false;
+  for (const upload of uploads) {
+    const name = upload.originalFilename || path.basename(upload.filepath);
+    const single = { name, read: () => fs.promises.readFile(upload.filepath) };
+    if (!/\.zip$/i.test(name)) {
+      items.push(single);
+      continue;
+    }
+
+    const JSZip = await getJSZip();
+    let zip = null;
+    try {
+      zip = await JSZip.loadAsync(await single.read());
+    } catch {
+      // not readable as a zip – reported when it is parsed
+    }
+    const entries = zip ? zipEntries(zip) : [];
+    if (!entries.some((entry) => /\.(xlsx|zip)$/i.test(entry.name))) {
+      items.push(single);
+      continue;
+    }
+    entries.forEach((entry) =>
+      items.push({ name: entry.name, read: () => entry.async("nodebuffer") })
+    );
+    expanded = true;
+  }
+
+  return uploads.length > 1 || expanded ? items : null;
+}
+
+// "https://www.Example.co.nz/" -> "example.co.nz"
+function domainKey(text) {
+  const match = String(text || "").match(/[a-z0-9.-]+\.[a-z]{2,}/i);
+  return match ? match[0].toLowerCase().replace(/^www\./, "") : "";
+}
+
+async function clientsByDomain(db) {
+  const [rows] = await db.query(
+    "SELECT id, website, seo_branding_id FROM clients WHERE deleted_at IS NULL AND website <> ''"
+  );
+  const clients = new Map();
+  rows.forEach((c) => {
+    const key = domainKey(c.website.replace(/^[a-z]+:\/\//i, ""));
+    if (key && !clients.has(key)) clients.set(key, c);
+  });
+  return clients;
+}
+
+async function renderReportFile(summary, branding, format, reportId) {
+  if (format === "json") {
+    return { ext: "json", data: Buffer.from(JSON.stringify(summaryJson(summary, reportId), null, 2)) };
+  }
+  if (format === "html") {
+    return { ext: "html", data: Buffer.from(buildSeoHtml(summary, branding)) };
+  }
+  return { ext: "pdf", data: await seoPdfBuffer(summary, branding) };
+}
+
+// One report per item, in order. A file that fails is recorded in the
+// manifest and the rest carry on.
+export async function sendSeoBatch(req, res, items, { profile, candidates, clientId, brandingId, format }) {
+  if (items.length > MAX_BATCH_FILES) {
+    throw new SeoInputError(
+      `A batch can hold at most ${MAX_BATCH_FILES} files; this upload has ${items.length}.`
+    );
+  }
+
+  const pool = getPool();
+  // a client_id applies to every file; otherwise clients are matched on their website
+  let fixedClient = null;
+  let clients = new Map();
+  if (clientId) {
+    [[fixedClient]] = await pool.query("SELECT id, seo_branding_id FROM clients WHERE id = ?", [clientId]);
+  } else {
+    try {
+      clients = await clientsByDomain(pool);
+    } catch (err) {
+      console.error("SEO batch client lookup error:", err);
+    }
+  }
+
+  const brandings = new Map();
+  const brandingFor = async (id) => {
+    if (!id) return DEFAULT_BRANDING;
+    if (!brandings.has(id)) brandings.set(id, await resolveBranding(pool, { brandingId: id }));
+    return brandings.get(id);
+  };
+
+  const JSZip = await getJSZip();
+  const archive = new JSZip();
+  const used = new Set();
+  const files = [];
+  let bytes = 0;
+  let full = false;
+
+  for (const item of items) {
+    const sourceFile = path.basename(item.name);
+    if (full) {
+      files.push({
+        file: item.name,
+        ok: false,
+        skipped: true,
+        error: "Not processed: the batch reached its size limit. Upload this file in another batch."
+      });
+      continue;
+    }
+    try {
+      if (!BATCH_FILE_RE.test(sourceFile)) {
+        throw new SeoInputError(`${sourceFile} is not an .xlsx, .csv or .zip file.`);
+      }
+      const summary = await parseSeoWorkbook(await item.read(), sourceFile, {
+        profile,
+        candidates
+      });
+
+      const domain = domainKey(summary.domain);
+      const client = fixedClient || clients.get(domain) || null;
+
+      let reportId = null;
+      try {
+        reportId = await saveSeoRun(pool, req, summary, {
+          clientId: client ? client.id : null,
+          sourceFile
+        });
+      } catch (err) {
+        console.error("SEO report save error:", err);
+      }
+
+      const branding = await brandingFor(brandingId || (client && client.seo_branding_id));
+      const { ext, data } = await renderReportFile(summary, branding, format, reportId);
+
+      // PDFs barely compress, so the raw size is what counts against the limit
+      if (bytes + data.length > MAX_BATCH_BYTES) {
+        full = true;
+        files.push({
+          file: item.name,
+          ok: false,
+          skipped: true,
+          domain: summary.domain || null,
+          report_id: reportId,
+          error:
+            "Left out: the batch reached its size limit. " +
+            (reportId
+              ? `The run was saved; download it with GET /api/reports/seo?run_id=${reportId}.`
+              : "Upload this file in another batch.")
+        });
+        continue;
+      }
+      bytes += data.length;
+
+      const base = `SEO-Report-${domain || "site"}`;
+      let output = `${base}.${ext}`;
+      for (let n = 2; used.has(output); n++) output = `${base}-${n}.${ext}`;
+      used.add(output);
+      archive.file(output, data);
+
+      files.push({
+        file: item.name,
+        ok: true,
+        domain: summary.domain || null,
+        output,
+        report_id: reportId,
+        client_id: client ? client.id : null,
+        profile: summary.profile.name
+      });
+    } catch (err) {
+      if (!(err instanceof SeoInputError)) console.error(`SEO batch error (${item.name}):`, err);
+      files.push({
+        file: item.name,
+        ok: false,
+        error: err && err.message ? err.message : String(err),
+        ...(err instanceof SeoInputError && (err.found.length || err.missing.length)
+          ? { found: err.found, missing: err.missing }
+          : {})
+      });
+    }
+  }
+
+  const succeeded = files.filter((f) => f.ok).length;
+  const skipped = files.filter((f) => f.skipped).length;
+  const manifest = {
+    generated_at: new Date().toISOString(),
+    format,
+    total: files.length,
+    succeeded,
+    failed: files.length - succeeded - skipped,
+    skipped,
+    files
+  };
+
+  if (!succeeded) {
+    res.statusCode = 400;
+    return res.json({ error: "None of the uploaded files produced a report", ...manifest });
+  }
+
+  archive.file("manifest.json", JSON.stringify(manifest, null, 2));
+  const zip = await archive.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="SEO-Reports-${toDateString(new Date())}.zip"`
+  );
+  res.setHeader("X-SEO-Batch-Succeeded", String(manifest.succeeded));
+  res.setHeader("X-SEO-Batch-Failed", String(manifest.failed));
+  res.setHeader("X-SEO-Batch-Skipped", String(manifest.skipped));
+  return res.end(zip);
+}
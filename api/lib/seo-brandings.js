@@ -0,0 +1,192 @@
+// api/lib/seo-brandings.js
+//
+// White-label branding for SEO PDFs (sql/013_seo_brandings.sql). A branding
+// row holds a config plus its images and fonts as blobs:
+//
+// config = {
+//   cover_title: "Search Performance Report",
+//   footer_text: "Acme Digital · 0800 123 456 · hello@acme.co.nz",
+//   colors: { dark, primary, success, accent, heading, text, muted },   // "#rrggbb"
+//   font: "Helvetica" | "Times" | "Courier",     // used unless font files are uploaded
+// }
+// assets: hero_image, logo_left, logo_right (PNG/JPEG), font_regular, font_bold (TTF/OTF),
+// sent as base64 or data: URLs.
+//
+// The branding for a report is the one asked for, else the client's
+// seo_branding_id, else the built-in WebXperts look (DEFAULT_BRANDING).
+import path from "path";
+import { ValidationError } from "./validate.js";
+
+export const BRANDING_COLORS = ["dark", "primary", "success", "accent", "heading", "text", "muted"];
+export const BRANDING_ASSETS = ["hero_image", "logo_left", "logo_right", "font_regular", "font_bold"];
+export const BRANDING_FONTS = {
+  Helvetica: { regular: "Helvetica", bold: "Helvetica-Bold", italic: "Helvetica-Oblique", boldItalic: "Helvetica-BoldOblique" },
+  Times: { regular: "Times-Roman", bold: "Times-Bold", italic: "Times-Italic", boldItalic: "Times-BoldItalic" },
+  Courier: { regular: "Courier", bold: "Courier-Bold", italic: "Courier-Oblique", boldItalic: "Courier-BoldOblique" },
+};
+
+const MAX_ASSET_BYTES = 2 * 1024 * 1024;
+const COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+const publicFile = (name) => path.join(process.cwd(), "public", name);
+
+// What buildSeoPdf() gets: images are Buffers or file paths, fonts are Buffers or null
+export const DEFAULT_BRANDING = {
+  id: null,
+  name: "WebXperts",
+  cover_title: "SEO Report",
+  footer_text: "",
+  colors: {
+    dark: "#222222",
+    primary: "#1976d2",
+    success: "#43a047",
+    accent: "#fb8c00",
+    heading: "#000000",
+    text: "#333333",
+    muted: "#555555",
+  },
+  font: "Helvetica",
+  fonts: { regular: null, bold: null },
+  images: {
+    hero: publicFile("IMG_0903.jpeg"),
+    logo_left: publicFile("IMG_0902.png"),
+    logo_right: publicFile("IMG_0906.png"),
+  },
+};
+
+const nonEmpty = (v) => typeof v === "string" && v.trim() !== "";
+
+/**
+ * Check a branding config; unknown keys are dropped. Throws ValidationError.
+ */
+export function validateBrandingConfig(config) {
+  const errors = [];
+  const clean = {};
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new ValidationError([{ field: "config", message: "config must be an object" }]);
+  }
+
+  for (const [key, max] of [["cover_title", 100], ["footer_text", 300]]) {
+    if (config[key] === undefined || config[key] === null) continue;
+    if (typeof config[key] !== "string" || config[key].length > max) {
+      errors.push({ field: `config.${key}`, message: `config.${key} must be text of at most ${max} characters` });
+    } else {
+      clean[key] = config[key].trim();
+    }
+  }
+
+  if (config.colors !== undefined && config.colors !== null) {
+    if (typeof config.colors !== "object" || Array.isArray(config.colors)) {
+      errors.push({ field: "config.colors", message: "config.colors must be an object" });
+    } else {
+      clean.colors = {};
+      for (const name of BRANDING_COLORS) {
+        const value = config.colors[name];
+        if (value === undefined || value === null || value === "") continue;
+        if (COLOR_RE.test(String(value).trim())) clean.colors[name] = String(value).trim().toLowerCase();
+        else errors.push({ field: `config.colors.${name}`, message: `config.colors.${name} must be a colour like #1976d2` });
+      }
+    }
+  }
+
+  if (config.font !== undefined && config.font !== null) {
+    const match = Object.keys(BRANDING_FONTS).find((f) => f.toLowerCase() === String(config.font).toLowerCase());
+    if (match) clean.font = match;
+    else errors.push({ field: "config.font", message: `config.font must be one of ${Object.keys(BRANDING_FONTS).join(", ")}` });
+  }
+
+  if (errors.length) throw new ValidationError(errors);
+  return clean;
+}
+
+function sniff(buffer) {
+  const head = buffer.subarray(0, 4);
+  if (head.equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]))) return "image/png";
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return "image/jpeg";
+  if (head.equals(Buffer.from([0x00, 0x01, 0x00, 0x00])) || ["OTTO", "true"].includes(head.toString("latin1"))) {
+    return "font";
+  }
+  return null;
+}
+
+/**
+ * Decode the asset fields of a request body. Returns { column: Buffer | null }
+ * for the fields that were sent (null clears an asset). Throws ValidationError.
+ */
+export function decodeAssets(body) {
+  const errors = [];
+  const assets = {};
+  for (const field of BRANDING_ASSETS) {
+    const value = body ? body[field] : undefined;
+    if (value === undefined) continue;
+    if (value === null || value === "") {
+      assets[field] = null;
+      continue;
+    }
+
+    const base64 = nonEmpty(value) ? value.replace(/^data:[^;,]*;base64,/, "").replace(/\s/g, "") : "";
+    const buffer = /^[A-Za-z0-9+/]+=*$/.test(base64) ? Buffer.from(base64, "base64") : null;
+    const kind = buffer && buffer.length ? sniff(buffer) : null;
+    const wantFont = field.startsWith("font_");
+
+    if (!kind) {
+      errors.push({ field, message: `${field} must be a base64 ${wantFont ? "TTF/OTF font" : "PNG or JPEG image"}` });
+    } else if ((kind === "font") !== wantFont) {
+      errors.push({ field, message: `${field} must be a ${wantFont ? "TTF/OTF font" : "PNG or JPEG image"}` });
+    } else if (buffer.length > MAX_ASSET_BYTES) {
+      errors.push({ field, message: `${field} must be at most 2 MB` });
+    } else {
+      assets[field] = buffer;
+    }
+  }
+  if (errors.length) throw new ValidationError(errors);
+  return assets;
+}
+
+const parseConfig = (row) => (typeof row.config === "string" ? JSON.parse(row.config) : row.config) || {};
+
+/**
+ * API form of a row: config plus has_<asset> flags instead of the blobs.
+ */
+export function toBranding(row) {
+  const out = { ...row, config: parseConfig(row) };
+  for (const field of BRANDING_ASSETS) {
+    out[`has_${field}`] = !!row[field];
+    delete out[field];
+  }
+  return out;
+}
+
+/**
+ * Resolve the branding for a report: explicit id, else the client's, else the
+ * built-in one. A deleted or missing branding falls back the same way.
+ */
+export async function resolveBranding(db, { brandingId = null, clientId = null } = {}) {
+  let id = brandingId;
+  if (!id && clientId) {
+    const [[client]] = await db.query("SELECT seo_branding_id FROM clients WHERE id = ?", [clientId]);
+    id = client ? client.seo_branding_id : null;
+  }
+  if (!id) return DEFAULT_BRANDING;
+
+  const [[row]] = await db.query("SELECT * FROM seo_brandings WHERE id = ? AND deleted_at IS NULL", [id]);
+  if (!row) return DEFAULT_BRANDING;
+
+  const config = parseConfig(row);
+  return {
+    id: row.id,
+    name: row.name,
+    cover_title: config.cover_title || DEFAULT_BRANDING.cover_title,
+    footer_text: config.footer_text ?? "",
+    colors: { ...DEFAULT_BRANDING.colors, ...config.colors },
+    font: config.font || DEFAULT_BRANDING.font,
+    fonts: { regular: row.font_regular || null, bold: row.font_bold || null },
+    // uploaded images replace the built-in ones; a branding without a logo shows none
+    images: {
+      hero: row.hero_image || null,
+      logo_left: row.logo_left || null,
+      logo_right: row.logo_right || null,
+    },
+  };
+}
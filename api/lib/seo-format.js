@@ -0,0 +1,373 @@
+// api/lib/seo-format.js
+//
+// Dates, wording and chart helpers shared by the SEO report outputs
+// (api/lib/seo-pdf.js, api/lib/seo-html.js) and the JSON form of a summary.
+import { toDateString } from "./renewals.js";
+
+// ---------- Dates and labels ----------
+// format as dd/mm/yyyy
+export function formatDateNZ(info) {
+  if (!info || !info.date) return "-";
+  const d = info.date;
+  const dd = String(d.getDate()).padStart(2, "0");
+  const mm = String(d.getMonth() + 1).padStart(2, "0");
+  const yyyy = d.getFullYear();
+  return `${dd}/${mm}/${yyyy}`;
+}
+
+export function describeBacklinkType(name) {
+  const lower = name.toLowerCase();
+  if (lower.includes("profile")) {
+    return "Profile backlinks are links from profile pages on business listings or social platforms. They help build brand signals and basic authority.";
+  }
+  if (lower.includes("web 2.0")) {
+    return "Web 2.0 backlinks come from content published on hosted blog platforms. They support topical relevance and can drive referral traffic.";
+  }
+  if (lower.includes("syndication")) {
+    return "Syndication backlinks are created when your content is republished on other sites, spreading your brand and earning contextual links.";
+  }
+  if (lower.includes("article")) {
+    return "Article submission backlinks are links gained from publishing articles on external sites, usually with contextual anchor text.";
+  }
+  if (lower.includes("social bookmarking")) {
+    return "Social bookmarking backlinks are links from bookmarking sites where your content is saved and shared, helping with discovery and indexing.";
+  }
+  if (lower.includes("all backlinks")) {
+    return "This section summarises all backlinks recorded in your workbook across every campaign type.";
+  }
+  return "These backlinks contribute to your overall authority and help search engines discover and trust your website.";
+}
+
+// SAFE ASCII "icons" for backlink headings
+export function getBacklinkIcon(name) {
+  const lower = name.toLowerCase();
+  if (lower.includes("profile")) return "[Profile]";
+  if (lower.includes("web 2.0")) return "[Web 2.0]";
+  if (lower.includes("syndication")) return "[Syndication]";
+  if (lower.includes("article")) return "[Article]";
+  if (lower.includes("social bookmarking")) return "[Social]";
+  if (lower.includes("all backlinks")) return "[All]";
+  return "[Links]";
+}
+
+// dd/mm for chart labels
+export function formatShortDate(date) {
+  if (!date) return "";
+  const dd = String(date.getDate()).padStart(2, "0");
+  const mm = String(date.getMonth() + 1).padStart(2, "0");
+  return `${dd}/${mm}`;
+}
+
+// Runs of consecutive non-null points, so gaps in the history break the line
+export function lineSegments(points) {
+  const segments = [];
+  let current = [];
+  points.forEach((p) => {
+    if (p === null) {
+      if (current.length) segments.push(current);
+      current = [];
+    } else {
+      current.push(p);
+    }
+  });
+  if (current.length) segments.push(current);
+  return segments;
+}
+
+// ---------- Report text ----------
+// The wording shared by the PDF and HTML versions of a report
+export function reportNarrative(summary) {
+  const {
+    latest,
+    periods,
+    trend,
+    tracked,
+    avgCurrent,
+    avgPrev,
+    pos1Count,
+    pos2Count,
+    pos3Count,
+    page1Count,
+    top10,
+    top10Prev,
+    hasPrevData,
+    hasVolume,
+    totalVolume,
+    visibility,
+    visibilityPrev,
+    estTraffic,
+    groups,
+    rankingPages,
+    topWinners,
+    topLosers,
+    backlinks
+  } = summary;
+
+  const prevPage1 = hasPrevData ? top10Prev : null;
+  const top3Count = pos1Count + pos2Count + pos3Count;
+
+  let performanceTrend = "stable performance";
+  let performanceDeltaPct = 0;
+  let performanceDirection = "changed";
+
+  if (hasPrevData && avgPrev > 0) {
+    const diff = avgPrev - avgCurrent;
+    performanceDeltaPct = Math.round(Math.abs((diff / avgPrev) * 100));
+
+    if (diff > 0.5) {
+      performanceTrend = "strong growth";
+      performanceDirection = "improved";
+    } else if (diff > 0) {
+      performanceTrend = "slight improvement";
+      performanceDirection = "improved";
+    } else if (diff < -0.5) {
+      performanceTrend = "a decline";
+      performanceDirection = "declined";
+    } else if (diff < 0) {
+      performanceTrend = "a slight decline";
+      performanceDirection = "declined";
+    } else {
+      performanceTrend = "no significant change";
+      performanceDirection = "changed";
+    }
+  }
+
+  const newTop10 =
+    hasPrevData && top10 > top10Prev ? top10 - top10Prev : 0;
+
+  const overview = [];
+  if (hasPrevData && performanceDeltaPct > 0) {
+    overview.push(
+      `This weeks SEO performance shows ${performanceTrend} in key metrics. ` +
+        `Performance ${performanceDirection} by approximately ${performanceDeltaPct}% compared to last week.`
+    );
+  } else {
+    overview.push(
+      "This weeks SEO performance establishes a baseline for ongoing tracking."
+    );
+  }
+
+  overview.push(
+    hasPrevData
+      ? `We currently hold ${page1Count} positions on the first page of Google for targeted keywords, with ${newTop10} new top-10 rankings achieved since last week.`
+      : `We currently hold ${page1Count} positions on the first page of Google for targeted keywords.`
+  );
+
+  // Longer view across every period in the workbook
+  const hasHistory = trend.length > 2;
+  const firstWithData = trend.find((t) => t.avg !== null);
+  if (hasHistory && firstWithData && firstWithData !== trend[trend.length - 1]) {
+    const lastTrend = trend[trend.length - 1];
+    overview.push(
+      `Over the ${trend.length} reporting periods since ${formatDateNZ(firstWithData)}, ` +
+        `the average position moved from ${firstWithData.avg.toFixed(1)} to ${
+          lastTrend.avg !== null ? lastTrend.avg.toFixed(1) : "-"
+        } and top-10 rankings from ${firstWithData.top10} to ${lastTrend.top10}.`
+    );
+  }
+
+  const page1Change =
+    hasPrevData && prevPage1 !== null
+      ? page1Count - prevPage1
+      : null;
+
+  const krLines = [];
+  krLines.push(`Total tracked keywords: ${tracked}.`);
+
+  if (hasPrevData && prevPage1 !== null) {
+    const dir =
+      page1Change > 0
+        ? "up"
+        : page1Change < 0
+        ? "down"
+        : "the same as";
+    krLines.push(
+      `First-page positions: ${page1Count} (${dir} ${Math.abs(
+        page1Change
+      ) || ""} from ${prevPage1} last week).`
+    );
+  } else {
+    krLines.push(`First-page positions: ${page1Count}.`);
+  }
+
+  krLines.push(`Top-3 positions: ${top3Count}.`);
+
+  let visibilityLine = `Search visibility: ${visibility}%`;
+  if (visibilityPrev !== null) {
+    const diff = Math.round((visibility - visibilityPrev) * 10) / 10;
+    visibilityLine += diff
+      ? ` (${diff > 0 ? "up" : "down"} ${Math.abs(diff)} points from ${visibilityPrev}% last week)`
+      : " (the same as last week)";
+  }
+  krLines.push(
+    hasVolume
+      ? `${visibilityLine}, an estimated ${estTraffic} clicks a month from ${totalVolume} monthly searches.`
+      : `${visibilityLine}.`
+  );
+
+  if (topWinners.length) {
+    const improvements = topWinners
+      .slice(0, 3)
+      .map(
+        (k) =>
+          `'${k.keyword}' climbed from position ${k.previous ?? "-"} to ${
+            k.current ?? "-"
+          }`
+      )
+      .join("; ");
+    krLines.push(`Notable improvements: ${improvements}.`);
+  } else {
+    krLines.push("Notable improvements: no major positive movements this period.");
+  }
+
+  if (topLosers.length) {
+    const focus = topLosers
+      .slice(0, 3)
+      .map(
+        (k) =>
+          `'${k.keyword}' dropped from ${k.previous ?? "-"} to ${
+            k.current ?? "-"
+          }`
+      )
+      .join("; ");
+    krLines.push(`Areas for focus: ${focus}.`);
+  } else {
+    krLines.push("Areas for focus: no significant ranking drops recorded.");
+  }
+
+  let backlinksLine = null;
+  if (backlinks && backlinks.totalBacklinks) {
+    const parts = [];
+    if (backlinks.sections && backlinks.sections.length) {
+      backlinks.sections.forEach((s) => {
+        parts.push(`${s.name} (${s.total})`);
+      });
+    }
+
+    backlinksLine =
+      parts.length > 0
+        ? `Links recorded in this workbook: ${backlinks.totalBacklinks}. Key backlink categories: ${parts.join(
+            ", "
+          )}.`
+        : `Links recorded in this workbook: ${backlinks.totalBacklinks}.`;
+  }
+
+  // Backlink health summary for the backlinks overview
+  const health = backlinks && backlinks.health;
+  const healthLines = [];
+  if (health && health.totalLinks) {
+    if (backlinksLine) {
+      backlinksLine += ` They come from ${health.uniqueDomains} unique referring domains.`;
+    }
+    healthLines.push(
+      `Unique referring domains: ${health.uniqueDomains} across ${health.totalLinks} links (${health.uniqueLinks} unique links).`
+    );
+    const live = health.statuses.find((st) => st.status === "Live");
+    if (live) {
+      healthLines.push(`Live links: ${live.links} (${live.share}%) from ${live.domains} domains.`);
+    }
+    healthLines.push(
+      health.duplicates.length
+        ? `Duplicate links: ${health.duplicates.length} links are recorded more than once (${health.duplicateLinks} extra entries).`
+        : "Duplicate links: none found."
+    );
+    if (health.invalid) {
+      healthLines.push(`Entries that are not a valid URL: ${health.invalid}.`);
+    }
+  }
+
+  const { changed, flipping, shared } = rankingPages;
+  if (changed.length || flipping.length) {
+    krLines.push(
+      `Ranking page changes: ${changed.length} keyword${changed.length === 1 ? "" : "s"} now rank with a different page than last week` +
+        (flipping.length ? `, ${flipping.length} keep switching between pages.` : ".")
+    );
+  }
+
+  // Ranking page lists, capped the same way in the PDF and HTML
+  const position = (v) => (v !== null && v !== undefined ? `#${v}` : "not ranked");
+  const listed = (items, max, line) => {
+    const lines = items.slice(0, max).map(line);
+    if (items.length > max) lines.push(`+ ${items.length - max} more.`);
+    return lines;
+  };
+  const pageChanges = {
+    changed: listed(
+      changed,
+      15,
+      (k) => `'${k.keyword}' (${position(k.current)}): ${k.from} -> ${k.to}`
+    ),
+    flipping: listed(
+      flipping,
+      10,
+      (k) => `'${k.keyword}' (${position(k.current)}) switched ${k.switches} times between ${k.urls.join(", ")}`
+    ),
+    shared: listed(
+      shared,
+      10,
+      (p) =>
+        `${p.url}: ` +
+        p.keywords
+          .slice(0, 6)
+          .map((k) => `'${k.keyword}' (${position(k.current)})`)
+          .join(", ") +
+        (p.keywords.length > 6 ? ` and ${p.keywords.length - 6} more` : "")
+    )
+  };
+
+  // One line of movers per keyword group
+  const groupMovers = groups.map((g) => {
+    const moves = [
+      ...g.winners.map((k) => `'${k.keyword}' up ${k.change} to ${k.current}`),
+      ...g.losers.map((k) => `'${k.keyword}' down ${-k.change} to ${k.current}`)
+    ];
+    return {
+      name: g.name,
+      text: moves.length ? `${moves.join("; ")}.` : "No ranking changes this period."
+    };
+  });
+
+  return {
+    overview,
+    keywordLines: krLines,
+    backlinksLine,
+    healthLines,
+    groupsIntro:
+      "How each keyword group is performing. Visibility is the share of possible clicks the group earns at its current positions" +
+      (hasVolume
+        ? ", weighted by search volume; estimated clicks are per month."
+        : " (add a search volume column to weight it by demand)."),
+    groupMovers,
+    pagesIntro:
+      "Keywords whose ranking page changed can point to redirects, new content or Google preferring another page. " +
+      "Several keywords on one page, or a keyword switching pages, can mean pages are competing with each other (cannibalisation)." +
+      (rankingPages.hasHistory
+        ? ""
+        : " This workbook has no ranking URL per period, so only shared pages are shown."),
+    pageChanges,
+    trendIntro: `How the tracked keywords have moved across all ${trend.length} reporting periods, from ${formatDateNZ(
+      periods[0]
+    )} to ${formatDateNZ(latest)}. Higher on the position chart is better.`,
+    tableIntro:
+      "This table summarises each optimised keyword, its current Google position and last week’s position so you can quickly see week-on-week movement." +
+      (periods.length > 2
+        ? ` The trend line shows each keyword’s position across all ${periods.length} periods (higher is better).`
+        : "")
+  };
+}
+
+// ---------- JSON output ----------
+export const REPORT_FORMATS = ["pdf", "html", "json"];
+
+// The parsed summary with plain YYYY-MM-DD dates for the API response
+export function summaryJson(summary, reportId) {
+  const period = (p) => (p ? { date: toDateString(p.date) } : null);
+  return {
+    report_id: reportId,
+    ...summary,
+    latest: period(summary.latest),
+    previous: period(summary.previous),
+    periods: summary.periods.map(period),
+    trend: summary.trend.map((t) => ({ ...t, date: toDateString(t.date) }))
+  };
+}
@@ -0,0 +1,469 @@
+// api/lib/seo-html.js
+//
+// The SEO report as a self-contained HTML page (previews, client portal): the
+// same sections as the PDF, with SVG charts and images inlined as data: URIs.
+import fs from "fs";
+import { DEFAULT_BRANDING } from "./seo-brandings.js";
+import {
+  formatDateNZ,
+  describeBacklinkType,
+  getBacklinkIcon,
+  formatShortDate,
+  lineSegments,
+  reportNarrative
+} from "./seo-format.js";
+
+// CSS equivalents of the built-in PDF fonts
+const CSS_FONT_STACKS = {
+  Helvetica: "Helvetica, Arial, sans-serif",
+  Times: "\"Times New Roman\", Times, serif",
+  Courier: "\"Courier New\", Courier, monospace"
+};
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Images and fonts inlined as data: URIs so the page needs no other requests
+function dataUri(src, type) {
+  let data = src;
+  if (!Buffer.isBuffer(src)) {
+    if (!src || !fs.existsSync(src)) return null;
+    data = fs.readFileSync(src);
+  }
+  const mime = type || (data[0] === 0x89 ? "image/png" : "image/jpeg");
+  return `data:${mime};base64,${data.toString("base64")}`;
+}
+
+const svgPath = (seg) =>
+  seg.map((p, i) => `${i ? "L" : "M"}${p.x.toFixed(1)} ${p.y.toFixed(1)}`).join(" ");
+
+// SVG counterpart of drawSparkline()
+function svgSparkline(values, color) {
+  const ranks = values.filter((v) => v !== null);
+  if (!ranks.length) return "";
+
+  const width = 100;
+  const height = 20;
+  const min = Math.min(...ranks);
+  const max = Math.max(...ranks);
+  const span = max - min || 1;
+  const step = values.length > 1 ? width / (values.length - 1) : 0;
+
+  const points = values.map((v, i) =>
+    v === null
+      ? null
+      : {
+          x: values.length > 1 ? i * step : width / 2,
+          y: 2 + (max === min ? (height - 4) / 2 : ((v - min) / span) * (height - 4))
+        }
+  );
+  const lines = lineSegments(points)
+    .filter((seg) => seg.length > 1)
+    .map((seg) => `<path d="${svgPath(seg)}"/>`)
+    .join("");
+  const last = points[points.length - 1];
+
+  return (
+    `<svg class="spark" viewBox="-3 0 ${width + 6} ${height}" preserveAspectRatio="none" aria-hidden="true">` +
+    `<g fill="none" stroke="${color}" stroke-width="1.2" vector-effect="non-scaling-stroke">${lines}</g>` +
+    (last ? `<circle cx="${last.x.toFixed(1)}" cy="${last.y.toFixed(1)}" r="2" fill="${color}"/>` : "") +
+    "</svg>"
+  );
+}
+
+// SVG counterpart of drawTrendChart(); scales with its container
+function svgTrendChart(opts) {
+  const {
+    labels,
+    values,
+    color,
+    type = "line",
+    invert = false,
+    format = (v) => String(Math.round(v))
+  } = opts;
+
+  const present = values.filter((v) => v !== null);
+  if (!present.length) return "";
+
+  const width = 640;
+  const height = 220;
+  const plotLeft = 36;
+  const plotTop = 10;
+  const plotWidth = width - plotLeft - 8;
+  const plotHeight = height - 40;
+  const plotBottom = plotTop + plotHeight;
+
+  let lo = type === "bar" ? 0 : Math.floor(Math.min(...present));
+  let hi = Math.ceil(Math.max(...present));
+  if (invert) lo = Math.max(1, lo);
+  if (hi <= lo) hi = lo + 1;
+
+  const toY = (v) => {
+    const t = (v - lo) / (hi - lo);
+    return invert ? plotTop + t * plotHeight : plotBottom - t * plotHeight;
+  };
+
+  const parts = [];
+  const ticks = 4;
+  for (let i = 0; i <= ticks; i++) {
+    const v = lo + ((hi - lo) * i) / ticks;
+    const gy = toY(v).toFixed(1);
+    parts.push(`<line x1="${plotLeft}" y1="${gy}" x2="${plotLeft + plotWidth}" y2="${gy}" stroke="#dddddd" stroke-width="0.5"/>`);
+    parts.push(`<text x="${plotLeft - 6}" y="${gy}" dy="3" text-anchor="end">${escapeHtml(format(v))}</text>`);
+  }
+
+  const n = values.length;
+  const slot = plotWidth / n;
+  const cx = (i) => plotLeft + slot * i + slot / 2;
+  const labelEvery = Math.max(1, Math.ceil(n / 8));
+  labels.forEach((label, i) => {
+    if (i % labelEvery !== 0 && i !== n - 1) return;
+    parts.push(`<text x="${cx(i).toFixed(1)}" y="${plotBottom + 14}" text-anchor="middle">${escapeHtml(label)}</text>`);
+  });
+
+  if (type === "bar") {
+    const barWidth = Math.min(24, slot * 0.6);
+    values.forEach((v, i) => {
+      if (v === null) return;
+      const top = toY(v);
+      parts.push(
+        `<rect x="${(cx(i) - barWidth / 2).toFixed(1)}" y="${top.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${(plotBottom - top).toFixed(1)}" fill="${color}"/>`
+      );
+    });
+  } else {
+    const points = values.map((v, i) => (v === null ? null : { x: cx(i), y: toY(v) }));
+    lineSegments(points).forEach((seg) => {
+      parts.push(`<path d="${svgPath(seg)}" fill="none" stroke="${color}" stroke-width="1.5"/>`);
+    });
+    points.forEach((p) => {
+      if (p) parts.push(`<circle cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="2.5" fill="${color}"/>`);
+    });
+  }
+
+  const lastIndex = n - 1;
+  if (values[lastIndex] !== null) {
+    parts.push(
+      `<text x="${cx(lastIndex).toFixed(1)}" y="${(toY(values[lastIndex]) - 7).toFixed(1)}" text-anchor="middle" fill="${color}" font-weight="bold">${escapeHtml(
+        format(values[lastIndex])
+      )}</text>`
+    );
+  }
+  parts.push(`<line x1="${plotLeft}" y1="${plotBottom}" x2="${plotLeft + plotWidth}" y2="${plotBottom}" stroke="#999999" stroke-width="0.8"/>`);
+
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img">${parts.join("")}</svg>`;
+}
+
+// columns: [{ label, num }]; cells are escaped here
+function htmlTable(columns, rows) {
+  return (
+    '<div class="table-wrap"><table><thead><tr>' +
+    columns.map((c) => `<th>${escapeHtml(c.label)}</th>`).join("") +
+    "</tr></thead><tbody>" +
+    rows
+      .map(
+        (cells) =>
+          "<tr>" +
+          columns
+            .map((c, i) => `<td${c.num ? ' class="num"' : ""}>${escapeHtml(cells[i])}</td>`)
+            .join("") +
+          "</tr>"
+      )
+      .join("") +
+    "</tbody></table></div>"
+  );
+}
+
+// Self-contained page with the same sections as buildSeoPdf()
+export function buildSeoHtml(summary, branding = DEFAULT_BRANDING) {
+  const {
+    domain,
+    latest,
+    periods,
+    trend,
+    tracked,
+    pos1Count,
+    page1Count,
+    hasVolume,
+    groups,
+    keywords,
+    backlinks
+  } = summary;
+  const colors = branding.colors;
+  const narrative = reportNarrative(summary);
+
+  const fontFaces = [];
+  let fontFamily = CSS_FONT_STACKS[branding.font] || CSS_FONT_STACKS.Helvetica;
+  if (branding.fonts.regular) {
+    fontFaces.push(
+      `@font-face{font-family:"Brand";font-weight:normal;src:url(${dataUri(branding.fonts.regular, "font/ttf")});}`,
+      `@font-face{font-family:"Brand";font-weight:bold;src:url(${dataUri(branding.fonts.bold || branding.fonts.regular, "font/ttf")});}`
+    );
+    fontFamily = `"Brand", ${fontFamily}`;
+  }
+
+  const hero = dataUri(branding.images.hero);
+  const logoLeft = dataUri(branding.images.logo_left);
+  const logoRight = dataUri(branding.images.logo_right);
+
+  const css = `${fontFaces.join("")}
+*{box-sizing:border-box}
+body{margin:0;font-family:${fontFamily};color:${colors.text};background:#f4f4f4;line-height:1.5}
+main{max-width:900px;margin:0 auto;background:#ffffff}
+.hero{position:relative;padding:48px 32px 40px;color:#ffffff;background:${colors.dark}${hero ? ` url(${hero}) center/cover` : ""}}
+.hero::before{content:"";position:absolute;inset:0;background:${colors.dark};opacity:${hero ? 0.7 : 0}}
+.hero>*{position:relative;margin:0}
+.hero h1{font-size:1.8rem;margin-bottom:12px}
+.hero p{font-size:1.1rem}
+.logos{display:flex;justify-content:space-between;padding:8px 32px 0}
+.logos img{width:100px;height:auto}
+section{padding:8px 32px 24px}
+h2{color:${colors.heading};font-size:1.35rem;margin:16px 0 8px}
+h3{color:${colors.heading};font-size:1.1rem;margin:20px 0 6px}
+.intro{color:${colors.muted};font-size:.9rem}
+.cards{display:grid;grid-template-columns:repeat(auto-fit,minmax(180px,1fr));gap:10px;padding:16px 32px 0}
+.card{color:#ffffff;padding:10px 12px}
+.card span{display:block;font-size:.9rem}
+.card strong{display:block;font-size:1.7rem}
+.chart{width:100%;height:auto;font-size:10px;fill:#777777}
+.table-wrap{overflow-x:auto}
+table{width:100%;border-collapse:collapse;font-size:.9rem}
+th{text-align:left;color:${colors.heading};border-bottom:1px solid #dddddd;padding:6px 8px}
+td{padding:4px 8px;border-bottom:1px solid #f0f0f0;vertical-align:middle;overflow-wrap:anywhere}
+td.check{color:${colors.success};font-weight:bold;width:1.5em}
+td.num{white-space:nowrap}
+.spark{width:110px;height:20px;display:block}
+ol{padding-left:1.6em;font-size:.85rem;word-break:break-all}
+ul.pages{font-size:.85rem;overflow-wrap:anywhere}
+.more{color:${colors.muted};font-style:italic;font-size:.85rem}
+.meaning{color:#444444;font-weight:bold;font-style:italic;font-size:.85rem}
+footer{padding:16px 32px;text-align:center;color:${colors.muted};font-size:.8rem}
+@media (max-width:600px){.hero,.logos,.cards,section,footer{padding-left:16px;padding-right:16px}.logos img{width:70px}}`;
+
+  const html = [];
+  html.push(
+    "<!DOCTYPE html>",
+    '<html lang="en"><head><meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(`${branding.cover_title}${domain ? ` – ${domain}` : ""}`)}</title>`,
+    `<style>${css}</style></head><body><main>`
+  );
+
+  // Hero, logos and metric cards
+  html.push(
+    `<header class="hero"><h1>${escapeHtml(branding.cover_title)}</h1>` +
+      (domain ? `<p>${escapeHtml(domain)}</p>` : "") +
+      `<p>Report date: ${escapeHtml(formatDateNZ(latest))}</p></header>`
+  );
+  if (logoLeft || logoRight) {
+    html.push(
+      '<div class="logos">' +
+        (logoLeft ? `<img src="${logoLeft}" alt="">` : "<span></span>") +
+        (logoRight ? `<img src="${logoRight}" alt="">` : "") +
+        "</div>"
+    );
+  }
+  const metricCards = [
+    { label: "Optimised keywords", value: tracked, color: colors.primary },
+    { label: "Keywords on page 1", value: `${page1Count}/${tracked}`, color: colors.success },
+    { label: "Keywords in top position", value: pos1Count, color: colors.accent }
+  ];
+  html.push(
+    '<div class="cards">' +
+      metricCards
+        .map(
+          (card) =>
+            `<div class="card" style="background:${card.color}"><span>${escapeHtml(card.label)}</span><strong>${escapeHtml(
+              card.value
+            )}</strong></div>`
+        )
+        .join("") +
+      "</div>"
+  );
+
+  // Executive summary
+  html.push(
+    "<section><h2>Executive Summary</h2>" +
+      narrative.overview.map((p) => `<p>${escapeHtml(p)}</p>`).join("") +
+      "<h3>Keyword Rankings:</h3><ul>" +
+      narrative.keywordLines.map((line) => `<li>${escapeHtml(line)}</li>`).join("") +
+      "</ul>" +
+      (narrative.backlinksLine
+        ? `<h3>Backlinks and Authority:</h3><p>${escapeHtml(narrative.backlinksLine)}</p>`
+        : "") +
+      "</section>"
+  );
+
+  // Ranking trends
+  if (trend.length > 1) {
+    const chartLabels = trend.map((t) => formatShortDate(t.date));
+    html.push(
+      "<section><h2>Ranking Trends</h2>" +
+        `<p class="intro">${escapeHtml(narrative.trendIntro)}</p>` +
+        "<h3>Average Google position</h3>" +
+        svgTrendChart({
+          labels: chartLabels,
+          values: trend.map((t) => t.avg),
+          color: colors.primary,
+          invert: true,
+          format: (v) => v.toFixed(1)
+        }) +
+        "<h3>Keywords in the top 10</h3>" +
+        svgTrendChart({
+          labels: chartLabels,
+          values: trend.map((t) => t.top10),
+          color: colors.success,
+          type: "bar"
+        }) +
+        "</section>"
+    );
+  }
+
+  // Keyword groups
+  if (groups.length) {
+    const change = (g) =>
+      g.visibilityPrev !== null && g.visibilityPrev !== g.visibility
+        ? ` (${g.visibility > g.visibilityPrev ? "+" : "-"}${
+            Math.round(Math.abs(g.visibility - g.visibilityPrev) * 10) / 10
+          })`
+        : "";
+    html.push(
+      "<section><h2>Keyword Groups</h2>" +
+        `<p class="intro">${escapeHtml(narrative.groupsIntro)}</p>` +
+        '<div class="table-wrap"><table><thead><tr><th>Group</th><th>Keywords</th><th>Avg position</th><th>Top 10</th><th>Visibility</th>' +
+        (hasVolume ? "<th>Est. clicks</th>" : "") +
+        "</tr></thead><tbody>" +
+        groups
+          .map(
+            (g) =>
+              `<tr><td>${escapeHtml(g.name)}</td><td class="num">${g.tracked}</td>` +
+              `<td class="num">${g.avgPosition !== null ? g.avgPosition.toFixed(1) : "-"}</td>` +
+              `<td class="num">${g.top10}</td><td class="num">${g.visibility}%${change(g)}</td>` +
+              (hasVolume ? `<td class="num">${g.traffic}</td>` : "") +
+              "</tr>"
+          )
+          .join("") +
+        "</tbody></table></div><h3>Movers by group:</h3><ul>" +
+        narrative.groupMovers
+          .map((g) => `<li><strong>${escapeHtml(g.name)}:</strong> ${escapeHtml(g.text)}</li>`)
+          .join("") +
+        "</ul></section>"
+    );
+  }
+
+  // Ranking page changes
+  const pageLists = [
+    { title: "Page changed since last week:", lines: narrative.pageChanges.changed },
+    { title: "Switching between pages:", lines: narrative.pageChanges.flipping },
+    { title: "Keywords sharing a page:", lines: narrative.pageChanges.shared }
+  ].filter((list) => list.lines.length);
+  if (pageLists.length) {
+    html.push(
+      "<section><h2>Ranking Page Changes</h2>" +
+        `<p class="intro">${escapeHtml(narrative.pagesIntro)}</p>` +
+        pageLists
+          .map(
+            (list) =>
+              `<h3>${escapeHtml(list.title)}</h3><ul class="pages">` +
+              list.lines.map((line) => `<li>${escapeHtml(line)}</li>`).join("") +
+              "</ul>"
+          )
+          .join("") +
+        "</section>"
+    );
+  }
+
+  // Keyword table
+  const showSparklines = periods.length > 2;
+  const rank = (v) => (v !== null && v !== undefined ? String(v) : "-");
+  html.push(
+    "<section><h2>Keyword Rankings Overview</h2>" +
+      `<p class="intro">${escapeHtml(narrative.tableIntro)}</p>` +
+      '<div class="table-wrap"><table><thead><tr><th></th><th>Keyword List</th><th>Position</th><th>Last week</th>' +
+      (showSparklines ? "<th>Trend</th>" : "") +
+      "</tr></thead><tbody>" +
+      keywords
+        .map(
+          (k) =>
+            `<tr><td class="check">✓</td><td>${escapeHtml(k.keyword)}</td>` +
+            `<td class="num">${rank(k.current)}</td><td class="num">${rank(k.previous)}</td>` +
+            (showSparklines ? `<td>${svgSparkline(k.history, colors.primary)}</td>` : "") +
+            "</tr>"
+        )
+        .join("") +
+      "</tbody></table></div></section>"
+  );
+
+  // Backlinks overview + sections (capped at 10 links each, as in the PDF)
+  if (backlinks && backlinks.sections && backlinks.sections.length) {
+    const { totalBacklinks, sections, health } = backlinks;
+    const maxLinksToShow = 10;
+    html.push(
+      "<section><h2>Backlinks Overview</h2>" +
+        `<p>Total backlinks in this workbook: ${escapeHtml(totalBacklinks)}.</p>` +
+        `<p>By type: ${escapeHtml(sections.map((s) => `${s.name} (${s.total})`).join(", "))}.</p>`
+    );
+    if (health && health.totalLinks) {
+      const more = (count, max, what) =>
+        count > max ? `<p class="more">+ ${count - max} more ${what}.</p>` : "";
+      html.push(
+        "<ul>" +
+          narrative.healthLines.map((line) => `<li>${escapeHtml(line)}</li>`).join("") +
+          "</ul><h3>Links by status</h3>" +
+          htmlTable(
+            [{ label: "Status" }, { label: "Links", num: true }, { label: "Share", num: true }, { label: "Domains", num: true }],
+            health.statuses.map((st) => [st.status, st.links, `${st.share}%`, st.domains])
+          ) +
+          "<h3>Target pages</h3>" +
+          htmlTable(
+            [{ label: "Target" }, { label: "Links", num: true }, { label: "Share", num: true }, { label: "Domains", num: true }],
+            health.targets.slice(0, 10).map((t) => [t.target, t.links, `${t.share}%`, t.domains])
+          ) +
+          more(health.targets.length, 10, "target pages") +
+          (health.duplicates.length
+            ? "<h3>Duplicate links</h3>" +
+              htmlTable(
+                [{ label: "Link" }, { label: "Times", num: true }, { label: "Sections" }],
+                health.duplicates.slice(0, 10).map((d) => [d.url, d.count, d.sections.join(", ")])
+              ) +
+              more(health.duplicates.length, 10, "duplicate links")
+            : "")
+      );
+    }
+    const sectionDomains = (section) => {
+      const found = health && health.sections.find((h) => h.name === section.name);
+      return found ? ` from ${found.domains} domains` : "";
+    };
+    sections.forEach((section) => {
+      const links = section.rows.slice(0, maxLinksToShow).map((row) => {
+        const url = String(row.backlink || row.target || "");
+        const status = row.status ? ` [${escapeHtml(row.status)}]` : "";
+        const label = escapeHtml(url);
+        return /^https?:\/\//i.test(url)
+          ? `<li><a href="${label}" rel="nofollow noopener" target="_blank">${label}</a>${status}</li>`
+          : `<li>${label}${status}</li>`;
+      });
+      html.push(
+        `<h3>${escapeHtml(`${getBacklinkIcon(section.name)} ${section.name}`)}</h3>` +
+          `<p>Total links: ${escapeHtml(section.total)}${escapeHtml(sectionDomains(section))}. Showing up to ${maxLinksToShow} links below:</p>` +
+          `<ol>${links.join("")}</ol>` +
+          (section.total > maxLinksToShow
+            ? `<p class="more">+ ${section.total - maxLinksToShow} more links in this category.</p>`
+            : "") +
+          `<p class="meaning">What this means: ${escapeHtml(describeBacklinkType(section.name))}</p>`
+      );
+    });
+    html.push("</section>");
+  }
+
+  if (branding.footer_text) {
+    html.push(`<footer>${escapeHtml(branding.footer_text)}</footer>`);
+  }
+  html.push("</main></body></html>");
+  return html.join("\n");
+}
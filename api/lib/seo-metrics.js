@@ -0,0 +1,410 @@
+// api/lib/seo-metrics.js
+//
+// Figures derived from parsed SEO data: ranking summary, movers, visibility and
+// estimated clicks, ranking page changes and backlink health. They work from
+// plain data, so a stored run (api/lib/seo-runs.js) is summarised the same way
+// as a fresh upload.
+
+// ---------- Ranking pages ----------
+// Same page for comparison: case, fragment and trailing slash ignored
+const samePage = (url) =>
+  url.trim().toLowerCase().replace(/#.*$/, "").replace(/\/+$/, "");
+
+// Keywords whose ranking URL changed since last period, keywords flipping
+// between pages (two or more switches), and URLs several keywords rank with
+// (possible cannibalisation).
+function rankingPageChanges(keywords) {
+  const changed = [];
+  const flipping = [];
+  const byPage = new Map();
+
+  keywords.forEach((k) => {
+    const seen = k.urls.filter(Boolean);
+    let switches = 0;
+    for (let i = 1; i < seen.length; i++) {
+      if (samePage(seen[i]) !== samePage(seen[i - 1])) switches++;
+    }
+    const pages = [...new Map(seen.map((u) => [samePage(u), u])).values()];
+    const now = k.urls[k.urls.length - 1];
+    const before = k.urls.length >= 2 ? k.urls[k.urls.length - 2] : null;
+
+    if (pages.length >= 2 && switches >= 2) {
+      flipping.push({ keyword: k.keyword, current: k.current, switches, urls: pages });
+    } else if (now && before && samePage(now) !== samePage(before)) {
+      changed.push({ keyword: k.keyword, previous: k.previous, current: k.current, from: before, to: now });
+    }
+
+    // the page it ranks with now (the keyword's URL column when there's no history)
+    const page = now || (k.current !== null && k.url ? k.url : null);
+    if (!page) return;
+    const key = samePage(page);
+    if (!byPage.has(key)) byPage.set(key, { url: page, keywords: [] });
+    byPage.get(key).keywords.push({ keyword: k.keyword, current: k.current });
+  });
+
+  const shared = [...byPage.values()]
+    .filter((p) => p.keywords.length >= 2)
+    .map((p) => ({
+      ...p,
+      keywords: p.keywords.sort((a, b) => (a.current ?? 999) - (b.current ?? 999))
+    }))
+    .sort((a, b) => b.keywords.length - a.keywords.length);
+
+  return {
+    hasHistory: keywords.some((k) => k.urls.filter(Boolean).length >= 2),
+    changed,
+    flipping,
+    shared
+  };
+}
+
+// ---------- Ranking summary ----------
+// Share of searchers clicking the result at Google positions 1-10 (a typical
+// organic CTR curve). Page two gets 1%, anything lower nothing.
+const CTR_BY_POSITION = [0.28, 0.15, 0.11, 0.08, 0.06, 0.05, 0.04, 0.03, 0.025, 0.02];
+
+function clickThroughRate(rank) {
+  if (rank === null || rank === undefined) return 0;
+  const position = Math.max(1, Math.round(rank));
+  if (position <= CTR_BY_POSITION.length) return CTR_BY_POSITION[position - 1];
+  return position <= 20 ? 0.01 : 0;
+}
+
+// Visibility: the clicks the keywords earn at their positions as a % of what
+// they would earn all at #1, weighted by search volume (equally if the sheet
+// has no volumes). Traffic: estimated monthly clicks, only with volumes.
+function visibilityOf(keywords, rankOf, weighted) {
+  let earned = 0;
+  let possible = 0;
+  keywords.forEach((k) => {
+    const weight = weighted ? k.volume || 0 : 1;
+    earned += weight * clickThroughRate(rankOf(k));
+    possible += weight * CTR_BY_POSITION[0];
+  });
+  return {
+    visibility: possible ? Math.round((earned / possible) * 1000) / 10 : 0,
+    traffic: weighted ? Math.round(earned) : null
+  };
+}
+
+// Works from the per-keyword history alone, so a stored run (api/lib/seo-runs.js)
+// produces the same numbers as the workbook it came from.
+export function summariseRankings({ domain, location, periods, keywords: rows }) {
+  const latest = periods[periods.length - 1];
+  const previous = periods.length >= 2 ? periods[periods.length - 2] : null;
+
+  const hasVolume = rows.some((k) => k.volume);
+  const keywords = rows.map((k) => {
+    const current = k.history[periods.length - 1];
+    return {
+      ...k,
+      group: k.group || "",
+      urls: k.urls || periods.map(() => null),
+      current,
+      previous: previous ? k.history[periods.length - 2] : null,
+      traffic: hasVolume ? Math.round((k.volume || 0) * clickThroughRate(current)) : null
+    };
+  });
+
+  const tracked = keywords.length;
+  const withCurrent = keywords.filter((k) => k.current !== null);
+  const withPrev = keywords.filter((k) => k.previous !== null);
+
+  const avgCurrent =
+    withCurrent.reduce((sum, k) => sum + k.current, 0) /
+    (withCurrent.length || 1);
+  const avgPrev =
+    withPrev.length > 0
+      ? withPrev.reduce((sum, k) => sum + k.previous, 0) / withPrev.length
+      : 0;
+
+  const top10 = withCurrent.filter((k) => k.current <= 10).length;
+  const top10Prev = withPrev.filter((k) => k.previous <= 10).length;
+
+  const page1Count = withCurrent.filter((k) => k.current <= 10).length;
+  const pos1Count = withCurrent.filter((k) => k.current === 1).length;
+  const pos2Count = withCurrent.filter((k) => k.current === 2).length;
+  const pos3Count = withCurrent.filter((k) => k.current === 3).length;
+
+  const currentRanksSorted = withCurrent
+    .map((k) => k.current)
+    .sort((a, b) => a - b);
+  let medianCurrent = 0;
+  if (currentRanksSorted.length) {
+    const mid = Math.floor(currentRanksSorted.length / 2);
+    medianCurrent =
+      currentRanksSorted.length % 2 === 1
+        ? currentRanksSorted[mid]
+        : (currentRanksSorted[mid - 1] + currentRanksSorted[mid]) / 2;
+  }
+
+  const prevRanksSorted = withPrev
+    .map((k) => k.previous)
+    .sort((a, b) => a - b);
+  let medianPrev = 0;
+  if (prevRanksSorted.length) {
+    const mid = Math.floor(prevRanksSorted.length / 2);
+    medianPrev =
+      prevRanksSorted.length % 2 === 1
+        ? prevRanksSorted[mid]
+        : (prevRanksSorted[mid - 1] + prevRanksSorted[mid]) / 2;
+  }
+
+  const movers = keywords
+    .map((k) => ({
+      ...k,
+      change:
+        k.current !== null && k.previous !== null
+          ? k.previous - k.current
+          : null
+    }))
+    .filter((k) => k.change !== null);
+
+  const topWinners = movers
+    .filter((k) => k.change > 0)
+    .sort((a, b) => b.change - a.change)
+    .slice(0, 10);
+
+  const topLosers = movers
+    .filter((k) => k.change < 0)
+    .sort((a, b) => a.change - b.change)
+    .slice(0, 10);
+
+  const hasPrevData = !!previous && withPrev.length > 0;
+
+  const { visibility, traffic: estTraffic } = visibilityOf(keywords, (k) => k.current, hasVolume);
+  const { visibility: visibilityPrev, traffic: estTrafficPrev } = hasPrevData
+    ? visibilityOf(keywords, (k) => k.previous, hasVolume)
+    : { visibility: null, traffic: null };
+  const totalVolume = hasVolume
+    ? keywords.reduce((sum, k) => sum + (k.volume || 0), 0)
+    : null;
+
+  // Rankings and movers per keyword group, when the sheet has a group column
+  const groups = [];
+  if (keywords.some((k) => k.group)) {
+    const byGroup = new Map();
+    keywords.forEach((k) => {
+      const name = k.group || "Ungrouped";
+      if (!byGroup.has(name)) byGroup.set(name, []);
+      byGroup.get(name).push(k);
+    });
+
+    const mover = (k) => ({
+      keyword: k.keyword,
+      previous: k.previous,
+      current: k.current,
+      change: k.change
+    });
+
+    for (const [name, members] of byGroup) {
+      const ranked = members.filter((k) => k.current !== null);
+      const groupMovers = movers.filter((k) => (k.group || "Ungrouped") === name);
+      const now = visibilityOf(members, (k) => k.current, hasVolume);
+      groups.push({
+        name,
+        tracked: members.length,
+        volume: hasVolume
+          ? members.reduce((sum, k) => sum + (k.volume || 0), 0)
+          : null,
+        avgPosition: ranked.length
+          ? ranked.reduce((sum, k) => sum + k.current, 0) / ranked.length
+          : null,
+        top10: ranked.filter((k) => k.current <= 10).length,
+        visibility: now.visibility,
+        visibilityPrev: hasPrevData
+          ? visibilityOf(members, (k) => k.previous, hasVolume).visibility
+          : null,
+        traffic: now.traffic,
+        winners: groupMovers
+          .filter((k) => k.change > 0)
+          .sort((a, b) => b.change - a.change)
+          .slice(0, 3)
+          .map(mover),
+        losers: groupMovers
+          .filter((k) => k.change < 0)
+          .sort((a, b) => a.change - b.change)
+          .slice(0, 3)
+          .map(mover)
+      });
+    }
+
+    // biggest search demand first, so the money keywords lead
+    groups.sort(
+      (a, b) =>
+        (b.volume || 0) - (a.volume || 0) ||
+        b.tracked - a.tracked ||
+        a.name.localeCompare(b.name)
+    );
+  }
+
+  // Per-period aggregates for the trend charts
+  const trend = periods.map((p, i) => {
+    const ranks = keywords
+      .map((k) => k.history[i])
+      .filter((r) => r !== null);
+    return {
+      date: p.date,
+      ranked: ranks.length,
+      avg: ranks.length
+        ? ranks.reduce((sum, r) => sum + r, 0) / ranks.length
+        : null,
+      top10: ranks.filter((r) => r <= 10).length,
+      visibility: visibilityOf(keywords, (k) => k.history[i], hasVolume).visibility
+    };
+  });
+
+  return {
+    domain,
+    location,
+    latest,
+    previous,
+    periods,
+    trend,
+    tracked,
+    avgCurrent,
+    avgPrev,
+    medianCurrent,
+    medianPrev,
+    top10,
+    top10Prev,
+    page1Count,
+    pos1Count,
+    pos2Count,
+    pos3Count,
+    hasPrevData,
+    hasVolume,
+    totalVolume,
+    visibility,
+    visibilityPrev,
+    estTraffic,
+    estTrafficPrev,
+    groups,
+    rankingPages: rankingPageChanges(keywords),
+    keywords,
+    topWinners,
+    topLosers
+  };
+}
+
+// ---------- Backlink health ----------
+// Roll-up sheets ("All Backlinks") repeat the links of the other sections
+const isRollupSection = (name) => /^all\b/i.test(name.trim());
+
+// Checked in this order, so negated and mixed values ("Not live", "removed
+// (was live)", "not indexed yet") are not counted as Live for the word "live"
+const LINK_STATUSES = [
+  {
+    status: "Removed",
+    pattern: /\b(removed|deleted|dead|lost|broken|rejected|404|not found|down|de-?indexed|no longer|not (live|ok|active|working|published))\b/i
+  },
+  {
+    status: "Pending",
+    pattern: /\b(pending|submitted|in progress|awaiting|waiting|processing|queued|not yet|not indexed|unindexed)\b/i
+  },
+  { status: "Live", pattern: /\b(live|active|indexed|ok|200|published|approved|done|complete[d]?)\b/i }
+];
+
+export function linkStatus(text) {
+  const value = String(text || "").trim();
+  if (!value) return "Unknown";
+  const match = LINK_STATUSES.find((s) => s.pattern.test(value));
+  return match ? match.status : value.charAt(0).toUpperCase() + value.slice(1).toLowerCase();
+}
+
+// host (without www.) and a comparable form of a link; null if it isn't a URL
+function normaliseLink(text) {
+  const value = String(text || "").trim();
+  if (!value || /\s/.test(value)) return null;
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `http://${value}`);
+    if (!["http:", "https:"].includes(url.protocol) || !url.hostname.includes(".")) return null;
+    const domain = url.hostname.toLowerCase().replace(/^www\./, "");
+    const pathName = url.pathname.replace(/\/+$/, "");
+    return { domain, key: `${domain}${pathName}${url.search}` };
+  } catch {
+    return null;
+  }
+}
+
+const share = (n, total) => (total ? Math.round((n / total) * 1000) / 10 : 0);
+
+/**
+ * Referring domains, statuses, duplicate links and target pages across the
+ * backlink sections. Counts come from the detail sections; a roll-up sheet is
+ * only used when it is all the workbook has.
+ */
+export function analyseBacklinks(sections) {
+  const detail = sections.filter((s) => !isRollupSection(s.name));
+  const analysed = detail.length ? detail : sections;
+
+  const links = analysed.flatMap((s) =>
+    s.rows.map((row) => ({
+      section: s.name,
+      url: row.backlink,
+      link: normaliseLink(row.backlink),
+      target: normaliseLink(row.target),
+      targetText: row.target,
+      status: linkStatus(row.status)
+    }))
+  );
+  const valid = links.filter((l) => l.link);
+
+  const countBy = (items, keyOf) => {
+    const groups = new Map();
+    items.forEach((item) => {
+      const key = keyOf(item);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    });
+    return groups;
+  };
+  const domainCount = (items) =>
+    new Set(items.filter((l) => l.link).map((l) => l.link.domain)).size;
+
+  const statuses = [...countBy(links, (l) => l.status)]
+    .map(([status, items]) => ({
+      status,
+      links: items.length,
+      domains: domainCount(items),
+      share: share(items.length, links.length)
+    }))
+    .sort((a, b) => b.links - a.links);
+
+  const duplicates = [...countBy(valid, (l) => l.link.key)]
+    .filter(([, items]) => items.length > 1)
+    .map(([, items]) => ({
+      url: items[0].url,
+      count: items.length,
+      sections: [...new Set(items.map((l) => l.section))]
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  const targets = [
+    ...countBy(links, (l) =>
+      l.target ? l.target.key : l.targetText ? l.targetText.trim().toLowerCase() : ""
+    )
+  ]
+    .map(([key, items]) => ({
+      target: key ? items[0].targetText : "(no target)",
+      links: items.length,
+      domains: domainCount(items),
+      share: share(items.length, links.length)
+    }))
+    .sort((a, b) => b.links - a.links);
+
+  return {
+    totalLinks: links.length,
+    uniqueLinks: new Set(valid.map((l) => l.link.key)).size,
+    uniqueDomains: domainCount(links),
+    invalid: links.length - valid.length,
+    duplicateLinks: duplicates.reduce((sum, d) => sum + d.count - 1, 0),
+    sections: sections.map((s) => {
+      const parsed = s.rows.map((row) => ({ link: normaliseLink(row.backlink) }));
+      return { name: s.name, links: s.total, domains: domainCount(parsed) };
+    }),
+    statuses,
+    duplicates,
+    targets
+  };
+}
@@ -0,0 +1,749 @@
+// api/lib/seo-parse.js
+//
+// Reading SEO workbooks for api/reports/seo.js: an .xlsx, a single ranking CSV
+// or a zip with one CSV per section, read through a mapping profile
+// (api/lib/seo-profiles.js) into the summary the report outputs are built from.
+// Bad or incomplete uploads throw SeoInputError, which the route sends as a 400.
+import path from "path";
+import fs from "fs";
+import { Readable } from "stream";
+import { toDateString } from "./renewals.js";
+import { COLUMN_LETTER_RE, locationPatternProblem } from "./seo-profiles.js";
+import { summariseRankings, analyseBacklinks } from "./seo-metrics.js";
+import { formatDateNZ } from "./seo-format.js";
+
+// ---------- Dynamic imports ----------
+async function getExcelJS() {
+  const mod = await import("exceljs");
+  return mod.default || mod;
+}
+
+export async function getJSZip() {
+  const mod = await import("jszip");
+  return mod.default || mod;
+}
+
+// ---------- Report sections ----------
+// Workbooks use these sheet names as-is. CSV exports (one file per sheet) are
+// matched on `pattern` against the file name with everything but letters and
+// digits removed, so "Acme SEO - Web 2.0 Backlinks.csv" maps to "Web 2.0 Backlinks".
+const RANKING_SECTION = { name: "Ranking", pattern: /rank/ };
+
+const BACKLINK_SECTIONS = [
+  { name: "All Backlinks", pattern: /allbacklink/ },
+  { name: "Profile Backlinks", pattern: /profile/ },
+  { name: "Web 2.0 Backlinks", pattern: /web20/ },
+  { name: "Syndication Backlinks", pattern: /syndication/ },
+  { name: "Article Submission", pattern: /article/ },
+  { name: "Social Bookmarking Backlinks", pattern: /bookmark/ }
+];
+
+const SEO_SECTIONS = [RANKING_SECTION, ...BACKLINK_SECTIONS];
+
+// Bad or incomplete uploads – sent back as a 400 with what was found and missing
+export class SeoInputError extends Error {
+  constructor(message, { found = [], missing = [], ignored = [] } = {}) {
+    super(message);
+    this.found = found;
+    this.missing = missing;
+    this.ignored = ignored;
+  }
+}
+
+function cellToString(v) {
+  if (v === null || v === undefined) return "";
+  if (typeof v === "object") {
+    if (v.text) return String(v.text);
+    if (v.result) return String(v.result);
+    if (Array.isArray(v.richText)) {
+      return v.richText.map((p) => p.text || "").join("");
+    }
+  }
+  return String(v);
+}
+
+function normaliseRank(value) {
+  if (value === null || value === undefined) return null;
+
+  let n = null;
+  if (typeof value === "number") {
+    n = value;
+  } else if (!isNaN(Number(value))) {
+    n = Number(value);
+  }
+
+  if (n === null || n <= 0 || n > 1000) return null;
+  return n;
+}
+
+// interpret header as a date – understands "1 Sept-25" etc
+export function parseHeaderDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+
+  if (typeof value === "object" && value !== null) {
+    if (value.text) return parseHeaderDate(value.text);
+    if (value.result) return parseHeaderDate(value.result);
+    if (Array.isArray(value.richText)) {
+      const txt = value.richText.map((p) => p.text || "").join("");
+      return parseHeaderDate(txt);
+    }
+  }
+
+  // Excel serials for 2000-2099 only; ranks and search volumes are numbers too
+  if (typeof value === "number") {
+    if (value < 36526 || value >= 73051) return null;
+    const excelEpoch = new Date(Date.UTC(1899, 11, 30));
+    const dt = new Date(excelEpoch.getTime() + value * 86400000);
+    return isNaN(dt) ? null : dt;
+  }
+
+  let text = String(value).trim();
+  if (!text) return null;
+
+  text = text.replace(/\bSept\b/gi, "Sep");
+  text = text.replace(
+    /(\d{1,2})\s+([A-Za-z]{3,})-(\d{2})\b/,
+    (m, d, mon, yy) => `${d} ${mon} 20${yy}`
+  );
+
+  const looksLikeDate =
+    /^\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}$/.test(text) ||
+    /^\d{8}$/.test(text) ||
+    /^\d{1,2}\s+[A-Za-z]{3,}\s+\d{4}$/.test(text) ||
+    (/\d/.test(text) && (text.includes("/") || text.includes("-")));
+
+  if (!looksLikeDate) return null;
+
+  // Numeric text dates (CSV headers) are read explicitly: year first if it
+  // leads, otherwise day/month/year as NZ exports write them. new Date()
+  // would take 01/06/2024 as 6 January and reject 13/05/2024.
+  const numeric =
+    text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/) ||
+    text.match(/^(\d{4})(\d{2})(\d{2})$/);
+  const dmy = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})$/);
+  if (numeric || dmy) {
+    const [y, m, d] = numeric
+      ? [numeric[1], numeric[2], numeric[3]].map(Number)
+      : [dmy[3].length === 2 ? 2000 + Number(dmy[3]) : Number(dmy[3]), Number(dmy[2]), Number(dmy[1])];
+    const dt = new Date(y, m - 1, d);
+    return dt.getFullYear() === y && dt.getMonth() === m - 1 && dt.getDate() === d ? dt : null;
+  }
+
+  const dt = new Date(text);
+  return isNaN(dt) ? null : dt;
+}
+
+// ---------- Mapping profiles ----------
+// The layout every workbook used to be read with. Saved profiles
+// (api/lib/seo-profiles.js) override parts of it per vendor.
+const DEFAULT_PROFILE = {
+  id: null,
+  name: "Built-in layout",
+  config: {
+    ranking: { sheet: RANKING_SECTION.name, keyword_column: 1 },
+    location_pattern: "new zealand",
+    backlinks: {
+      sheets: BACKLINK_SECTIONS.map((s) => ({ sheet: s.name, section: s.name })),
+      link_labels: ["backlinks"],
+      target_labels: ["target url", "target", "terget url", "terget"],
+      status_labels: ["status"]
+    }
+  }
+};
+
+function profileConfig(profile) {
+  const base = DEFAULT_PROFILE.config;
+  const config = (profile && profile.config) || {};
+  return {
+    ranking: { ...base.ranking, ...config.ranking },
+    location_pattern: config.location_pattern || base.location_pattern,
+    backlinks: { ...base.backlinks, ...config.backlinks }
+  };
+}
+
+function findSheet(workbook, name) {
+  if (!name) return null;
+  const wanted = name.trim().toLowerCase();
+  return (
+    workbook.worksheets.find((ws) => ws.name.trim().toLowerCase() === wanted) ||
+    null
+  );
+}
+
+function headerLabels(sheet, rowNumber) {
+  const row = sheet.getRow(rowNumber);
+  const labels = [];
+  for (let c = 1; c <= row.cellCount; c++) {
+    labels.push(cellToString(row.getCell(c).value).trim());
+  }
+  return labels;
+}
+
+// Column reference from a profile -> 1-based column number (null if the label isn't there)
+function columnIndex(sheet, headerRowNumber, ref) {
+  if (typeof ref === "number") return ref;
+  if (COLUMN_LETTER_RE.test(ref)) {
+    return [...ref].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+  }
+  const wanted = ref.toLowerCase();
+  const index = headerLabels(sheet, headerRowNumber).findIndex(
+    (label) => label.toLowerCase() === wanted
+  );
+  return index === -1 ? null : index + 1;
+}
+
+// How well a profile fits a workbook. Its ranking sheet must be there, and
+// so must every header label it names; each backlink sheet found adds one.
+function scoreProfile(workbook, profile) {
+  const cfg = profileConfig(profile);
+  const sheet = findSheet(workbook, cfg.ranking.sheet);
+  if (!sheet) return 0;
+
+  const rows = cfg.ranking.header_row
+    ? [cfg.ranking.header_row]
+    : Array.from({ length: Math.min(15, sheet.rowCount) }, (_, i) => i + 1);
+  const labels = new Set(
+    rows.flatMap((r) => headerLabels(sheet, r).map((l) => l.toLowerCase()))
+  );
+
+  let score = 2;
+  const own = (profile.config && profile.config.ranking) || {};
+  for (const key of ["keyword_column", "url_column", "volume_column", "group_column"]) {
+    const ref = own[key];
+    if (typeof ref !== "string" || COLUMN_LETTER_RE.test(ref)) continue;
+    if (!labels.has(ref.toLowerCase())) return 0;
+    score += 1;
+  }
+
+  score += cfg.backlinks.sheets.filter((b) => findSheet(workbook, b.sheet)).length;
+  return score;
+}
+
+// Best-fitting saved profile, or the built-in layout unless one beats it
+function chooseProfile(workbook, candidates) {
+  let best = DEFAULT_PROFILE;
+  let bestScore = scoreProfile(workbook, DEFAULT_PROFILE);
+  for (const profile of candidates) {
+    const score = scoreProfile(workbook, profile);
+    if (score > bestScore) {
+      best = profile;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function parseVolume(value) {
+  const n = Number(cellToString(value).replace(/[,\s]/g, ""));
+  return cellToString(value).trim() && Number.isFinite(n) && n >= 0
+    ? Math.round(n)
+    : null;
+}
+
+// ---------- Ranking extraction ----------
+function parseRankingSheet(workbook, cfg, profileName) {
+  const { ranking } = cfg;
+
+  let sheet =
+    findSheet(workbook, ranking.sheet) ||
+    workbook.getWorksheet(RANKING_SECTION.name);
+  if (!sheet && ranking.sheet === RANKING_SECTION.name) {
+    sheet = workbook.worksheets[0];
+  }
+  if (!sheet) {
+    if (!workbook.worksheets.length) {
+      throw new Error("No worksheets found in uploaded file.");
+    }
+    throw new SeoInputError(
+      `Profile '${profileName}' reads rankings from sheet '${ranking.sheet}', which is not in the upload. ` +
+        `Sheets found: ${workbook.worksheets.map((ws) => ws.name).join(", ")}.`,
+      { missing: [ranking.sheet] }
+    );
+  }
+
+  const maxHeaderRows = Math.min(15, sheet.rowCount);
+  const headerRows = ranking.header_row
+    ? [ranking.header_row]
+    : Array.from({ length: maxHeaderRows }, (_, i) => i + 1);
+
+  const dateByCol = new Map();
+  const rowFreq = new Map();
+
+  for (const r of headerRows) {
+    const row = sheet.getRow(r);
+    for (let c = 1; c <= row.cellCount; c++) {
+      const v = row.getCell(c).value;
+      const dt = parseHeaderDate(v);
+      if (dt) {
+        const existing = dateByCol.get(c);
+        if (!existing || existing.date < dt) {
+          dateByCol.set(c, { col: c, date: dt, row: r });
+        }
+        rowFreq.set(r, (rowFreq.get(r) || 0) + 1);
+      }
+    }
+  }
+
+  const dateCandidates = Array.from(dateByCol.values());
+  if (!dateCandidates.length && !ranking.date_columns) {
+    throw new Error(
+      "Could not find any date headers in the ranking sheet. " +
+        "Make sure the top rows contain date labels such as '1 Sept-25', '10-Nov-25', etc."
+    );
+  }
+
+  dateCandidates.sort((a, b) => a.date - b.date);
+  let latest = dateCandidates[dateCandidates.length - 1];
+  let previous =
+    dateCandidates.length >= 2
+      ? dateCandidates[dateCandidates.length - 2]
+      : null;
+
+  let headerRowNumber = ranking.header_row || (latest ? latest.row : 1);
+  if (!ranking.header_row && rowFreq.size) {
+    let bestRow = headerRowNumber;
+    let bestCount = 0;
+    for (const [r, count] of rowFreq.entries()) {
+      if (count > bestCount) {
+        bestRow = r;
+        bestCount = count;
+      }
+    }
+    headerRowNumber = bestRow;
+  }
+  const firstDataRow = headerRowNumber + 1;
+
+  const missingColumn = (what, ref) =>
+    new SeoInputError(
+      `Profile '${profileName}' expects a ${what} column '${ref}' in row ${headerRowNumber} of sheet '${sheet.name}'. ` +
+        `Columns found: ${headerLabels(sheet, headerRowNumber).filter(Boolean).join(", ") || "none"}.`,
+      { missing: [`${what} column`] }
+    );
+
+  let periods;
+  if (ranking.date_columns) {
+    // The profile names the dated columns itself
+    periods = ranking.date_columns.map((ref, i) => {
+      const col = columnIndex(sheet, headerRowNumber, ref);
+      if (!col) throw missingColumn("date", ref);
+      const date = parseHeaderDate(sheet.getRow(headerRowNumber).getCell(col).value);
+      if (!date) {
+        throw new SeoInputError(
+          `Column '${ref}' in row ${headerRowNumber} of sheet '${sheet.name}' does not hold a date.`
+        );
+      }
+      let urlCol = null;
+      if (ranking.url_columns) {
+        urlCol = columnIndex(sheet, headerRowNumber, ranking.url_columns[i]);
+        if (!urlCol) throw missingColumn("ranking URL", ranking.url_columns[i]);
+      }
+      return { col, date, row: headerRowNumber, urlCol };
+    });
+    periods.sort((a, b) => a.date - b.date);
+    latest = periods[periods.length - 1];
+    previous = periods.length >= 2 ? periods[periods.length - 2] : null;
+  } else {
+    // Every dated column in the header row, oldest first – the full ranking history
+    periods = dateCandidates.filter((d) => d.row === headerRowNumber);
+    if (!periods.includes(latest)) periods = dateCandidates;
+    // ...always ending with the two dates the report compares
+    if (previous && !periods.includes(previous)) {
+      periods = [...periods.slice(0, -1), previous, latest];
+    }
+
+    // Rank trackers that record the ranking page put it in the column after each date
+    const labels = headerLabels(sheet, headerRowNumber);
+    const dateCols = new Set(dateCandidates.map((d) => d.col));
+    const urlAfter = (p) =>
+      !dateCols.has(p.col + 1) && /^(|.*\b(url|page)\b.*)$/i.test(labels[p.col] || "");
+    if (periods.every(urlAfter)) {
+      periods = periods.map((p) => ({ ...p, urlCol: p.col + 1 }));
+      latest = periods[periods.length - 1];
+      previous = periods.length >= 2 ? periods[periods.length - 2] : null;
+    }
+  }
+
+  // Each period is stored by its date (api/lib/seo-runs.js), so two columns
+  // for the same day can't both be kept; say which rather than guess
+  const byDay = new Map();
+  for (const p of periods) {
+    const day = toDateString(p.date);
+    if (byDay.has(day)) {
+      throw new SeoInputError(
+        `Columns ${sheet.getColumn(byDay.get(day).col).letter} and ${sheet.getColumn(p.col).letter} ` +
+          `of sheet '${sheet.name}' are both dated ${formatDateNZ(p)}. Each ranking date can only appear once.`
+      );
+    }
+    byDay.set(day, p);
+  }
+
+  const keywordCol = columnIndex(sheet, headerRowNumber, ranking.keyword_column);
+  if (!keywordCol) throw missingColumn("keyword", ranking.keyword_column);
+
+  let urlCol = null;
+  if (ranking.url_column) {
+    urlCol = columnIndex(sheet, headerRowNumber, ranking.url_column);
+    if (!urlCol) throw missingColumn("URL", ranking.url_column);
+  }
+
+  let volumeCol = null;
+  if (ranking.volume_column) {
+    volumeCol = columnIndex(sheet, headerRowNumber, ranking.volume_column);
+    if (!volumeCol) throw missingColumn("search volume", ranking.volume_column);
+  } else {
+    const index = headerLabels(sheet, headerRowNumber).findIndex((label) =>
+      /volume/i.test(label)
+    );
+    if (index !== -1) volumeCol = index + 1;
+  }
+
+  let groupCol = null;
+  if (ranking.group_column) {
+    groupCol = columnIndex(sheet, headerRowNumber, ranking.group_column);
+    if (!groupCol) throw missingColumn("keyword group", ranking.group_column);
+  } else {
+    const index = headerLabels(sheet, headerRowNumber).findIndex((label) =>
+      /^(keyword )?(group|tag|tags|category)$/i.test(label)
+    );
+    if (index !== -1) groupCol = index + 1;
+  }
+
+  // Domain / location (optional)
+  let domain = "";
+  let location = "";
+  const domainRegex = /[a-z0-9.-]+\.[a-z]{2,}/i;
+  const patternProblem = locationPatternProblem(cfg.location_pattern);
+  if (patternProblem) {
+    throw new SeoInputError(`The profile's location_pattern ${patternProblem}. Edit the profile and try again.`);
+  }
+  const locationRegex = new RegExp(cfg.location_pattern, "i");
+
+  for (let r = 1; r <= maxHeaderRows; r++) {
+    const row = sheet.getRow(r);
+    for (let c = 1; c <= row.cellCount; c++) {
+      const text = cellToString(row.getCell(c).value).trim();
+      if (!text) continue;
+      if (!domain && domainRegex.test(text)) domain = text;
+      if (!location && locationRegex.test(text)) location = text;
+    }
+  }
+
+  const keywords = [];
+  const httpUrl = (value) => {
+    const text = cellToString(value).trim();
+    return /^https?:\/\//i.test(text) ? text : null;
+  };
+
+  for (let r = firstDataRow; r <= sheet.rowCount; r++) {
+    const row = sheet.getRow(r);
+
+    // Keep every keyword with a rank in any period: one that has dropped out
+    // of the last two still belongs in the trend, group and sparkline history.
+    // Winners and losers only compare keywords ranked in both (summariseRankings).
+    const history = periods.map((p) => normaliseRank(row.getCell(p.col).value));
+    if (history.every((rank) => rank === null)) continue;
+
+    const kwVal = row.getCell(keywordCol).value;
+    let keyword = cellToString(kwVal).trim();
+
+    if (!keyword) {
+      for (let c = 1; c < latest.col; c++) {
+        const txt = cellToString(row.getCell(c).value).trim();
+        if (txt && txt.length > keyword.length) keyword = txt;
+      }
+    }
+    if (!keyword) keyword = "(keyword)";
+
+    const urls = periods.map((p) =>
+      p.urlCol ? httpUrl(row.getCell(p.urlCol).value) : null
+    );
+
+    let url = "";
+    if (urlCol) {
+      url = cellToString(row.getCell(urlCol).value).trim();
+    } else if (urls.some(Boolean)) {
+      url = [...urls].reverse().find(Boolean);
+    } else {
+      for (let c = 1; c <= row.cellCount; c++) {
+        const txt = cellToString(row.getCell(c).value).trim();
+        if (txt && (txt.startsWith("http://") || txt.startsWith("https://"))) {
+          url = txt;
+          break;
+        }
+      }
+    }
+
+    const volume = volumeCol ? parseVolume(row.getCell(volumeCol).value) : null;
+    const group = groupCol
+      ? cellToString(row.getCell(groupCol).value).trim().slice(0, 100)
+      : "";
+
+    keywords.push({
+      keyword,
+      url,
+      volume,
+      group,
+      history,
+      urls
+    });
+  }
+
+  if (!keywords.length) {
+    throw new Error(
+      "No usable keyword rows found. Check that your ranking sheet has rows with ranks in the date columns."
+    );
+  }
+
+  return summariseRankings({ domain, location, periods, keywords });
+}
+
+// ---------- Backlink extraction ----------
+// `labels` = the link_labels / target_labels / status_labels of the profile
+function parseBacklinkSheet(sheet, sheetName, labels) {
+  const isLink = (label) => labels.link_labels.includes(label);
+  const isTarget = (label) => labels.target_labels.includes(label);
+  const isStatus = (label) => labels.status_labels.includes(label);
+
+  const maxHeaderRows = Math.min(10, sheet.rowCount);
+
+  const candidateRows = [];
+  for (let r = 1; r <= maxHeaderRows; r++) {
+    const row = sheet.getRow(r);
+    let hasBacklink = false;
+    let hasTarget = false;
+    let hasStatus = false;
+
+    for (let c = 1; c <= row.cellCount; c++) {
+      const label = cellToString(row.getCell(c).value)
+        .trim()
+        .toLowerCase();
+      if (!label) continue;
+
+      if (isLink(label)) hasBacklink = true;
+      if (labels.target_labels.some((t) => label.includes(t))) hasTarget = true;
+      if (labels.status_labels.some((t) => label.includes(t))) hasStatus = true;
+    }
+
+    if (hasBacklink) {
+      candidateRows.push({ row: r, hasTarget, hasStatus });
+    }
+  }
+
+  if (!candidateRows.length) {
+    return { name: sheetName, total: 0, rows: [] };
+  }
+
+  candidateRows.sort((a, b) => {
+    const scoreA = (a.hasTarget ? 1 : 0) + (a.hasStatus ? 1 : 0);
+    const scoreB = (b.hasTarget ? 1 : 0) + (b.hasStatus ? 1 : 0);
+    return scoreB - scoreA || a.row - b.row;
+  });
+
+  const headerRowNumber = candidateRows[0].row;
+  const headerRow = sheet.getRow(headerRowNumber);
+
+  let backlinkCol = null;
+  let targetCol = null;
+  let statusCol = null;
+
+  headerRow.eachCell((cell, col) => {
+    const label = cellToString(cell.value).trim().toLowerCase();
+    if (!label) return;
+    if (isLink(label)) backlinkCol = col;
+    if (isTarget(label)) targetCol = col;
+    if (isStatus(label)) statusCol = col;
+  });
+
+  if (!backlinkCol) {
+    headerRow.eachCell((cell, col) => {
+      const label = cellToString(cell.value).trim().toLowerCase();
+      if (label.includes("backlink") && !backlinkCol) backlinkCol = col;
+    });
+  }
+
+  if (!backlinkCol) {
+    return { name: sheetName, total: 0, rows: [] };
+  }
+
+  const rows = [];
+  for (let r = headerRowNumber + 1; r <= sheet.rowCount; r++) {
+    const row = sheet.getRow(r);
+    const backlink = cellToString(row.getCell(backlinkCol).value).trim();
+    const target = targetCol
+      ? cellToString(row.getCell(targetCol).value).trim()
+      : "";
+    const status = statusCol
+      ? cellToString(row.getCell(statusCol).value).trim()
+      : "";
+
+    if (!backlink && !target) continue;
+
+    rows.push({ backlink, target, status });
+  }
+
+  return {
+    name: sheetName,
+    total: rows.length,
+    rows
+  };
+}
+
+function parseBacklinks(workbook, cfg) {
+  const sections = [];
+  for (const { sheet: sheetName, section } of cfg.backlinks.sheets) {
+    // CSV uploads name their sheets after the section
+    const sheet = findSheet(workbook, sheetName) || findSheet(workbook, section);
+    if (!sheet) continue;
+    const parsed = parseBacklinkSheet(sheet, section, cfg.backlinks);
+    if (parsed.total > 0) sections.push(parsed);
+  }
+
+  const totalBacklinks = sections.reduce((sum, s) => sum + s.total, 0);
+
+  return {
+    totalBacklinks,
+    sections,
+    health: analyseBacklinks(sections)
+  };
+}
+
+// ---------- CSV / zip input ----------
+function matchSection(fileName) {
+  const key = path
+    .basename(fileName, path.extname(fileName))
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+  return SEO_SECTIONS.find((s) => s.pattern.test(key)) || null;
+}
+
+function describeSections(found, missing) {
+  const foundText = found.length
+    ? found.map((f) => `${f.section} (${f.file})`).join(", ")
+    : "none";
+  return `Found: ${foundText}. Missing: ${missing.join(", ") || "none"}.`;
+}
+
+async function addCsvSheet(workbook, sheetName, buffer) {
+  // strip a UTF-8 BOM so it doesn't end up in the first header cell
+  const text = buffer.toString("utf8").replace(/^\uFEFF/, "");
+  // exceljs would turn "01-06-2024" into a US-style date (6 January); only ISO
+  // dates are converted on read, the rest reach parseHeaderDate as text
+  await workbook.csv.read(Readable.from([text]), {
+    sheetName,
+    dateFormats: ["YYYY-MM-DD[T]HH:mm:ssZ", "YYYY-MM-DD[T]HH:mm:ss", "YYYY-MM-DD"]
+  });
+}
+
+// Build a workbook from a zip of CSV files, one per section
+// Files in a zip, without folders and macOS/hidden clutter
+export const zipEntries = (zip) =>
+  Object.values(zip.files).filter(
+    (entry) =>
+      !entry.dir &&
+      !entry.name.startsWith("__MACOSX/") &&
+      !path.basename(entry.name).startsWith(".")
+  );
+
+async function readCsvZip(workbook, zip) {
+  const entries = zipEntries(zip);
+
+  const found = [];
+  const ignored = [];
+  for (const entry of entries) {
+    const file = path.basename(entry.name);
+    const section =
+      path.extname(file).toLowerCase() === ".csv" ? matchSection(file) : null;
+    if (!section) {
+      ignored.push(file);
+      continue;
+    }
+
+    const duplicate = found.find((f) => f.section === section.name);
+    if (duplicate) {
+      throw new SeoInputError(
+        `Both ${duplicate.file} and ${file} look like the ${section.name} section. ` +
+          "Upload one file per section.",
+        { found, ignored }
+      );
+    }
+
+    await addCsvSheet(workbook, section.name, await entry.async("nodebuffer"));
+    found.push({ section: section.name, file });
+  }
+
+  const missing = SEO_SECTIONS.map((s) => s.name).filter(
+    (name) => !found.some((f) => f.section === name)
+  );
+
+  if (!found.some((f) => f.section === RANKING_SECTION.name)) {
+    throw new SeoInputError(
+      "The zip has no ranking CSV. Name it after its section, e.g. 'Ranking.csv'. " +
+        describeSections(found, missing) +
+        (ignored.length ? ` Not recognised: ${ignored.join(", ")}.` : ""),
+      { found, missing, ignored }
+    );
+  }
+
+  return { found, missing, ignored };
+}
+
+// .xlsx workbooks, single CSVs and zips of CSVs all come back as an exceljs workbook
+// `source` is the uploaded file's path, or its contents (files from a batch zip)
+async function readSeoInput(source, fileName) {
+  const ExcelJS = await getExcelJS();
+  const workbook = new ExcelJS.Workbook();
+  const inMemory = Buffer.isBuffer(source);
+  const name = fileName || (inMemory ? "upload" : path.basename(source));
+  const buffer = inMemory ? source : await fs.promises.readFile(source);
+
+  // .xlsx files are zips too; anything that isn't a zip is read as CSV
+  if (buffer.subarray(0, 2).toString("latin1") !== "PK") {
+    const section = matchSection(name);
+    if (section && section !== RANKING_SECTION) {
+      throw new SeoInputError(
+        `${name} looks like the ${section.name} section. A single CSV upload must be the ranking export; ` +
+          "send backlink CSVs together with it in a zip.",
+        {
+          found: [{ section: section.name, file: name }],
+          missing: [RANKING_SECTION.name]
+        }
+      );
+    }
+    await addCsvSheet(workbook, RANKING_SECTION.name, buffer);
+    return workbook;
+  }
+
+  const JSZip = await getJSZip();
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (err) {
+    throw new SeoInputError(`Could not open ${name}: ${err.message}`);
+  }
+
+  if (zip.file("[Content_Types].xml")) {
+    await workbook.xlsx.load(buffer);
+  } else {
+    await readCsvZip(workbook, zip);
+  }
+  return workbook;
+}
+
+// ---------- Parse entire workbook ----------
+// `profile` forces a mapping profile; otherwise the best fit of `candidates`
+// (or the built-in layout) is used.
+export async function parseSeoWorkbook(source, fileName, { profile = null, candidates = [] } = {}) {
+  const workbook = await readSeoInput(source, fileName);
+  const chosen = profile || chooseProfile(workbook, candidates);
+  const cfg = profileConfig(chosen);
+
+  const ranking = parseRankingSheet(workbook, cfg, chosen.name);
+  const backlinks = parseBacklinks(workbook, cfg);
+
+  return {
+    ...ranking,
+    backlinks,
+    profile: { id: chosen.id, name: chosen.name }
+  };
+}
@@ -0,0 +1,982 @@
+// api/lib/seo-pdf.js
+//
+// The branded SEO report as a PDF (pdfkit): renderSeoPdf() lays it out,
+// buildSeoPdf() streams it as the response and seoPdfBuffer() returns it whole
+// for batch zips.
+import fs from "fs";
+import { DEFAULT_BRANDING, BRANDING_FONTS } from "./seo-brandings.js";
+import {
+  formatDateNZ,
+  describeBacklinkType,
+  getBacklinkIcon,
+  formatShortDate,
+  lineSegments,
+  reportNarrative
+} from "./seo-format.js";
+
+// ---------- Dynamic imports ----------
+async function getPdfKit() {
+  const mod = await import("pdfkit");
+  return mod.default || mod;
+}
+
+// ---------- Charts (pdfkit vector graphics) ----------
+// Tiny rank history line. Ranks are inverted so "up" means a better position.
+function drawSparkline(doc, x, y, width, height, values, color) {
+  const ranks = values.filter((v) => v !== null);
+  if (!ranks.length) return;
+
+  const min = Math.min(...ranks);
+  const max = Math.max(...ranks);
+  const span = max - min || 1;
+  const step = values.length > 1 ? width / (values.length - 1) : 0;
+
+  const points = values.map((v, i) =>
+    v === null
+      ? null
+      : {
+          x: values.length > 1 ? x + i * step : x + width / 2,
+          y: max === min ? y + height / 2 : y + ((v - min) / span) * height
+        }
+  );
+
+  doc.save().lineWidth(1).strokeColor(color);
+  lineSegments(points).forEach((seg) => {
+    if (seg.length === 1) return;
+    doc.moveTo(seg[0].x, seg[0].y);
+    seg.slice(1).forEach((p) => doc.lineTo(p.x, p.y));
+    doc.stroke();
+  });
+
+  const last = points[points.length - 1];
+  if (last) doc.circle(last.x, last.y, 1.8).fill(color);
+  doc.restore();
+}
+
+// Line or bar chart over the report periods.
+// opts: { x, y, width, height, title, labels, values, color, type: "line" | "bar", invert, format, fonts, titleColor }
+function drawTrendChart(doc, opts) {
+  const {
+    x,
+    y,
+    width,
+    height,
+    title,
+    labels,
+    values,
+    color,
+    type = "line",
+    invert = false,
+    format = (v) => String(Math.round(v)),
+    fonts = BRANDING_FONTS.Helvetica,
+    titleColor = "#000000"
+  } = opts;
+
+  doc
+    .fontSize(11)
+    .font(fonts.bold)
+    .fillColor(titleColor)
+    .text(title, x, y, { width });
+
+  const plotLeft = x + 32;
+  const plotTop = y + 20;
+  const plotWidth = width - 40;
+  const plotHeight = height - 40;
+  const plotBottom = plotTop + plotHeight;
+
+  const present = values.filter((v) => v !== null);
+  if (!present.length) return;
+  let lo = type === "bar" ? 0 : Math.floor(Math.min(...present));
+  let hi = Math.ceil(Math.max(...present));
+  if (invert) lo = Math.max(1, lo);
+  if (hi <= lo) hi = lo + 1;
+
+  const toY = (v) => {
+    const t = (v - lo) / (hi - lo);
+    return invert ? plotTop + t * plotHeight : plotBottom - t * plotHeight;
+  };
+
+  // grid + y labels
+  const ticks = 4;
+  doc.fontSize(7).font(fonts.regular).lineWidth(0.5);
+  for (let i = 0; i <= ticks; i++) {
+    const v = lo + ((hi - lo) * i) / ticks;
+    const gy = toY(v);
+    doc
+      .save()
+      .strokeColor("#dddddd")
+      .moveTo(plotLeft, gy)
+      .lineTo(plotLeft + plotWidth, gy)
+      .stroke()
+      .restore();
+    doc
+      .fillColor("#777777")
+      .text(format(v), x, gy - 3, { width: 28, align: "right" });
+  }
+
+  // x labels (thinned out so they don't collide)
+  const n = values.length;
+  const slot = plotWidth / n;
+  const cx = (i) => plotLeft + slot * i + slot / 2;
+  const labelEvery = Math.max(1, Math.ceil(n / 8));
+  labels.forEach((label, i) => {
+    if (i % labelEvery !== 0 && i !== n - 1) return;
+    doc
+      .fillColor("#777777")
+      .text(label, cx(i) - 20, plotBottom + 4, { width: 40, align: "center" });
+  });
+
+  doc.save();
+  if (type === "bar") {
+    const barWidth = Math.min(24, slot * 0.6);
+    values.forEach((v, i) => {
+      if (v === null) return;
+      const top = toY(v);
+      doc.rect(cx(i) - barWidth / 2, top, barWidth, plotBottom - top).fill(color);
+    });
+  } else {
+    const points = values.map((v, i) => (v === null ? null : { x: cx(i), y: toY(v) }));
+    doc.lineWidth(1.5).strokeColor(color);
+    lineSegments(points).forEach((seg) => {
+      doc.moveTo(seg[0].x, seg[0].y);
+      seg.slice(1).forEach((p) => doc.lineTo(p.x, p.y));
+      doc.stroke();
+    });
+    points.forEach((p) => {
+      if (p) doc.circle(p.x, p.y, 2.2).fill(color);
+    });
+  }
+  doc.restore();
+
+  // last value callout
+  const lastIndex = values.length - 1;
+  if (values[lastIndex] !== null) {
+    doc
+      .fontSize(8)
+      .font(fonts.bold)
+      .fillColor(color)
+      .text(format(values[lastIndex]), cx(lastIndex) - 20, toY(values[lastIndex]) - 12, {
+        width: 40,
+        align: "center"
+      });
+  }
+
+  doc
+    .moveTo(plotLeft, plotBottom)
+    .lineTo(plotLeft + plotWidth, plotBottom)
+    .lineWidth(0.8)
+    .strokeColor("#999999")
+    .stroke();
+}
+
+// Simple table from doc.y down, repeating the header after a page break.
+// opts: { x, columns: [{ label, width, align }], rows: [[cell, ...]], fonts, headingColor, textColor }
+function drawTable(doc, opts) {
+  const { x, columns, rows, fonts, headingColor, textColor } = opts;
+  const rowHeight = 16;
+  const bottom = () => doc.page.height - doc.page.margins.bottom - rowHeight;
+
+  const drawHeader = () => {
+    const headerY = doc.y;
+    doc.fontSize(9).font(fonts.bold).fillColor(headingColor);
+    let cx = x;
+    columns.forEach((c) => {
+      doc.text(c.label, cx, headerY, { width: c.width - 6, align: c.align || "left" });
+      cx += c.width;
+    });
+    doc
+      .moveTo(x, headerY + rowHeight - 4)
+      .lineTo(cx, headerY + rowHeight - 4)
+      .lineWidth(0.5)
+      .strokeColor("#dddddd")
+      .stroke();
+    return headerY + rowHeight;
+  };
+
+  let y = drawHeader();
+  rows.forEach((cells) => {
+    if (y > bottom()) {
+      doc.addPage();
+      y = drawHeader();
+    }
+    doc.fontSize(9).font(fonts.regular).fillColor(textColor);
+    let cx = x;
+    columns.forEach((c, i) => {
+      doc.text(String(cells[i] ?? ""), cx, y, {
+        width: c.width - 6,
+        height: rowHeight - 4,
+        align: c.align || "left",
+        ellipsis: true
+      });
+      cx += c.width;
+    });
+    y += rowHeight;
+  });
+  doc.x = x;
+  doc.y = y;
+}
+
+// ---------- PDF generation ----------
+// Lays out the whole report; the caller pipes the returned document and ends it.
+// `branding` comes from resolveBranding() in api/lib/seo-brandings.js
+async function renderSeoPdf(summary, branding = DEFAULT_BRANDING) {
+  const PDFKit = await getPdfKit();
+  const {
+    domain,
+    latest,
+    periods,
+    trend,
+    tracked,
+    pos1Count,
+    page1Count,
+    hasVolume,
+    groups,
+    keywords,
+    backlinks
+  } = summary;
+
+  // buffered so the footer can be written on every page at the end
+  const doc = new PDFKit({ size: "A4", margin: 40, bufferPages: true });
+
+  const {
+    dark: brandDark,
+    primary: brandPrimary,
+    success: brandSuccess,
+    accent: brandAccent,
+    heading: headingColor,
+    text: textColor,
+    muted: mutedColor
+  } = branding.colors;
+
+  let fonts = BRANDING_FONTS[branding.font] || BRANDING_FONTS.Helvetica;
+  if (branding.fonts.regular) {
+    doc.registerFont("Brand", branding.fonts.regular);
+    doc.registerFont("Brand-Bold", branding.fonts.bold || branding.fonts.regular);
+    fonts = {
+      regular: "Brand",
+      bold: "Brand-Bold",
+      italic: "Brand",
+      boldItalic: "Brand-Bold"
+    };
+  }
+
+  const pageWidth = doc.page.width;
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const contentWidth = right - left;
+
+  // Buffers from a stored branding, or paths to the built-in images
+  const imageSource = (src) =>
+    Buffer.isBuffer(src) || (src && fs.existsSync(src)) ? src : null;
+  const heroImage = imageSource(branding.images.hero);
+  const logoLeft = imageSource(branding.images.logo_left);
+  const logoRight = imageSource(branding.images.logo_right);
+
+  const narrative = reportNarrative(summary);
+
+  // ======================================================
+  // PAGE 1 – HERO + LOGOS + 3 BOXES + EXEC SUMMARY
+  // ======================================================
+
+  const heroHeight = 180;
+
+  if (heroImage) {
+    doc.image(heroImage, 0, 0, { width: pageWidth, height: heroHeight });
+    doc
+      .save()
+      .rect(0, 0, pageWidth, heroHeight)
+      .fillOpacity(0.7)
+      .fill(brandDark)
+      .fillOpacity(1)
+      .restore();
+  } else {
+    doc
+      .save()
+      .rect(0, 0, pageWidth, heroHeight)
+      .fill(brandDark)
+      .restore();
+  }
+
+  doc
+    .fillColor("#ffffff")
+    .fontSize(22)
+    .font(fonts.bold)
+    .text(branding.cover_title, left, 60);
+
+  doc.fontSize(14).font(fonts.regular);
+  if (domain) doc.text(domain, left, 95);
+
+  const dateText = `Report date: ${formatDateNZ(latest)}`;
+  doc.text(dateText, left, 115);
+
+  doc
+    .save()
+    .rect(0, heroHeight, pageWidth, doc.page.height - heroHeight)
+    .fill("#ffffff")
+    .restore();
+
+  // Logos above cards
+  const logoWidth = 80;
+  const logoY = heroHeight + 8;
+
+  if (logoLeft) {
+    doc.image(logoLeft, left, logoY, { width: logoWidth });
+  }
+  if (logoRight) {
+    doc.image(logoRight, right - logoWidth, logoY, { width: logoWidth });
+  }
+
+  const cardGap = 10;
+  const cardsPerRow = 3;
+  const cardWidth = (contentWidth - cardGap * (cardsPerRow - 1)) / cardsPerRow;
+  const cardHeight = 60;
+
+  const metricCards = [
+    {
+      label: "Optimised keywords",
+      value: tracked.toString(),
+      color: brandPrimary
+    },
+    {
+      label: "Keywords on page 1",
+      value: `${page1Count}/${tracked}`,
+      color: brandSuccess
+    },
+    {
+      label: "Keywords in top position",
+      value: pos1Count.toString(),
+      color: brandAccent
+    }
+  ];
+
+  let cardIndex = 0;
+  const cardTopY = heroHeight + 60;
+
+  metricCards.forEach((card) => {
+    const col = cardIndex % cardsPerRow;
+    const x = left + col * (cardWidth + cardGap);
+    const y = cardTopY;
+
+    doc
+      .save()
+      .rect(x, y, cardWidth, cardHeight)
+      .fill(card.color)
+      .restore();
+
+    doc
+      .fillColor("#ffffff")
+      .fontSize(11)
+      .font(fonts.regular)
+      .text(card.label, x + 8, y + 8, {
+        width: cardWidth - 16
+      });
+
+    doc
+      .fontSize(20)
+      .font(fonts.bold)
+      .text(card.value, x + 8, y + 26, {
+        width: cardWidth - 16
+      });
+
+    cardIndex++;
+  });
+
+  const yAfterCards = cardTopY + cardHeight + 45;
+  doc.y = yAfterCards;
+
+  // Executive Summary heading
+  doc
+    .fontSize(16)
+    .font(fonts.bold)
+    .fillColor(headingColor)
+    .text("Executive Summary", left, doc.y);
+
+  doc.moveDown(0.8);
+
+  doc.fontSize(11).font(fonts.regular).fillColor(textColor);
+
+  narrative.overview.forEach((paragraph, i) => {
+    if (i > 0) doc.moveDown(0.6);
+    doc.text(paragraph, { width: contentWidth });
+  });
+
+  // Keyword rankings sub-section
+  doc.moveDown(1.2);
+  doc
+    .fontSize(13)
+    .font(fonts.bold)
+    .fillColor(headingColor)
+    .text("Keyword Rankings:");
+
+  doc.moveDown(0.5);
+  doc.fontSize(11).font(fonts.regular).fillColor(textColor);
+
+  narrative.keywordLines.forEach((line) => {
+    doc.text("• " + line, { width: contentWidth });
+  });
+
+  // Backlinks and Authority summary
+  if (narrative.backlinksLine) {
+    doc.moveDown(2.0);
+    doc
+      .fontSize(13)
+      .font(fonts.bold)
+      .fillColor(headingColor)
+      .text("Backlinks and Authority:");
+
+    doc.moveDown(0.5);
+    doc.fontSize(11).font(fonts.regular).fillColor(textColor);
+
+    doc.text(narrative.backlinksLine, { width: contentWidth });
+  }
+
+  // ======================================================
+  // RANKING TRENDS (all periods in the workbook)
+  // ======================================================
+  if (trend.length > 1) {
+    doc.addPage();
+
+    doc
+      .fontSize(16)
+      .font(fonts.bold)
+      .fillColor(headingColor)
+      .text("Ranking Trends", left, doc.y);
+
+    doc.moveDown(0.3);
+    doc
+      .fontSize(10)
+      .font(fonts.regular)
+      .fillColor(mutedColor)
+      .text(narrative.trendIntro, { width: contentWidth });
+
+    const chartLabels = trend.map((t) => formatShortDate(t.date));
+    const chartHeight = 210;
+    let chartY = doc.y + 15;
+
+    drawTrendChart(doc, {
+      x: left,
+      y: chartY,
+      width: contentWidth,
+      height: chartHeight,
+      title: "Average Google position",
+      labels: chartLabels,
+      values: trend.map((t) => t.avg),
+      color: brandPrimary,
+      fonts,
+      titleColor: headingColor,
+      invert: true,
+      format: (v) => v.toFixed(1)
+    });
+
+    chartY += chartHeight + 25;
+
+    drawTrendChart(doc, {
+      x: left,
+      y: chartY,
+      width: contentWidth,
+      height: chartHeight,
+      title: "Keywords in the top 10",
+      labels: chartLabels,
+      values: trend.map((t) => t.top10),
+      color: brandSuccess,
+      fonts,
+      titleColor: headingColor,
+      type: "bar"
+    });
+
+    doc.y = chartY + chartHeight + 10;
+  }
+
+  // ======================================================
+  // KEYWORD GROUPS (when the ranking sheet has a group column)
+  // ======================================================
+  if (groups.length) {
+    doc.addPage();
+
+    doc
+      .fontSize(16)
+      .font(fonts.bold)
+      .fillColor(headingColor)
+      .text("Keyword Groups", left, doc.y);
+
+    doc.moveDown(0.3);
+    doc
+      .fontSize(10)
+      .font(fonts.regular)
+      .fillColor(mutedColor)
+      .text(narrative.groupsIntro, { width: contentWidth });
+
+    doc.moveDown(0.7);
+
+    const groupColumns = [
+      { label: "Group", x: left, width: 170 },
+      { label: "Keywords", x: left + 180, width: 60 },
+      { label: "Avg position", x: left + 245, width: 70 },
+      { label: "Top 10", x: left + 320, width: 55 },
+      { label: "Visibility", x: left + 380, width: 65 }
+    ];
+    if (hasVolume) {
+      groupColumns.push({ label: "Est. clicks", x: left + 450, width: right - left - 450 });
+    }
+
+    let gy = doc.y;
+    doc.fontSize(10).font(fonts.bold).fillColor(headingColor);
+    groupColumns.forEach((c) => doc.text(c.label, c.x, gy, { width: c.width }));
+    gy += 18;
+
+    doc.fontSize(10).font(fonts.regular).fillColor(textColor);
+    groups.forEach((g) => {
+      if (gy > doc.page.height - doc.page.margins.bottom - 30) {
+        doc.addPage();
+        gy = doc.y;
+      }
+      const visibilityText =
+        g.visibilityPrev !== null && g.visibilityPrev !== g.visibility
+          ? `${g.visibility}% (${g.visibility > g.visibilityPrev ? "+" : "-"}${
+              Math.round(Math.abs(g.visibility - g.visibilityPrev) * 10) / 10
+            })`
+          : `${g.visibility}%`;
+      const cells = [
+        g.name,
+        String(g.tracked),
+        g.avgPosition !== null ? g.avgPosition.toFixed(1) : "-",
+        String(g.top10),
+        visibilityText,
+        hasVolume ? String(g.traffic) : null
+      ];
+      groupColumns.forEach((c, i) =>
+        doc.text(cells[i], c.x, gy, { width: c.width, height: 14, ellipsis: true })
+      );
+      gy += 18;
+    });
+
+    doc.y = gy + 10;
+    doc
+      .fontSize(13)
+      .font(fonts.bold)
+      .fillColor(headingColor)
+      .text("Movers by group:", left, doc.y);
+    doc.moveDown(0.5);
+
+    narrative.groupMovers.forEach((g) => {
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 40) {
+        doc.addPage();
+      }
+      doc
+        .fontSize(10)
+        .font(fonts.bold)
+        .fillColor(textColor)
+        .text(`${g.name}: `, left, doc.y, { continued: true, width: contentWidth })
+        .font(fonts.regular)
+        .text(g.text);
+      doc.moveDown(0.3);
+    });
+  }
+
+  // ======================================================
+  // RANKING PAGE CHANGES (redirects / cannibalisation)
+  // ======================================================
+  const pageLists = [
+    { title: "Page changed since last week:", lines: narrative.pageChanges.changed },
+    { title: "Switching between pages:", lines: narrative.pageChanges.flipping },
+    { title: "Keywords sharing a page:", lines: narrative.pageChanges.shared }
+  ].filter((list) => list.lines.length);
+
+  if (pageLists.length) {
+    doc.addPage();
+
+    doc
+      .fontSize(16)
+      .font(fonts.bold)
+      .fillColor(headingColor)
+      .text("Ranking Page Changes", left, doc.y);
+
+    doc.moveDown(0.3);
+    doc
+      .fontSize(10)
+      .font(fonts.regular)
+      .fillColor(mutedColor)
+      .text(narrative.pagesIntro, { width: contentWidth });
+
+    pageLists.forEach((list) => {
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 80) {
+        doc.addPage();
+      } else {
+        doc.moveDown(1.0);
+      }
+      doc
+        .fontSize(13)
+        .font(fonts.bold)
+        .fillColor(headingColor)
+        .text(list.title, left, doc.y);
+      doc.moveDown(0.4);
+
+      doc.fontSize(9).font(fonts.regular).fillColor(textColor);
+      list.lines.forEach((line) => {
+        if (doc.y > doc.page.height - doc.page.margins.bottom - 30) {
+          doc.addPage();
+          doc.fontSize(9).font(fonts.regular).fillColor(textColor);
+        }
+        doc.text("• " + line, left, doc.y, { width: contentWidth });
+        doc.moveDown(0.2);
+      });
+    });
+  }
+
+  // ======================================================
+  // KEYWORD LIST TABLE
+  // ======================================================
+  doc.addPage();
+
+  doc
+    .fontSize(16)
+    .font(fonts.bold)
+    .fillColor(headingColor)
+    .text("Keyword Rankings Overview", left, doc.y);
+
+  doc.moveDown(0.3);
+  doc
+    .fontSize(10)
+    .font(fonts.regular)
+    .fillColor(mutedColor)
+    .text(narrative.tableIntro, { width: contentWidth });
+
+  doc.moveDown(0.7);
+
+  const xCheck = left;
+  const xKeyword = left + 18;
+  const xCurrent = left + 290;
+  const xPrev = left + 360;
+  const xTrend = left + 435;
+  const trendWidth = right - xTrend;
+  const showSparklines = periods.length > 2;
+
+  function drawKeywordHeader() {
+    const headerY = doc.y;
+    doc.fontSize(11).font(fonts.bold).fillColor(headingColor);
+    doc.text("Keyword List", xKeyword, headerY);
+    doc.text("Position", xCurrent, headerY);
+    doc.text("Last week", xPrev, headerY);
+    if (showSparklines) doc.text("Trend", xTrend, headerY);
+    doc.moveDown(0.5);
+  }
+
+  drawKeywordHeader();
+
+  let y = doc.y + 2;
+  const rowHeight = 18;
+
+  doc.fontSize(10).font(fonts.regular).fillColor(textColor);
+
+  keywords.forEach((k) => {
+    if (y > doc.page.height - doc.page.margins.bottom - 30) {
+      doc.addPage();
+      drawKeywordHeader();
+      y = doc.y + 2;
+      doc.fontSize(10).font(fonts.regular).fillColor(textColor);
+    }
+
+    doc
+      .fontSize(11)
+      .font(fonts.bold)
+      .fillColor(brandSuccess)
+      .text("✓", xCheck, y + 2);
+
+    doc.fontSize(10).font(fonts.regular).fillColor(textColor);
+    doc.text(k.keyword, xKeyword, y, {
+      width: xCurrent - xKeyword - 10
+    });
+
+    const currentStr =
+      k.current !== null && k.current !== undefined
+        ? String(k.current)
+        : "-";
+    doc.text(currentStr, xCurrent, y, { width: 60 });
+
+    const prevStr =
+      k.previous !== null && k.previous !== undefined
+        ? String(k.previous)
+        : "-";
+    doc.text(prevStr, xPrev, y, { width: 60 });
+
+    if (showSparklines) {
+      drawSparkline(doc, xTrend, y + 1, trendWidth - 6, rowHeight - 8, k.history, brandPrimary);
+    }
+
+    y += rowHeight;
+  });
+
+  // ======================================================
+  // BACKLINKS OVERVIEW + SECTION DETAILS (CAPPED AT 10)
+  // ======================================================
+  if (backlinks && backlinks.sections && backlinks.sections.length) {
+    const { totalBacklinks, sections } = backlinks;
+
+    const bottomLimitStart =
+      doc.page.height - doc.page.margins.bottom - 80;
+    if (doc.y > bottomLimitStart) {
+      doc.addPage();
+    } else {
+      // extra breathing room so it isn't cramped under the table
+      doc.moveDown(2.0);
+    }
+
+    doc
+      .fontSize(16)
+      .font(fonts.bold)
+      .fillColor(headingColor)
+      .text("Backlinks Overview", left, doc.y);
+
+    doc.moveDown(0.7);
+
+    doc
+      .fontSize(11)
+      .font(fonts.regular)
+      .fillColor(textColor)
+      .text(
+        `Total backlinks in this workbook: ${totalBacklinks}.`,
+        { width: contentWidth }
+      );
+
+    if (sections.length) {
+      const summaryParts = sections.map(
+        (s) => `${s.name} (${s.total})`
+      );
+      doc.moveDown(0.3);
+      doc.text(`By type: ${summaryParts.join(", ")}.`, {
+        width: contentWidth
+      });
+    }
+
+    // Backlink health: referring domains, statuses, targets, duplicates
+    const { health } = backlinks;
+    if (health && health.totalLinks) {
+      doc.moveDown(0.6);
+      narrative.healthLines.forEach((line) => {
+        doc.text("• " + line, { width: contentWidth });
+      });
+
+      const tableStyle = { x: left, fonts, headingColor, textColor };
+      const subHeading = (text) => {
+        if (doc.y > doc.page.height - doc.page.margins.bottom - 90) {
+          doc.addPage();
+        } else {
+          doc.moveDown(1.0);
+        }
+        doc
+          .fontSize(13)
+          .font(fonts.bold)
+          .fillColor(headingColor)
+          .text(text, left, doc.y);
+        doc.moveDown(0.4);
+      };
+
+      subHeading("Links by status");
+      drawTable(doc, {
+        ...tableStyle,
+        columns: [
+          { label: "Status", width: 235 },
+          { label: "Links", width: 90, align: "right" },
+          { label: "Share", width: 90, align: "right" },
+          { label: "Domains", width: 100, align: "right" }
+        ],
+        rows: health.statuses.map((st) => [st.status, st.links, `${st.share}%`, st.domains])
+      });
+
+      const maxTargets = 10;
+      subHeading("Target pages");
+      drawTable(doc, {
+        ...tableStyle,
+        columns: [
+          { label: "Target", width: 295 },
+          { label: "Links", width: 70, align: "right" },
+          { label: "Share", width: 70, align: "right" },
+          { label: "Domains", width: 80, align: "right" }
+        ],
+        rows: health.targets
+          .slice(0, maxTargets)
+          .map((t) => [t.target, t.links, `${t.share}%`, t.domains])
+      });
+      if (health.targets.length > maxTargets) {
+        doc
+          .moveDown(0.2)
+          .fontSize(9)
+          .font(fonts.italic)
+          .fillColor(mutedColor)
+          .text(`+ ${health.targets.length - maxTargets} more target pages.`, left, doc.y, {
+            width: contentWidth
+          });
+      }
+
+      if (health.duplicates.length) {
+        const maxDuplicates = 10;
+        subHeading("Duplicate links");
+        drawTable(doc, {
+          ...tableStyle,
+          columns: [
+            { label: "Link", width: 270 },
+            { label: "Times", width: 50, align: "right" },
+            { label: "Sections", width: 195 }
+          ],
+          rows: health.duplicates
+            .slice(0, maxDuplicates)
+            .map((d) => [d.url, d.count, d.sections.join(", ")])
+        });
+        if (health.duplicates.length > maxDuplicates) {
+          doc
+            .moveDown(0.2)
+            .fontSize(9)
+            .font(fonts.italic)
+            .fillColor(mutedColor)
+            .text(`+ ${health.duplicates.length - maxDuplicates} more duplicate links.`, left, doc.y, {
+              width: contentWidth
+            });
+        }
+      }
+
+      doc.fontSize(11).font(fonts.regular).fillColor(textColor);
+    }
+
+    doc.moveDown(1.0);
+
+    const maxLinksToShow = 10;
+    const sectionDomains = (section) => {
+      const found = health && health.sections.find((h) => h.name === section.name);
+      return found ? ` from ${found.domains} domains` : "";
+    };
+
+    sections.forEach((section, idx) => {
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 80) {
+        doc.addPage();
+      }
+
+      const icon = getBacklinkIcon(section.name);
+      const headingText = `${icon} ${section.name}`;
+
+      doc
+        .fontSize(13)
+        .font(fonts.bold)
+        .fillColor(headingColor)
+        .text(headingText, left, doc.y);
+
+      doc.moveDown(0.35);
+      doc
+        .fontSize(10)
+        .font(fonts.regular)
+        .fillColor(textColor)
+        .text(
+          `Total links: ${section.total}${sectionDomains(section)}. Showing up to ${maxLinksToShow} links below:`,
+          { width: contentWidth }
+        );
+      doc.moveDown(0.3);
+
+      const bottomLimit =
+        doc.page.height - doc.page.margins.bottom - 40;
+
+      doc.fontSize(9).font(fonts.regular).fillColor(headingColor);
+
+      const toShow = Math.min(section.rows.length, maxLinksToShow);
+
+      section.rows.slice(0, toShow).forEach((row, i) => {
+        const url = row.backlink || row.target || "";
+        const statusText = row.status ? ` [${row.status}]` : "";
+        const line = `${i + 1}. ${String(url)}${statusText}`;
+
+        if (doc.y > bottomLimit) {
+          doc.addPage();
+          doc
+            .fontSize(13)
+            .font(fonts.bold)
+            .fillColor(headingColor)
+            .text(headingText + " (cont.)", left, doc.y);
+          doc.moveDown(0.3);
+          doc.fontSize(9).font(fonts.regular).fillColor(headingColor);
+        }
+
+        doc.text(line, { width: contentWidth });
+      });
+
+      if (section.total > maxLinksToShow) {
+        const remaining = section.total - maxLinksToShow;
+        if (doc.y > bottomLimit) {
+          doc.addPage();
+        }
+        doc
+          .moveDown(0.2)
+          .fontSize(9)
+          .font(fonts.italic)
+          .fillColor(mutedColor)
+          .text(`+ ${remaining} more links in this category.`, {
+            width: contentWidth
+          });
+      }
+
+      doc.moveDown(0.35);
+      // bold + italic description
+      doc
+        .fontSize(9)
+        .font(fonts.boldItalic)
+        .fillColor("#444444")
+        .text(
+          "What this means: " + describeBacklinkType(section.name),
+          { width: contentWidth }
+        );
+
+      if (idx < sections.length - 1) {
+        doc.moveDown(1.2);
+      }
+    });
+  }
+
+  // Footer contact line on every page
+  if (branding.footer_text) {
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      doc
+        .fontSize(8)
+        .font(fonts.regular)
+        .fillColor(mutedColor)
+        .text(branding.footer_text, left, doc.page.height - 28, {
+          width: contentWidth,
+          align: "center",
+          lineBreak: false
+        });
+      doc.page.margins.bottom = bottomMargin;
+    }
+  }
+
+  return doc;
+}
+
+const pdfFileName = (summary) => `SEO-Report-${summary.domain || "site"}.pdf`;
+
+export async function buildSeoPdf(res, summary, branding = DEFAULT_BRANDING) {
+  const doc = await renderSeoPdf(summary, branding);
+
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${pdfFileName(summary)}"`
+  );
+
+  doc.pipe(res);
+  doc.end();
+}
+
+// The finished PDF as a Buffer (batch zips)
+export async function seoPdfBuffer(summary, branding = DEFAULT_BRANDING) {
+  const doc = await renderSeoPdf(summary, branding);
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", resolve);
+    doc.on("error", reject);
+  });
+  doc.end();
+  await done;
+  return Buffer.concat(chunks);
+}
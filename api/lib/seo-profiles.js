@@ -0,0 +1,216 @@
+// api/lib/seo-profiles.js
+//
+// Mapping profiles for SEO workbooks (sql/012_seo_profiles.sql). Each vendor
+// lays out its sheets differently; a profile tells /api/reports/seo where to
+// look. Anything a profile leaves out falls back to the built-in layout
+// (DEFAULT_PROFILE in api/lib/seo-parse.js).
+//
+// config = {
+//   ranking: {
+//     sheet: "Keyword Ranks",           // sheet name, case-insensitive
+//     header_row: 3,                    // row with the column labels and dates (detected if left out)
+//     keyword_column: "Keyword",        // column: header label, letter ("B") or 1-based number
+//     url_column: "Ranking URL",        // left out: first http(s) cell in the row
+//     volume_column: "Search Volume",   // left out: a header containing "volume", if any
+//     group_column: "Tag",              // keyword group; left out: a "Group"/"Tag"/"Category" header, if any
+//     date_columns: ["D", "F", "H"],    // left out: every dated column in the header row
+//     url_columns: ["E", "G", "I"],     // ranking URL of each date column (same order); left out:
+//                                       // a blank/"URL" column right after each date column, if any
+//   },
+//   location_pattern: "new zealand|australia",   // regex for the location label, at most 200 characters;
+//                                                // no repeated groups that repeat or alternate inside
+//   backlinks: {
+//     sheets: [{ sheet: "Profiles", section: "Profile Backlinks" }],   // section defaults to the sheet name
+//     link_labels: ["backlinks"],       // header labels of the link / target / status columns
+//     target_labels: ["target url", "target"],
+//     status_labels: ["status"],
+//   },
+// }
+//
+// Column letters must be upper case (one or two letters); any other text is a header label.
+import { ValidationError } from "./validate.js";
+
+export const COLUMN_LETTER_RE = /^[A-Z]{1,2}$/;
+
+const isObject = (v) => v && typeof v === "object" && !Array.isArray(v);
+const nonEmpty = (v) => typeof v === "string" && v.trim() !== "";
+
+function columnRef(value, field, errors) {
+  if (Number.isInteger(value) && value > 0) return value;
+  if (nonEmpty(value) && value.length <= 100) return value.trim();
+  errors.push({ field, message: `${field} must be a header label, a column letter or a column number` });
+  return undefined;
+}
+
+export const MAX_LOCATION_PATTERN = 200;
+
+// The location pattern is user input run against every header cell, so a
+// pattern that can backtrack catastrophically would hang the report. Refuse
+// the shapes that do: a repeated group that itself repeats or alternates
+// ("(a+)+", "(a|aa)*") and backreferences. Returns the problem, or null.
+function unsafePattern(pattern) {
+  const groups = [{ risky: false }];
+  let closed = null; // the group just closed, if a quantifier could apply to it
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === "\\") {
+      if (/[1-9k]/.test(pattern[i + 1] || "")) return "backreferences are not allowed";
+      i++;
+      closed = null;
+    } else if (ch === "[") {
+      for (i++; i < pattern.length && pattern[i] !== "]"; i++) if (pattern[i] === "\\") i++;
+      closed = null;
+    } else if (ch === "(") {
+      groups.push({ risky: false });
+      if (pattern[i + 1] === "?") i++;
+      closed = null;
+    } else if (ch === ")") {
+      closed = groups.length > 1 ? groups.pop() : null;
+      if (closed && closed.risky) groups[groups.length - 1].risky = true;
+    } else if (ch === "*" || ch === "+" || ch === "?" || ch === "{") {
+      if (closed && closed.risky) return "a repeated group cannot contain repetition or alternatives";
+      groups[groups.length - 1].risky = true;
+      if (ch === "{") while (i < pattern.length && pattern[i] !== "}") i++;
+      closed = null;
+    } else if (ch === "|") {
+      groups[groups.length - 1].risky = true;
+      closed = null;
+    } else {
+      closed = null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Why a location pattern can't be used ("must be ...", to follow the field
+ * name), or null when it compiles and is safe to run. Profiles saved before
+ * this check are run through it again when a report is built.
+ */
+export function locationPatternProblem(pattern) {
+  if (!nonEmpty(pattern)) return "must be a valid regular expression";
+  if (pattern.length > MAX_LOCATION_PATTERN) return `must be at most ${MAX_LOCATION_PATTERN} characters`;
+  try {
+    new RegExp(pattern, "i");
+  } catch {
+    return "must be a valid regular expression";
+  }
+  const unsafe = unsafePattern(pattern);
+  return unsafe ? `is too slow to match: ${unsafe}` : null;
+}
+
+function labelList(value, field, errors) {
+  if (!Array.isArray(value) || !value.length || !value.every(nonEmpty)) {
+    errors.push({ field, message: `${field} must be a non-empty list of header labels` });
+    return undefined;
+  }
+  return value.map((s) => s.trim().toLowerCase());
+}
+
+/**
+ * Check a profile config and return the cleaned version. Unknown keys are
+ * dropped; problems are thrown as a ValidationError with dotted field names.
+ */
+export function validateProfileConfig(config) {
+  const errors = [];
+  const clean = {};
+
+  if (!isObject(config)) {
+    throw new ValidationError([{ field: "config", message: "config must be an object" }]);
+  }
+
+  if (config.ranking !== undefined) {
+    const r = config.ranking;
+    const out = {};
+    if (!isObject(r)) {
+      errors.push({ field: "config.ranking", message: "config.ranking must be an object" });
+    } else {
+      if (r.sheet !== undefined && r.sheet !== null) {
+        if (nonEmpty(r.sheet)) out.sheet = r.sheet.trim();
+        else errors.push({ field: "config.ranking.sheet", message: "config.ranking.sheet must be a sheet name" });
+      }
+      if (r.header_row !== undefined && r.header_row !== null) {
+        const n = Number(r.header_row);
+        if (Number.isInteger(n) && n >= 1 && n <= 100) out.header_row = n;
+        else errors.push({ field: "config.ranking.header_row", message: "config.ranking.header_row must be a row number (1-100)" });
+      }
+      for (const key of ["keyword_column", "url_column", "volume_column", "group_column"]) {
+        if (r[key] === undefined || r[key] === null) continue;
+        const ref = columnRef(r[key], `config.ranking.${key}`, errors);
+        if (ref !== undefined) out[key] = ref;
+      }
+      if (r.date_columns !== undefined && r.date_columns !== null) {
+        if (!Array.isArray(r.date_columns) || !r.date_columns.length) {
+          errors.push({ field: "config.ranking.date_columns", message: "config.ranking.date_columns must be a non-empty list of columns" });
+        } else {
+          out.date_columns = r.date_columns.map((c, i) => columnRef(c, `config.ranking.date_columns.${i}`, errors));
+        }
+      }
+      if (r.url_columns !== undefined && r.url_columns !== null) {
+        if (!Array.isArray(r.url_columns) || !Array.isArray(r.date_columns) || r.url_columns.length !== r.date_columns.length) {
+          errors.push({ field: "config.ranking.url_columns", message: "config.ranking.url_columns must list one column per entry of config.ranking.date_columns" });
+        } else {
+          out.url_columns = r.url_columns.map((c, i) => columnRef(c, `config.ranking.url_columns.${i}`, errors));
+        }
+      }
+    }
+    clean.ranking = out;
+  }
+
+  if (config.location_pattern !== undefined && config.location_pattern !== null) {
+    const problem = locationPatternProblem(config.location_pattern);
+    if (problem) errors.push({ field: "config.location_pattern", message: `config.location_pattern ${problem}` });
+    else clean.location_pattern = config.location_pattern;
+  }
+
+  if (config.backlinks !== undefined) {
+    const b = config.backlinks;
+    const out = {};
+    if (!isObject(b)) {
+      errors.push({ field: "config.backlinks", message: "config.backlinks must be an object" });
+    } else {
+      if (b.sheets !== undefined) {
+        if (!Array.isArray(b.sheets)) {
+          errors.push({ field: "config.backlinks.sheets", message: "config.backlinks.sheets must be a list" });
+        } else {
+          out.sheets = [];
+          b.sheets.forEach((s, i) => {
+            const entry = typeof s === "string" ? { sheet: s } : s;
+            if (!isObject(entry) || !nonEmpty(entry.sheet) || (entry.section !== undefined && !nonEmpty(entry.section))) {
+              errors.push({ field: `config.backlinks.sheets.${i}`, message: "each backlink sheet needs a sheet name (and optionally a section)" });
+              return;
+            }
+            const sheet = entry.sheet.trim();
+            out.sheets.push({ sheet, section: (entry.section || sheet).trim() });
+          });
+        }
+      }
+      for (const key of ["link_labels", "target_labels", "status_labels"]) {
+        if (b[key] === undefined || b[key] === null) continue;
+        const list = labelList(b[key], `config.backlinks.${key}`, errors);
+        if (list) out[key] = list;
+      }
+    }
+    clean.backlinks = out;
+  }
+
+  if (errors.length) throw new ValidationError(errors);
+  return clean;
+}
+
+function toProfile(row) {
+  return {
+    ...row,
+    config: typeof row.config === "string" ? JSON.parse(row.config) : row.config,
+  };
+}
+
+export async function loadProfile(db, id) {
+  const [[row]] = await db.query("SELECT * FROM seo_mapping_profiles WHERE id = ?", [id]);
+  return row ? toProfile(row) : null;
+}
+
+export async function loadProfiles(db) {
+  const [rows] = await db.query("SELECT * FROM seo_mapping_profiles ORDER BY name ASC, id ASC");
+  return rows.map(toProfile);
+}
@@ -0,0 +1,245 @@
+// api/lib/seo-runs.js
+//
+// Stored SEO report runs (sql/011_seo_reports.sql). Every report generated by
+// /api/reports/seo is saved with its periods, each keyword's rank (and ranking
+// URL) per period and the backlink sections, so a PDF can be produced again and two runs
+// compared without the original workbooks.
+import { toDateString } from "./renewals.js";
+
+const round2 = (n) => (n === null || n === undefined ? null : Math.round(n * 100) / 100);
+
+function localDate(dateStr) {
+  const [y, m, d] = String(dateStr).slice(0, 10).split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+/**
+ * Save a parsed workbook summary (see parseSeoWorkbook in api/lib/seo-parse.js).
+ * Returns the new seo_reports id.
+ */
+export async function saveSeoRun(pool, req, summary, { clientId = null, sourceFile = null } = {}) {
+  const periods = summary.periods.map((p) => toDateString(p.date));
+  const sections = (summary.backlinks && summary.backlinks.sections) || [];
+  const user = req.user || {};
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    try {
+      const [report] = await conn.query(
+        `INSERT INTO seo_reports
+         (client_id, profile_id, domain, location, source_file, periods, first_period, latest_period,
+          keyword_count, avg_position, top10, visibility, est_traffic, total_backlinks, created_by, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [
+          clientId,
+          (summary.profile && summary.profile.id) || null,
+          summary.domain || "",
+          summary.location || null,
+          sourceFile,
+          JSON.stringify(periods),
+          periods[0],
+          periods[periods.length - 1],
+          summary.tracked,
+          summary.keywords.some((k) => k.current !== null) ? round2(summary.avgCurrent) : null,
+          summary.top10,
+          summary.visibility ?? null,
+          summary.estTraffic ?? null,
+          (summary.backlinks && summary.backlinks.totalBacklinks) || 0,
+          user.id || null,
+        ]
+      );
+      const reportId = report.insertId;
+
+      await conn.query(
+        "INSERT INTO seo_report_keywords (report_id, sort_order, keyword, url, search_volume, keyword_group) VALUES ?",
+        [
+          summary.keywords.map((k, i) => [
+            reportId,
+            i,
+            k.keyword.slice(0, 500),
+            k.url ? k.url.slice(0, 1000) : null,
+            k.volume ?? null,
+            k.group ? k.group.slice(0, 100) : null,
+          ]),
+        ]
+      );
+      const [keywordRows] = await conn.query(
+        "SELECT id, sort_order FROM seo_report_keywords WHERE report_id = ?",
+        [reportId]
+      );
+      const keywordIds = new Map(keywordRows.map((r) => [r.sort_order, r.id]));
+
+      const rankings = [];
+      summary.keywords.forEach((k, i) => {
+        k.history.forEach((rank, j) => {
+          if (rank !== null) {
+            const url = k.urls && k.urls[j] ? k.urls[j].slice(0, 1000) : null;
+            rankings.push([reportId, keywordIds.get(i), periods[j], rank, url]);
+          }
+        });
+      });
+      if (rankings.length) {
+        await conn.query(
+          "INSERT INTO seo_report_rankings (report_id, keyword_id, period_date, position, url) VALUES ?",
+          [rankings]
+        );
+      }
+
+      if (sections.length) {
+        await conn.query(
+          "INSERT INTO seo_report_backlinks (report_id, section, total, links) VALUES ?",
+          [sections.map((s) => [reportId, s.name, s.total, JSON.stringify(s.rows)])]
+        );
+      }
+
+      await conn.commit();
+      return reportId;
+    } catch (err) {
+      await conn.rollback();
+      throw err;
+    }
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Load a stored run back into the shape the ranking parser produces:
+ * { run, domain, location, periods: [{ date }], keywords: [{ keyword, url, volume, group, history, urls }], backlinks }.
+ * Returns null if there is no such run.
+ */
+export async function loadSeoRun(db, id) {
+  const [[run]] = await db.query("SELECT * FROM seo_reports WHERE id = ?", [id]);
+  if (!run) return null;
+
+  const dates = typeof run.periods === "string" ? JSON.parse(run.periods) : run.periods;
+  const index = new Map(dates.map((d, i) => [d, i]));
+
+  const [keywordRows] = await db.query(
+    "SELECT id, keyword, url, search_volume, keyword_group FROM seo_report_keywords WHERE report_id = ? ORDER BY sort_order ASC",
+    [id]
+  );
+  const [rankRows] = await db.query(
+    "SELECT keyword_id, period_date, position, url FROM seo_report_rankings WHERE report_id = ?",
+    [id]
+  );
+  const [sectionRows] = await db.query(
+    "SELECT section, total, links FROM seo_report_backlinks WHERE report_id = ? ORDER BY id ASC",
+    [id]
+  );
+
+  const keywords = keywordRows.map((k) => ({
+    id: k.id,
+    keyword: k.keyword,
+    url: k.url || "",
+    volume: k.search_volume,
+    group: k.keyword_group || "",
+    history: dates.map(() => null),
+    urls: dates.map(() => null),
+  }));
+  const byId = new Map(keywords.map((k) => [k.id, k]));
+  for (const r of rankRows) {
+    const k = byId.get(r.keyword_id);
+    const i = index.get(toDateString(r.period_date));
+    if (k && i !== undefined) {
+      k.history[i] = Number(r.position);
+      k.urls[i] = r.url || null;
+    }
+  }
+
+  const sections = sectionRows.map((s) => ({
+    name: s.section,
+    total: s.total,
+    rows: (typeof s.links === "string" ? JSON.parse(s.links) : s.links) || [],
+  }));
+
+  return {
+    run,
+    domain: run.domain,
+    location: run.location || "",
+    periods: dates.map((d) => ({ date: localDate(d) })),
+    keywords: keywords.map(({ id: _id, ...k }) => k),
+    backlinks: {
+      totalBacklinks: sections.reduce((sum, s) => sum + s.total, 0),
+      sections,
+    },
+  };
+}
+
+const keyOf = (keyword) => keyword.trim().toLowerCase();
+const latestRank = (k) => k.history[k.history.length - 1];
+const diff = (a, b) => (a === null || b === null ? null : round2(b - a));
+
+function headline(loaded) {
+  const { run } = loaded;
+  return {
+    id: run.id,
+    client_id: run.client_id,
+    domain: run.domain,
+    first_period: toDateString(run.first_period),
+    latest_period: toDateString(run.latest_period),
+    keyword_count: run.keyword_count,
+    avg_position: run.avg_position === null ? null : Number(run.avg_position),
+    top10: run.top10,
+    visibility: run.visibility === null ? null : Number(run.visibility),
+    est_traffic: run.est_traffic,
+    total_backlinks: run.total_backlinks,
+    created_at: run.created_at,
+  };
+}
+
+/**
+ * Compare two loaded runs on their latest period. Rank change is positive when
+ * a keyword moved up (e.g. 8 -> 3 is +5); keywords are matched case-insensitively.
+ */
+export function compareSeoRuns(from, to) {
+  const a = headline(from);
+  const b = headline(to);
+
+  const fromByKey = new Map(from.keywords.map((k) => [keyOf(k.keyword), k]));
+  const toByKey = new Map(to.keywords.map((k) => [keyOf(k.keyword), k]));
+
+  const keywords = [];
+  for (const [key, k] of toByKey) {
+    const before = fromByKey.get(key);
+    if (!before) continue;
+    const rankFrom = latestRank(before);
+    const rankTo = latestRank(k);
+    keywords.push({
+      keyword: k.keyword,
+      group: k.group || null,
+      from: rankFrom,
+      to: rankTo,
+      change: rankFrom === null || rankTo === null ? null : round2(rankFrom - rankTo),
+    });
+  }
+
+  const sectionNames = [...new Set([...from.backlinks.sections, ...to.backlinks.sections].map((s) => s.name))];
+  const sectionTotal = (loaded, name) => {
+    const s = loaded.backlinks.sections.find((x) => x.name === name);
+    return s ? s.total : 0;
+  };
+
+  return {
+    from: a,
+    to: b,
+    changes: {
+      // lower is better for position, so a negative number is an improvement
+      avg_position: diff(a.avg_position, b.avg_position),
+      top10: b.top10 - a.top10,
+      visibility: diff(a.visibility, b.visibility),
+      est_traffic: a.est_traffic === null || b.est_traffic === null ? null : b.est_traffic - a.est_traffic,
+      keyword_count: b.keyword_count - a.keyword_count,
+      total_backlinks: b.total_backlinks - a.total_backlinks,
+    },
+    keywords,
+    added: to.keywords.filter((k) => !fromByKey.has(keyOf(k.keyword))).map((k) => ({ keyword: k.keyword, rank: latestRank(k) })),
+    dropped: from.keywords.filter((k) => !toByKey.has(keyOf(k.keyword))).map((k) => ({ keyword: k.keyword, rank: latestRank(k) })),
+    backlinks: sectionNames.map((name) => {
+      const f = sectionTotal(from, name);
+      const t = sectionTotal(to, name);
+      return { section: name, from: f, to: t, change: t - f };
+    }),
+  };
+}
@@ -0,0 +1,192 @@
+// api/lib/validate.js
+//
+// Request body validation. Each entity declares a schema (api/lib/schemas.js)
+// of field rules; parseBody() checks a body against it and returns the
+// cleaned values, or throws a ValidationError listing every bad field.
+// Route catch blocks turn that into a 400 with sendValidationError().
+//
+// Field rule:
+//   { type, required, requiredWithout, nullable, min, max, maxLength, minLength, values, references }
+//   type:      "string" | "text" | "int" | "id" | "number" | "boolean" | "date" | "time" | "email" | "url" | "enum"
+//   required:  true (create and update) or "create" (only when creating)
+//   nullable:  false: a patch may not blank the field (create/update fall back to the route's default);
+//              true: a patch may blank a required field
+//   requiredWithout: another field; one of the two has to be given
+//   values:    allowed values for "enum"
+//   references: table an "id" must exist in (checked against the database)
+//
+// Modes: "create" and "update" enforce required fields ("update" also needs a
+// positive integer id); "patch" only checks the fields that were sent.
+// Fields not in the schema are dropped. "" counts as not given.
+
+export class ValidationError extends Error {
+  constructor(errors) {
+    super("Validation failed");
+    this.errors = errors;
+  }
+}
+
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+const TIME_RE = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const HOST_RE = /^(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i;
+
+const blank = (v) => v === undefined || v === null || (typeof v === "string" && v.trim() === "");
+
+function validDate(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  const m = DATE_RE.exec(String(value).trim());
+  if (!m) return null;
+  const [y, mo, d] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  const dt = new Date(Date.UTC(y, mo - 1, d));
+  if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== mo - 1 || dt.getUTCDate() !== d) return null;
+  return `${m[1]}-${m[2]}-${m[3]}`;
+}
+
+function validUrl(value) {
+  const s = String(value).trim();
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(s) ? s : `https://${s}`);
+    if (!["http:", "https:"].includes(url.protocol) || !HOST_RE.test(url.hostname)) return null;
+    return s;
+  } catch {
+    return null;
+  }
+}
+
+// Returns [value] on success or a message string on failure.
+function checkField(rule, value) {
+  switch (rule.type) {
+    case "string":
+    case "text": {
+      if (typeof value !== "string" && typeof value !== "number") return "must be a string";
+      const s = String(value);
+      if (rule.minLength && s.trim().length < rule.minLength) return `must be at least ${rule.minLength} characters`;
+      const maxLength = rule.maxLength ?? (rule.type === "string" ? 255 : 65535);
+      if (s.length > maxLength) return `must be at most ${maxLength} characters`;
+      return [s];
+    }
+    case "int":
+    case "id":
+    case "number": {
+      const n = typeof value === "number" ? value : typeof value === "string" ? Number(value.trim()) : NaN;
+      if (!Number.isFinite(n)) return "must be a number";
+      if (rule.type !== "number" && !Number.isInteger(n)) return "must be an integer";
+      const min = rule.min ?? (rule.type === "id" ? 1 : undefined);
+      if (min !== undefined && n < min) return `must be at least ${min}`;
+      if (rule.max !== undefined && n > rule.max) return `must be at most ${rule.max}`;
+      return [n];
+    }
+    case "boolean": {
+      if ([true, 1, "1", "true"].includes(value)) return [1];
+      if ([false, 0, "0", "false"].includes(value)) return [0];
+      return "must be true or false";
+    }
+    case "date": {
+      const d = validDate(value);
+      return d ? [d] : "must be a date (YYYY-MM-DD)";
+    }
+    case "time": {
+      const m = TIME_RE.exec(String(value).trim());
+      if (!m || Number(m[1]) > 23 || Number(m[2]) > 59 || Number(m[3] || 0) > 59) return "must be a time (HH:MM or HH:MM:SS)";
+      return [`${m[1].padStart(2, "0")}:${m[2]}:${m[3] || "00"}`];
+    }
+    case "email": {
+      const s = String(value).trim();
+      if (!EMAIL_RE.test(s) || s.length > 255) return "must be a valid email address";
+      return [s];
+    }
+    case "url": {
+      const s = validUrl(value);
+      return s ? [s] : "must be a valid URL";
+    }
+    case "enum": {
+      const s = String(value).trim();
+      const match = rule.values.find((v) => String(v).toLowerCase() === s.toLowerCase());
+      return match !== undefined ? [match] : `must be one of ${rule.values.join(", ")}`;
+    }
+    default:
+      throw new Error(`Unknown validation type '${rule.type}'`);
+  }
+}
+
+/**
+ * Check `body` against `schema`. Returns { field: cleanedValue } for the fields
+ * that were given (blank optional fields come back as null). Throws ValidationError.
+ */
+export function validate(schema, body, mode = "create") {
+  const errors = [];
+  const data = {};
+  const input = body && typeof body === "object" && !Array.isArray(body) ? body : {};
+
+  if (mode === "update") {
+    const id = checkField({ type: "id" }, blank(input.id) ? NaN : input.id);
+    if (Array.isArray(id)) data.id = id[0];
+    else errors.push({ field: "id", message: `id ${blank(input.id) ? "is required" : id}` });
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = input[field];
+    const without = rule.requiredWithout && mode !== "patch" && blank(input[rule.requiredWithout]);
+    const required = mode === "create" ? !!rule.required : mode === "update" && rule.required === true;
+
+    if (blank(value)) {
+      if (without) {
+        errors.push({ field, message: `${field} or ${rule.requiredWithout} is required` });
+      } else if (required) {
+        errors.push({ field, message: `${field} is required` });
+      } else if (value !== undefined) {
+        // A patch can't blank out a field that has to be set (or defaulted) on create
+        if (mode === "patch" && (rule.nullable === false || (rule.required && rule.nullable !== true))) {
+          errors.push({ field, message: `${field} cannot be empty` });
+        } else {
+          data[field] = null;
+        }
+      }
+      continue;
+    }
+
+    const result = checkField(rule, value);
+    if (Array.isArray(result)) data[field] = result[0];
+    else errors.push({ field, message: `${field} ${result}` });
+  }
+
+  if (errors.length) throw new ValidationError(errors);
+  return data;
+}
+
+/**
+ * Make sure "id" fields with `references` point at a live row.
+ */
+export async function checkReferences(db, schema, data) {
+  const errors = [];
+  for (const [field, rule] of Object.entries(schema)) {
+    if (!rule.references || data[field] === null || data[field] === undefined) continue;
+    const [[row]] = await db.query(
+      `SELECT id FROM ${rule.references} WHERE id = ? AND deleted_at IS NULL`,
+      [data[field]]
+    );
+    if (!row) errors.push({ field, message: `${field} ${data[field]} does not exist` });
+  }
+  if (errors.length) throw new ValidationError(errors);
+}
+
+/**
+ * validate() plus checkReferences() in one call, for route handlers.
+ */
+export async function parseBody(db, schema, body, mode = "create") {
+  const data = validate(schema, body, mode);
+  await checkReferences(db, schema, data);
+  return data;
+}
+
+/**
+ * Send a ValidationError as a 400. `ok` adds the { ok: false } envelope some routes use.
+ */
+export function sendValidationError(res, err, { ok = false } = {}) {
+  return res.status(400).json({
+    ...(ok ? { ok: false } : {}),
+    error: err.message,
+    errors: err.errors,
+  });
+}
@@ -0,0 +1,70 @@
+// api/lib/versions.js
+//
+// Optimistic concurrency. Every editable row carries a `version` that goes up
+// by one on each write. Reads expose it (the column itself, plus an ETag on
+// single-record GETs); PUT and PATCH accept it back as an If-Match header or a
+// `version` body field. If the row has moved on since it was read the write
+// is refused with 409 and the current record, so the UI can offer a merge.
+// Writes that send no version behave as before (last write wins).
+import { ValidationError } from "./validate.js";
+
+export class VersionConflictError extends Error {
+  constructor(current) {
+    super(current ? "Record has been changed by someone else" : "Record not found");
+    this.current = current;
+  }
+}
+
+/**
+ * The version the client last saw, from If-Match or body.version; null if none given.
+ */
+export function expectedVersion(req) {
+  const header = req.headers && req.headers["if-match"];
+  let raw = header !== undefined && header !== "" ? String(header) : undefined;
+  if (raw !== undefined) {
+    raw = raw.trim().replace(/^W\//, "").replace(/^"(.*)"$/, "$1");
+    if (raw === "*") return null;
+  } else if (req.body && req.body.version !== undefined && req.body.version !== null && req.body.version !== "") {
+    raw = req.body.version;
+  } else {
+    return null;
+  }
+
+  const version = Number(raw);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new ValidationError([{ field: "version", message: "version must be a positive integer (If-Match or body)" }]);
+  }
+  return version;
+}
+
+/**
+ * WHERE fragment and params that make an UPDATE apply only to the expected version.
+ */
+export function versionGuard(req) {
+  const version = expectedVersion(req);
+  return version === null ? { sql: "", params: [] } : { sql: " AND version = ?", params: [version] };
+}
+
+/**
+ * After a guarded UPDATE: nothing changed means the row is gone or was edited meanwhile.
+ */
+export async function assertUpdated(db, result, table, id) {
+  if (result.affectedRows > 0) return;
+  const [[current]] = await db.query(`SELECT * FROM ${table} WHERE id = ? AND deleted_at IS NULL`, [id]);
+  throw new VersionConflictError(current || null);
+}
+
+export function etag(row) {
+  return row && row.version != null ? `"${row.version}"` : undefined;
+}
+
+/**
+ * 409 with the current record (404 if it has gone). `ok` adds the { ok: false } envelope.
+ */
+export function sendConflict(res, err, { ok = false, shape = (row) => row } = {}) {
+  const envelope = ok ? { ok: false } : {};
+  if (!err.current) return res.status(404).json({ ...envelope, error: err.message });
+  const tag = etag(err.current);
+  if (tag) res.setHeader("ETag", tag);
+  return res.status(409).json({ ...envelope, error: err.message, current: shape(err.current) });
+}
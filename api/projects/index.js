@@ -1,4 +1,12 @@
 import { getPool } from "../lib/db.js";
+import { authorize, ANY, STAFF, ADMIN } from "../lib/auth.js";
+import { recordAudit, loadForAudit } from "../lib/audit.js";
+import { sendArchive, archivedCondition } from "../lib/archive.js";
+import { parseBody, ValidationError, sendValidationError } from "../lib/validate.js";
+import { SCHEMAS } from "../lib/schemas.js";
+import { sendRecord, patchRecord } from "../lib/records.js";
+import { versionGuard, assertUpdated, VersionConflictError, sendConflict } from "../lib/versions.js";
+import { recordStageChange } from "../lib/project-stages.js";
 
 const todayISO = (d = new Date()) => d.toISOString().slice(0, 10);
 
@@ -20,20 +28,79 @@ function toPlainDateTime(value) {
   return s.length >= 19 ? s.slice(0, 19).replace("T", " ") : s;
 }
 
+function toProject(row) {
+  return {
+    id: row.id,
+    client_id: row.client_id,
+    client_name: row.client_name || null,
+    client_name_manual: row.client_name_manual || null,
+    title: row.title,
+    notes: row.notes || null,
+    allocated_to: row.allocated_to || null,
+    cost: row.cost != null ? Number(row.cost) : null,
+    start_date: toISODate(row.start_date),
+    eta_date: toISODate(row.eta_date),
+    completed: row.completed ? 1 : 0,
+    completed_at: row.completed_at ? toPlainDateTime(row.completed_at) : null,
+    priority: row.priority || "normal",
+    stage: row.stage || "not_started",
+    progress_percent: row.progress_percent != null ? Number(row.progress_percent) : 0,
+    version: row.version,
+  };
+}
+
+const RECORD_SPEC = {
+  entity: "projects",
+  table: "projects",
+  schema: SCHEMAS.projects,
+  fields: [
+    "client_id", "client_name_manual", "title", "notes", "allocated_to", "cost",
+    "start_date", "eta_date", "priority", "stage", "progress_percent", "completed",
+  ],
+  select: `SELECT p.*, c.company AS client_name
+           FROM projects p
+           LEFT JOIN clients c ON p.client_id = c.id`,
+  alias: "p",
+  // completed_at follows the completed flag, keeping the original time if it was already complete
+  extra: (data, before) => {
+    if (!("completed" in data)) return {};
+    if (!data.completed) return { completed: 0, completed_at: null };
+    return { completed: 1, completed_at: before.completed ? before.completed_at : toPlainDateTime(new Date()) };
+  },
+  afterUpdate: (db, req, before, after) =>
+    recordStageChange(db, req, { projectId: after.id, from: before.stage, to: after.stage, progress: after.progress_percent }),
+  shape: toProject,
+  key: "project",
+};
+
 export default async function handler(req, res) {
   // CORS
   res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,DELETE,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,PATCH,DELETE,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, If-Match");
+  res.setHeader("Access-Control-Expose-Headers", "ETag");
   res.setHeader("Access-Control-Max-Age", "86400");
   if (req.method === "OPTIONS") return res.status(200).end();
 
+  const user = await authorize(req, res, { GET: ANY, POST: STAFF, PUT: STAFF, PATCH: STAFF, DELETE: ADMIN });
+  if (!user) return;
+
   const db = getPool();
 
   try {
     /* ---------- GET: list projects ---------- */
     if (req.method === "GET") {
-      const { status, month, client_id } = req.query || {};
+      const { status, month, client_id, archived, id } = req.query || {};
+      if (id !== undefined) {
+        return await sendRecord(db, req, res, RECORD_SPEC);
+      }
+
+      let archivedSql;
+      try {
+        archivedSql = archivedCondition(archived, "p");
+      } catch (err) {
+        return res.status(err.status).json({ ok: false, error: err.message });
+      }
 
       let sql = `
         SELECT p.*, c.company AS client_name
@@ -42,6 +109,7 @@ export default async function handler(req, res) {
         WHERE 1=1
       `;
       const params = [];
+      if (archivedSql) sql += ` AND ${archivedSql}`;
 
       if (status === "active") {
         sql += " AND p.completed = 0";
@@ -77,23 +145,7 @@ export default async function handler(req, res) {
       `;
 
       const [rows] = await db.query(sql, params);
-      const projects = rows.map((row) => ({
-        id: row.id,
-        client_id: row.client_id,
-        client_name: row.client_name || null,
-        client_name_manual: row.client_name_manual || null,
-        title: row.title,
-        notes: row.notes || null,
-        allocated_to: row.allocated_to || null,
-        cost: row.cost != null ? Number(row.cost) : null,
-        start_date: toISODate(row.start_date),
-        eta_date: toISODate(row.eta_date),
-        completed: row.completed ? 1 : 0,
-        completed_at: row.completed_at ? toPlainDateTime(row.completed_at) : null,
-        priority: row.priority || "normal",
-        stage: row.stage || "not_started",
-        progress_percent: row.progress_percent != null ? Number(row.progress_percent) : 0,
-      }));
+      const projects = rows.map(toProject);
 
       return res.status(200).json({ ok: true, projects });
     }
@@ -112,33 +164,18 @@ export default async function handler(req, res) {
         priority,
         stage,
         progress_percent,
-      } = req.body || {};
-
-      if (!title) {
-        return res.status(400).json({ ok: false, error: "Title is required" });
-      }
-
-      const validPriorities = ["low", "normal", "high", "urgent"];
-      const validStages = ["not_started", "discovery", "design", "build", "qa", "live", "blocked", "completed"];
+      } = await parseBody(db, SCHEMAS.projects, req.body);
 
-      const prio = validPriorities.includes(priority) ? priority : "normal";
-      const stageVal = validStages.includes(stage) ? stage : "not_started";
+      const prio = priority ?? "normal";
+      const stageVal = stage ?? "not_started";
 
       const now = new Date();
       const startDate = start_date || todayISO(now);
 
-      const costVal =
-        cost === undefined || cost === null || cost === "" ? null : Number(cost);
+      const costVal = cost ?? null;
+      const progressVal = progress_percent ?? 0;
 
-      const progressValRaw =
-        progress_percent === undefined || progress_percent === null || progress_percent === ""
-          ? 0
-          : parseInt(progress_percent, 10);
-      const progressVal = Number.isFinite(progressValRaw)
-        ? Math.max(0, Math.min(100, progressValRaw))
-        : 0;
-
-      let clientIdVal = client_id ? Number(client_id) : null;
+      let clientIdVal = client_id ?? null;
       const manualName = client_name_manual ? String(client_name_manual).trim() : null;
       const alloc = (allocated_to && String(allocated_to).trim()) || "Unassigned";
 
@@ -146,7 +183,7 @@ export default async function handler(req, res) {
       if (!clientIdVal && manualName) {
         // Try find existing client with same company name
         const [existing] = await db.query(
-          "SELECT id FROM clients WHERE company = ? LIMIT 1",
+          "SELECT id FROM clients WHERE company = ? AND deleted_at IS NULL LIMIT 1",
           [manualName]
         );
         if (existing.length) {
@@ -160,6 +197,8 @@ export default async function handler(req, res) {
             [manualName, manualName]
           );
           clientIdVal = clientResult.insertId;
+          const createdClient = await loadForAudit(db, "clients", clientIdVal);
+          await recordAudit(db, req, { entity: "clients", id: clientIdVal, action: "create", after: createdClient });
         }
       }
 
@@ -181,6 +220,9 @@ export default async function handler(req, res) {
           progressVal,
         ]
       );
+      const created = await loadForAudit(db, "projects", result.insertId);
+      await recordAudit(db, req, { entity: "projects", id: result.insertId, action: "create", after: created });
+      await recordStageChange(db, req, { projectId: result.insertId, to: stageVal, progress: progressVal });
 
       return res.status(201).json({
         ok: true,
@@ -220,33 +262,15 @@ export default async function handler(req, res) {
         stage,
         progress_percent,
         completed,
-      } = req.body || {};
-
-      if (!id) {
-        return res.status(400).json({ ok: false, error: "Missing id" });
-      }
-      if (!title) {
-        return res.status(400).json({ ok: false, error: "Title is required" });
-      }
-
-      const validPriorities = ["low", "normal", "high", "urgent"];
-      const validStages = ["not_started", "discovery", "design", "build", "qa", "live", "blocked", "completed"];
+      } = await parseBody(db, SCHEMAS.projects, req.body, "update");
 
-      const prio = validPriorities.includes(priority) ? priority : "normal";
-      const stageVal = validStages.includes(stage) ? stage : "not_started";
+      const prio = priority ?? "normal";
+      const stageVal = stage ?? "not_started";
 
-      const costVal =
-        cost === undefined || cost === null || cost === "" ? null : Number(cost);
+      const costVal = cost ?? null;
+      const progressVal = progress_percent ?? 0;
 
-      const progressValRaw =
-        progress_percent === undefined || progress_percent === null || progress_percent === ""
-          ? 0
-          : parseInt(progress_percent, 10);
-      const progressVal = Number.isFinite(progressValRaw)
-        ? Math.max(0, Math.min(100, progressValRaw))
-        : 0;
-
-      const clientIdVal = client_id ? Number(client_id) : null;
+      const clientIdVal = client_id ?? null;
       const manualName = client_name_manual ? String(client_name_manual).trim() : null;
       const alloc = (allocated_to && String(allocated_to).trim()) || "Unassigned";
 
@@ -258,12 +282,14 @@ export default async function handler(req, res) {
 
       const startDate = start_date || todayISO();
 
-      await db.query(
+      const guard = versionGuard(req);
+      const before = await loadForAudit(db, "projects", id);
+      const [result] = await db.query(
         `UPDATE projects
            SET client_id = ?, client_name_manual = ?, title = ?, notes = ?, allocated_to = ?,
                cost = ?, start_date = ?, eta_date = ?, priority = ?, stage = ?, progress_percent = ?,
-               completed = ?, completed_at = ?
-         WHERE id = ?`,
+               completed = ?, completed_at = ?, version = version + 1
+         WHERE id = ? AND deleted_at IS NULL${guard.sql}`,
         [
           clientIdVal || null,
           manualName,
@@ -279,25 +305,33 @@ export default async function handler(req, res) {
           completedFlag,
           completedAtStr,
           id,
+          ...guard.params,
         ]
       );
+      await assertUpdated(db, result, "projects", id);
+      const after = await loadForAudit(db, "projects", id);
+      await recordAudit(db, req, { entity: "projects", id, action: "update", before, after });
+      await recordStageChange(db, req, { projectId: id, from: before && before.stage, to: stageVal, progress: progressVal });
 
-      return res.status(200).json({ ok: true, message: "Project updated" });
+      return res.status(200).json({ ok: true, message: "Project updated", version: after.version });
+    }
+
+    /* ---------- PATCH: update only the fields sent ---------- */
+    if (req.method === "PATCH") {
+      return await patchRecord(db, req, res, RECORD_SPEC);
     }
 
     /* ---------- DELETE: remove project ---------- */
     if (req.method === "DELETE") {
       const { id } = req.body || {};
-      if (!id) {
-        return res.status(400).json({ ok: false, error: "Missing id" });
-      }
-      await db.query("DELETE FROM projects WHERE id = ?", [id]);
-      return res.status(200).json({ ok: true, message: "Project deleted" });
+      return await sendArchive(db, req, res, "projects", id, { message: "Project deleted", ok: true });
     }
 
-    res.setHeader("Allow", ["GET", "POST", "PUT", "DELETE", "OPTIONS"]);
+    res.setHeader("Allow", ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"]);
     return res.status(405).end(`Method ${req.method} Not Allowed`);
   } catch (err) {
+    if (err instanceof ValidationError) return sendValidationError(res, err, { ok: true });
+    if (err instanceof VersionConflictError) return sendConflict(res, err, { ok: true, shape: toProject });
     console.error("Projects API error:", err);
     return res.status(500).json({
       ok: false,
@@ -0,0 +1,136 @@
+// api/projects/milestones.js
+//
+// Named milestones of a project, each with a due date and the date it was met.
+// GET    /api/projects/milestones?project_id=<id>  -> one project's milestones, by due date
+// GET    /api/projects/milestones?status=overdue   -> milestones of all unarchived projects,
+//                                                    optionally only "open", "overdue" or "done"
+// GET    /api/projects/milestones?id=<id>          -> one milestone
+//        &archived=include|only                     -> also / only archived milestones
+// POST   { project_id, title, due_date?, completed_date?, notes? } -> create
+// PUT    { id, title, due_date?, completed_date?, notes? }         -> replace
+// DELETE { id } (or ?id=)                                           -> archive (restore via /api/restore)
+// Each milestone comes back with status ("open", "overdue", "done") and days_late.
+import { getPool } from "../lib/db.js";
+import { authorize, ANY, STAFF } from "../lib/auth.js";
+import { parseBody, ValidationError, sendValidationError } from "../lib/validate.js";
+import { SCHEMAS } from "../lib/schemas.js";
+import { loadForAudit, recordAudit } from "../lib/audit.js";
+import { sendArchive, archivedCondition, ArchiveError } from "../lib/archive.js";
+import { toMilestone } from "../lib/project-stages.js";
+
+const MILESTONE_STATUSES = ["open", "overdue", "done"];
+
+const SELECT_MILESTONES = `
+  SELECT m.*, p.title AS project_title
+  FROM project_milestones m
+  JOIN projects p ON p.id = m.project_id
+`;
+
+const withProject = (row) => ({ ...toMilestone(row), project_title: row.project_title || null });
+
+async function loadMilestone(db, id, archived) {
+  const cond = archivedCondition(archived, "m");
+  const [[row]] = await db.query(`${SELECT_MILESTONES} WHERE m.id = ?${cond ? ` AND ${cond}` : ""}`, [id]);
+  return row ? withProject(row) : null;
+}
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,DELETE,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Max-Age", "86400");
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const user = await authorize(req, res, { GET: ANY, POST: STAFF, PUT: STAFF, DELETE: STAFF });
+  if (!user) return;
+
+  const db = getPool();
+
+  try {
+    if (req.method === "GET") {
+      const { id, project_id, status, archived } = req.query || {};
+      let archivedSql;
+      try {
+        archivedSql = archivedCondition(archived, "m");
+      } catch (err) {
+        if (err instanceof ArchiveError) return res.status(err.status).json({ error: err.message });
+        throw err;
+      }
+      if (id) {
+        const milestone = await loadMilestone(db, id, archived);
+        if (!milestone) {
+          return res.status(404).json({ error: "Milestone not found" });
+        }
+        return res.status(200).json(milestone);
+      }
+      if (status && !MILESTONE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${MILESTONE_STATUSES.join(", ")}` });
+      }
+
+      let sql = `${SELECT_MILESTONES} WHERE p.deleted_at IS NULL`;
+      const params = [];
+      if (archivedSql) sql += ` AND ${archivedSql}`;
+      if (project_id) {
+        sql += " AND m.project_id = ?";
+        params.push(Number(project_id));
+      }
+      sql += " ORDER BY m.due_date IS NULL, m.due_date ASC, m.id ASC";
+
+      const [rows] = await db.query(sql, params);
+      const milestones = rows.map(withProject).filter((m) => !status || m.status === status);
+      return res.status(200).json(milestones);
+    }
+
+    if (req.method === "POST") {
+      const { project_id, title, due_date, completed_date, notes } = await parseBody(
+        db,
+        SCHEMAS.project_milestones,
+        req.body,
+        "create"
+      );
+      const [result] = await db.query(
+        `INSERT INTO project_milestones (project_id, title, due_date, completed_date, notes, created_by, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+        [project_id, title, due_date ?? null, completed_date ?? null, notes ?? null, user.id || null]
+      );
+      const created = await loadForAudit(db, "project_milestones", result.insertId);
+      await recordAudit(db, req, { entity: "project_milestones", id: result.insertId, action: "create", after: created });
+      return res.status(201).json(await loadMilestone(db, result.insertId));
+    }
+
+    if (req.method === "PUT") {
+      const { id, project_id, title, due_date, completed_date, notes } = await parseBody(
+        db,
+        SCHEMAS.project_milestones,
+        req.body,
+        "update"
+      );
+      const before = await loadForAudit(db, "project_milestones", id);
+      if (!before || before.deleted_at) {
+        return res.status(404).json({ error: "Milestone not found" });
+      }
+      await db.query(
+        `UPDATE project_milestones
+           SET project_id = ?, title = ?, due_date = ?, completed_date = ?, notes = ?,
+               updated_at = NOW(), version = version + 1
+         WHERE id = ? AND deleted_at IS NULL`,
+        [project_id ?? before.project_id, title, due_date ?? null, completed_date ?? null, notes ?? null, id]
+      );
+      const after = await loadForAudit(db, "project_milestones", id);
+      await recordAudit(db, req, { entity: "project_milestones", id, action: "update", before, after });
+      return res.status(200).json(await loadMilestone(db, id));
+    }
+
+    if (req.method === "DELETE") {
+      const id = (req.body && req.body.id) || (req.query && req.query.id);
+      return await sendArchive(db, req, res, "project_milestones", id, { message: "Milestone deleted" });
+    }
+
+    res.setHeader("Allow", ["GET", "POST", "PUT", "DELETE"]);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  } catch (err) {
+    if (err instanceof ValidationError) return sendValidationError(res, err);
+    console.error("Project Milestones API Error:", err);
+    return res.status(500).json({ error: "Internal Server Error", detail: err.code || err.message });
+  }
+}
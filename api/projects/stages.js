@@ -0,0 +1,128 @@
+// api/projects/stages.js
+//
+// Time spent per project stage, from project_stage_history (api/lib/project-stages.js).
+// GET /api/projects/stages?id=<project id> -> one project's timeline: every stage change,
+//                                             days per stage, the current stage and its milestones
+// GET /api/projects/stages                 -> days per stage across projects, plus the projects
+//                                             stuck in their current stage for stalled_days or more
+//     ?status=active|completed|all (default active) &client_id= &stalled_days= (default 14)
+// A completed project's last stage is counted up to completed_at, not up to today.
+import { getPool } from "../lib/db.js";
+import { authorize, ANY } from "../lib/auth.js";
+import { PROJECT_STAGES } from "../lib/schemas.js";
+import { loadStageHistory, loadMilestones, stageDurations } from "../lib/project-stages.js";
+
+const DEFAULT_STALLED_DAYS = 14;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+const untilFor = (project) => (project.completed && project.completed_at ? project.completed_at : new Date());
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Max-Age", "86400");
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const user = await authorize(req, res, { GET: ANY });
+  if (!user) return;
+
+  if (req.method !== "GET") {
+    res.setHeader("Allow", ["GET"]);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  const { id, client_id, status = "active", stalled_days } = req.query || {};
+  if (!["active", "completed", "all"].includes(status)) {
+    return res.status(400).json({ error: "status must be one of: active, completed, all" });
+  }
+  const stalledDays = stalled_days === undefined || stalled_days === "" ? DEFAULT_STALLED_DAYS : Number(stalled_days);
+  if (!Number.isFinite(stalledDays) || stalledDays < 0) {
+    return res.status(400).json({ error: "stalled_days must be a number of days" });
+  }
+
+  const db = getPool();
+
+  try {
+    if (id) {
+      const [[project]] = await db.query(
+        "SELECT id, title, stage, completed, completed_at FROM projects WHERE id = ? AND deleted_at IS NULL",
+        [id]
+      );
+      if (!project) {
+        return res.status(404).json({ error: "Project not found" });
+      }
+
+      const { entries, stages, current } = stageDurations(await loadStageHistory(db, project.id), untilFor(project));
+      return res.status(200).json({
+        project_id: project.id,
+        title: project.title,
+        stage: project.stage,
+        current,
+        stages,
+        history: entries.reverse(),
+        milestones: await loadMilestones(db, project.id),
+      });
+    }
+
+    let sql = `
+      SELECT p.id, p.title, p.stage, p.completed, p.completed_at, c.company AS client_name
+      FROM projects p
+      LEFT JOIN clients c ON p.client_id = c.id
+      WHERE p.deleted_at IS NULL
+    `;
+    const params = [];
+    if (status === "active") sql += " AND p.completed = 0";
+    if (status === "completed") sql += " AND p.completed = 1";
+    if (client_id) {
+      sql += " AND p.client_id = ?";
+      params.push(Number(client_id));
+    }
+    const [projects] = await db.query(sql, params);
+
+    const history = await loadStageHistory(db, projects.map((p) => p.id));
+    const byProject = new Map();
+    for (const row of history) {
+      if (!byProject.has(row.project_id)) byProject.set(row.project_id, []);
+      byProject.get(row.project_id).push(row);
+    }
+
+    const totals = new Map(PROJECT_STAGES.map((stage) => [stage, { stage, projects: 0, total_days: 0, max_days: 0 }]));
+    const stalled = [];
+    for (const project of projects) {
+      const { stages, current } = stageDurations(byProject.get(project.id) || [], untilFor(project));
+      for (const { stage, days } of stages) {
+        if (!totals.has(stage)) totals.set(stage, { stage, projects: 0, total_days: 0, max_days: 0 });
+        const total = totals.get(stage);
+        total.projects += 1;
+        total.total_days += days;
+        total.max_days = Math.max(total.max_days, days);
+      }
+      if (current && !project.completed && current.stage !== "completed" && current.days >= stalledDays) {
+        stalled.push({
+          project_id: project.id,
+          title: project.title,
+          client_name: project.client_name || null,
+          stage: current.stage,
+          since: current.since,
+          days: current.days,
+        });
+      }
+    }
+
+    return res.status(200).json({
+      projects: projects.length,
+      stalled_days: stalledDays,
+      stages: [...totals.values()].map((t) => ({
+        ...t,
+        total_days: round1(t.total_days),
+        avg_days: t.projects ? round1(t.total_days / t.projects) : 0,
+      })),
+      stalled: stalled.sort((a, b) => b.days - a.days),
+    });
+  } catch (err) {
+    console.error("Project Stages API Error:", err);
+    return res.status(500).json({ error: "Internal Server Error", detail: err.code || err.message });
+  }
+}
@@ -0,0 +1,58 @@
+// api/renewals/history.js
+//
+// GET /api/renewals/history?id=<renewal id>    -> past renewals of one item
+// GET /api/renewals/history?item_label=<domain> -> same, matched by label (survives re-created rows)
+import { getPool } from "../lib/db.js";
+import { authorize, ANY } from "../lib/auth.js";
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Max-Age", "86400");
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const user = await authorize(req, res, { GET: ANY });
+  if (!user) return;
+
+  if (req.method !== "GET") {
+    res.setHeader("Allow", ["GET"]);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  const { id, item_label } = req.query || {};
+  if (!id && !item_label) {
+    return res.status(400).json({ error: "Provide id or item_label" });
+  }
+
+  const db = getPool();
+
+  try {
+    const [rows] = id
+      ? await db.query(
+          "SELECT * FROM renewal_history WHERE renewal_id = ? ORDER BY new_renewal_date ASC, id ASC",
+          [id]
+        )
+      : await db.query(
+          "SELECT * FROM renewal_history WHERE item_label = ? ORDER BY new_renewal_date ASC, id ASC",
+          [String(item_label).trim()]
+        );
+
+    // Oldest first so each row can show the price change since the one before
+    let prevCost = null;
+    const history = rows.map((r) => {
+      const cost = Number(r.cost);
+      const entry = { ...r, cost, price_change: prevCost === null ? null : cost - prevCost };
+      prevCost = cost;
+      return entry;
+    });
+
+    return res.status(200).json({
+      history: history.reverse(),
+      total_paid: history.reduce((sum, r) => sum + r.cost, 0),
+    });
+  } catch (err) {
+    console.error("Renewal History API Error:", err);
+    return res.status(500).json({ error: "Internal Server Error", detail: err.code || err.message });
+  }
+}
@@ -1,22 +1,61 @@
 import { getPool } from "../lib/db.js";
+import { authorize, ANY, STAFF, ADMIN } from "../lib/auth.js";
+import { sendList } from "../lib/list.js";
+import { recordAudit, loadForAudit } from "../lib/audit.js";
+import { sendArchive } from "../lib/archive.js";
+import { parseBody, ValidationError, sendValidationError } from "../lib/validate.js";
+import { SCHEMAS } from "../lib/schemas.js";
+import { sendRecord, patchRecord } from "../lib/records.js";
+import { versionGuard, assertUpdated, VersionConflictError, sendConflict } from "../lib/versions.js";
+
+const LIST_SPEC = {
+  table: "renewals",
+  archivable: true,
+  filters: {
+    client_id: { type: "int" },
+    status: { type: "string", lower: true },
+    service_type: { type: "string", lower: true },
+    provider: { type: "string" },
+    auto_renew: { type: "int" },
+    renewal_date: { type: "date" },
+  },
+  sorts: { renewal_date: "renewal_date", item_label: "item_label", cost: "cost", provider: "provider", created_at: "created_at" },
+  defaultSort: "renewal_date",
+  legacyOrder: "renewal_date ASC, item_label ASC",
+};
+
+const RECORD_SPEC = {
+  entity: "renewals",
+  table: "renewals",
+  schema: SCHEMAS.renewals,
+  fields: [
+    "client_id", "service_type", "item_label", "provider", "renewal_date",
+    "renewal_term", "cost", "auto_renew", "status",
+  ],
+  touch: true,
+};
 
 export default async function handler(req, res) {
   // CORS
   res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,DELETE,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,PATCH,DELETE,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, If-Match");
+  res.setHeader("Access-Control-Expose-Headers", "ETag, X-Total-Count");
   res.setHeader("Access-Control-Max-Age", "86400");
   if (req.method === "OPTIONS") return res.status(200).end();
 
+  const user = await authorize(req, res, { GET: ANY, POST: STAFF, PUT: STAFF, PATCH: STAFF, DELETE: ADMIN });
+  if (!user) return;
+
   const db = getPool();
 
   try {
-    // GET – list all renewals
+    // GET – list renewals (filters, sort and pagination via lib/list.js)
     if (req.method === "GET") {
-      const [rows] = await db.query(
-        "SELECT * FROM renewals ORDER BY renewal_date ASC, item_label ASC"
-      );
-      return res.status(200).json(rows);
+      if (req.query && req.query.id !== undefined) {
+        return await sendRecord(db, req, res, RECORD_SPEC);
+      }
+      return await sendList(db, req, res, LIST_SPEC);
     }
 
     // POST – create renewal
@@ -27,26 +66,30 @@ export default async function handler(req, res) {
         item_label,
         provider,
         renewal_date,
+        renewal_term,
         cost,
-        auto_renew = 0,
-        status = "active",
-      } = req.body || {};
+        auto_renew,
+        status,
+      } = await parseBody(db, SCHEMAS.renewals, req.body);
 
-      await db.query(
+      const [result] = await db.query(
         `INSERT INTO renewals
-         (client_id, service_type, item_label, provider, renewal_date, cost, auto_renew, status, created_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+         (client_id, service_type, item_label, provider, renewal_date, renewal_term, cost, auto_renew, status, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
         [
           client_id || null,
           service_type || "domain",
-          item_label || "",
+          item_label,
           provider || null,
           renewal_date || null,
+          renewal_term ?? "1y",
           cost ?? 0,
           auto_renew ? 1 : 0,
-          status,
+          status ?? "active",
         ]
       );
+      const created = await loadForAudit(db, "renewals", result.insertId);
+      await recordAudit(db, req, { entity: "renewals", id: result.insertId, action: "create", after: created });
 
       return res.status(201).json({ message: "Renewal added" });
     }
@@ -60,57 +103,65 @@ export default async function handler(req, res) {
         item_label,
         provider,
         renewal_date,
+        renewal_term,
         cost,
         auto_renew,
         status,
-      } = req.body || {};
+      } = await parseBody(db, SCHEMAS.renewals, req.body, "update");
 
-      if (!id) {
-        return res.status(400).json({ error: "Missing id for update" });
-      }
-
-      await db.query(
+      const guard = versionGuard(req);
+      const before = await loadForAudit(db, "renewals", id);
+      const [result] = await db.query(
         `UPDATE renewals
          SET client_id = ?,
              service_type = ?,
              item_label   = ?,
              provider     = ?,
              renewal_date = ?,
+             renewal_term = COALESCE(?, renewal_term),
              cost         = ?,
              auto_renew   = ?,
              status       = ?,
-             updated_at   = NOW()
-         WHERE id = ?`,
+             updated_at   = NOW(),
+             version      = version + 1
+         WHERE id = ? AND deleted_at IS NULL${guard.sql}`,
         [
           client_id || null,
           service_type || "domain",
-          item_label || "",
+          item_label,
           provider || null,
           renewal_date || null,
+          renewal_term ?? null, // left out (older clients): keep the stored term
           cost ?? 0,
           auto_renew ? 1 : 0,
           status || "active",
           id,
+          ...guard.params,
         ]
       );
+      await assertUpdated(db, result, "renewals", id);
+      const after = await loadForAudit(db, "renewals", id);
+      await recordAudit(db, req, { entity: "renewals", id, action: "update", before, after });
+
+      return res.status(200).json({ message: "Renewal updated", version: after.version });
+    }
 
-      return res.status(200).json({ message: "Renewal updated" });
+    // PATCH – update only the fields sent
+    if (req.method === "PATCH") {
+      return await patchRecord(db, req, res, RECORD_SPEC);
     }
 
     // DELETE – remove renewal
     if (req.method === "DELETE") {
       const { id } = req.body || {};
-      if (!id) {
-        return res.status(400).json({ error: "Missing id for delete" });
-      }
-
-      await db.query("DELETE FROM renewals WHERE id = ?", [id]);
-      return res.status(200).json({ message: "Renewal deleted" });
+      return await sendArchive(db, req, res, "renewals", id, { message: "Renewal deleted" });
     }
 
-    res.setHeader("Allow", ["GET", "POST", "PUT", "DELETE"]);
+    res.setHeader("Allow", ["GET", "POST", "PUT", "PATCH", "DELETE"]);
     return res.status(405).end(`Method ${req.method} Not Allowed`);
   } catch (err) {
+    if (err instanceof ValidationError) return sendValidationError(res, err);
+    if (err instanceof VersionConflictError) return sendConflict(res, err);
     console.error("Renewals API Error:", err);
     return res
       .status(500)
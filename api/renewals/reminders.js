@@ -0,0 +1,176 @@
+// api/renewals/reminders.js
+//
+// Sends "renewal coming up" emails. Run daily by Vercel cron (see vercel.json),
+// or by hand: POST /api/renewals/reminders?dry_run=1 to preview.
+//
+// Env:
+//   RENEWAL_REMINDER_DAYS        windows in days before renewal_date, default "60,30,7,0"
+//   RENEWAL_REMINDER_TO          comma-separated staff addresses
+//   RENEWAL_REMINDER_CLIENTS=1   also email the client's address from `clients`
+//   CRON_SECRET                  required for the Vercel cron call (sent as a Bearer token); without it cron gets 401
+//   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, MAIL_FROM
+//                                outgoing mail (api/lib/mailer.js); production refuses to send without SMTP_HOST,
+//                                and a failed send releases the reminder so the next run retries it
+import { getPool } from "../lib/db.js";
+import { authorize, isCronRequest, STAFF } from "../lib/auth.js";
+import { sendMail, renderTemplate } from "../lib/mailer.js";
+
+const STAFF_SUBJECT = "Renewal due in {{days_text}}: {{item_label}} ({{client_name}})";
+const STAFF_BODY = `{{service_type}} "{{item_label}}" for {{client_name}} renews on {{renewal_date}} ({{days_text}}).
+
+Provider: {{provider}}
+Cost: \${{cost}}
+Auto-renew: {{auto_renew}}
+`;
+
+const CLIENT_SUBJECT = "Your {{service_type}} {{item_label}} renews on {{renewal_date}}";
+const CLIENT_BODY = `Hi {{client_name}},
+
+This is a reminder that your {{service_type}} "{{item_label}}" is due for renewal on {{renewal_date}} ({{days_text}}).
+
+{{auto_renew_note}}
+
+If you have any questions, just reply to this email.
+
+WebXperts
+`;
+
+const csvList = (value) =>
+  String(value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+function parseWindows(value) {
+  const days = csvList(value)
+    .map((d) => parseInt(d, 10))
+    .filter((d) => Number.isFinite(d) && d >= 0);
+  return Array.from(new Set(days)).sort((a, b) => a - b);
+}
+
+function formatDateNZ(value) {
+  const s = value instanceof Date
+    ? `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, "0")}-${String(value.getDate()).padStart(2, "0")}`
+    : String(value).slice(0, 10);
+  const [y, m, d] = s.split("-");
+  return `${d}/${m}/${y}`;
+}
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Max-Age", "86400");
+  res.setHeader("Cache-Control", "no-store");
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  if (!isCronRequest(req)) {
+    const user = await authorize(req, res, { GET: STAFF, POST: STAFF });
+    if (!user) return;
+  }
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", ["GET", "POST"]);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  const db = getPool();
+
+  try {
+    const q = { ...(req.query || {}), ...(req.body || {}) };
+    const windows = parseWindows(q.windows || process.env.RENEWAL_REMINDER_DAYS || "60,30,7,0");
+    if (!windows.length) {
+      return res.status(400).json({ ok: false, error: "No valid reminder windows" });
+    }
+    const dryRun = q.dry_run === "1" || q.dry_run === true;
+    const notifyClients =
+      q.notify_client !== undefined
+        ? q.notify_client === "1" || q.notify_client === true
+        : process.env.RENEWAL_REMINDER_CLIENTS === "1";
+    const staffTo = csvList(process.env.RENEWAL_REMINDER_TO);
+
+    const [rows] = await db.query(
+      `SELECT r.*, c.company AS client_name, c.email AS client_email,
+              DATEDIFF(r.renewal_date, CURDATE()) AS days_until
+       FROM renewals r
+       LEFT JOIN clients c ON c.id = r.client_id
+       WHERE r.deleted_at IS NULL
+         AND COALESCE(NULLIF(LOWER(r.status), ''), 'active') = 'active'
+         AND r.renewal_date BETWEEN CURDATE() AND DATE_ADD(CURDATE(), INTERVAL ? DAY)
+       ORDER BY r.renewal_date ASC`,
+      [windows[windows.length - 1]]
+    );
+
+    const sent = [];
+    const skipped = [];
+    const failed = [];
+
+    for (const r of rows) {
+      const daysUntil = Number(r.days_until);
+      // Tightest window that applies, so a missed cron day still sends the right one
+      const window = windows.find((w) => daysUntil <= w);
+      if (window === undefined) continue;
+
+      const vars = {
+        item_label: r.item_label,
+        service_type: r.service_type || "service",
+        provider: r.provider || "-",
+        client_name: r.client_name || "No client",
+        renewal_date: formatDateNZ(r.renewal_date),
+        days_text: daysUntil === 0 ? "today" : daysUntil === 1 ? "1 day" : `${daysUntil} days`,
+        cost: Number(r.cost || 0).toFixed(2),
+        auto_renew: r.auto_renew ? "yes" : "no",
+        auto_renew_note: r.auto_renew
+          ? "This item is set to renew automatically, so there is nothing you need to do."
+          : "Please let us know if you would like us to renew it for you.",
+      };
+
+      const messages = staffTo.length
+        ? [{ to: staffTo.join(", "), recipient: "staff", subject: STAFF_SUBJECT, text: STAFF_BODY }]
+        : [];
+      if (notifyClients && r.client_email) {
+        messages.push({ to: r.client_email, recipient: r.client_email, subject: CLIENT_SUBJECT, text: CLIENT_BODY });
+      }
+
+      for (const m of messages) {
+        const entry = { renewal_id: r.id, item_label: r.item_label, window, recipient: m.recipient };
+        const mail = { to: m.to, subject: renderTemplate(m.subject, vars), text: renderTemplate(m.text, vars) };
+
+        if (dryRun) {
+          const [[logged]] = await db.query(
+            `SELECT id FROM renewal_reminders
+             WHERE renewal_id = ? AND renewal_date = ? AND window_days = ? AND recipient = ?`,
+            [r.id, r.renewal_date, window, m.recipient]
+          );
+          (logged ? skipped : sent).push({ ...entry, subject: mail.subject });
+          continue;
+        }
+
+        // Claim the log row first; the unique key stops a concurrent run sending it too.
+        const [claim] = await db.query(
+          `INSERT IGNORE INTO renewal_reminders (renewal_id, renewal_date, window_days, recipient, subject, sent_at)
+           VALUES (?, ?, ?, ?, ?, NOW())`,
+          [r.id, r.renewal_date, window, m.recipient, mail.subject]
+        );
+        if (!claim.affectedRows) {
+          skipped.push(entry);
+          continue;
+        }
+
+        try {
+          await sendMail(mail);
+          sent.push({ ...entry, subject: mail.subject });
+        } catch (err) {
+          console.error("Renewal reminder send failed:", err);
+          await db.query("DELETE FROM renewal_reminders WHERE id = ?", [claim.insertId]);
+          failed.push({ ...entry, error: err.message || String(err) });
+        }
+      }
+    }
+
+    return res.status(200).json({ ok: true, dry_run: dryRun, windows, sent, skipped, failed });
+  } catch (err) {
+    console.error("Renewal Reminders API Error:", err);
+    return res.status(500).json({ ok: false, error: "Internal Server Error", detail: err.code || err.message });
+  }
+}
@@ -0,0 +1,120 @@
+// api/renewals/renew.js
+//
+// POST /api/renewals/renew { id, cost?, raise_sale?, notes? }
+// Marks a renewal as renewed: moves renewal_date on by its term, records a
+// renewal_history row and, for auto-renew items, raises a draft one-off sale
+// so the cost is passed on to the client.
+import { getPool } from "../lib/db.js";
+import { authorize, STAFF } from "../lib/auth.js";
+import { RENEWAL_TERMS, addTerm, toDateString } from "../lib/renewals.js";
+import { recordAudit, loadForAudit } from "../lib/audit.js";
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Max-Age", "86400");
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const user = await authorize(req, res, { POST: STAFF });
+  if (!user) return;
+
+  if (req.method !== "POST") {
+    res.setHeader("Allow", ["POST"]);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  const { id, cost, raise_sale, notes } = req.body || {};
+  if (!id) {
+    return res.status(400).json({ error: "Missing id for renew" });
+  }
+
+  const pool = getPool();
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    try {
+      const [[renewal]] = await conn.query("SELECT * FROM renewals WHERE id = ? AND deleted_at IS NULL FOR UPDATE", [id]);
+      if (!renewal) {
+        await conn.rollback();
+        return res.status(404).json({ error: "Renewal not found" });
+      }
+
+      const term = renewal.renewal_term || "1y";
+      if (!RENEWAL_TERMS[term]) {
+        await conn.rollback();
+        return res.status(400).json({ error: `Unknown renewal term '${term}'` });
+      }
+
+      const previousDate = toDateString(renewal.renewal_date);
+      const newDate = addTerm(previousDate || toDateString(new Date()), term);
+      const costPaid = cost === undefined || cost === null || cost === "" ? Number(renewal.cost || 0) : Number(cost);
+      if (!Number.isFinite(costPaid) || costPaid < 0) {
+        await conn.rollback();
+        return res.status(400).json({ error: "Invalid cost" });
+      }
+
+      // Auto-renew items pass the cost on by default; raise_sale overrides either way.
+      const raiseSale = raise_sale === undefined ? !!renewal.auto_renew : !!raise_sale;
+      let saleId = null;
+      if (raiseSale && renewal.client_id && costPaid > 0) {
+        const [sale] = await conn.query(
+          `INSERT INTO oneoff_sales
+           (client_id, description, amount, status, quantity, unit_amount, notes, sale_date, created_at)
+           VALUES (?, ?, ?, 'draft', 1, ?, ?, CURDATE(), NOW())`,
+          [
+            renewal.client_id,
+            `${renewal.service_type || "Service"} renewal: ${renewal.item_label} (to ${newDate})`,
+            costPaid,
+            costPaid,
+            `Raised from renewal #${renewal.id}`,
+          ]
+        );
+        saleId = sale.insertId;
+      }
+
+      await conn.query(
+        `UPDATE renewals SET renewal_date = ?, cost = ?, updated_at = NOW(), version = version + 1 WHERE id = ?`,
+        [newDate, costPaid, renewal.id]
+      );
+
+      const [history] = await conn.query(
+        `INSERT INTO renewal_history
+         (renewal_id, item_label, provider, term, previous_renewal_date, new_renewal_date, cost, oneoff_sale_id, renewed_by, notes, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [
+          renewal.id, renewal.item_label || "", renewal.provider || null, term,
+          previousDate, newDate, costPaid, saleId, user.id, notes || null,
+        ]
+      );
+
+      await conn.commit();
+
+      if (saleId) {
+        const sale = await loadForAudit(conn, "oneoff_sales", saleId);
+        await recordAudit(conn, req, { entity: "oneoff_sales", id: saleId, action: "create", after: sale });
+      }
+      const after = await loadForAudit(conn, "renewals", renewal.id);
+      await recordAudit(conn, req, { entity: "renewals", id: renewal.id, action: "update", before: renewal, after });
+
+      return res.status(200).json({
+        message: "Renewal rolled forward",
+        renewal_id: renewal.id,
+        previous_renewal_date: previousDate,
+        renewal_date: newDate,
+        cost: costPaid,
+        previous_cost: renewal.cost != null ? Number(renewal.cost) : null,
+        history_id: history.insertId,
+        oneoff_sale_id: saleId,
+      });
+    } catch (err) {
+      await conn.rollback();
+      throw err;
+    }
+  } catch (err) {
+    console.error("Renew API Error:", err);
+    return res.status(500).json({ error: "Internal Server Error", detail: err.code || err.message });
+  } finally {
+    try { conn.release(); } catch {}
+  }
+}
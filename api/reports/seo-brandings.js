@@ -0,0 +1,161 @@
+// api/reports/seo-brandings.js
+//
+// White-label brandings for SEO PDFs (config format in api/lib/seo-brandings.js).
+// GET    /api/reports/seo-brandings                       -> all brandings (assets as has_* flags)
+// GET    /api/reports/seo-brandings?id=<id>               -> one branding
+// GET    /api/reports/seo-brandings?id=<id>&asset=logo_left -> the stored image/font itself
+// POST   { name, config, hero_image?, logo_left?, logo_right?, font_regular?, font_bold? }
+// PUT    { id, name, config?, ...assets }  config and assets left out are kept, null removes an asset
+// DELETE { id } (or ?id=)                  clients using it fall back to the built-in branding
+// Pick one for a report with branding_id on /api/reports/seo, or per client via clients.seo_branding_id.
+import { getPool } from "../lib/db.js";
+import { authorize, ANY, STAFF } from "../lib/auth.js";
+import { parseBody, ValidationError, sendValidationError } from "../lib/validate.js";
+import { SCHEMAS } from "../lib/schemas.js";
+import { recordAudit } from "../lib/audit.js";
+import { BRANDING_ASSETS, validateBrandingConfig, decodeAssets, toBranding } from "../lib/seo-brandings.js";
+
+// Asset columns only as "is set" flags – the blobs stay out of listings and the audit log
+const SUMMARY_COLUMNS = [
+  "id", "name", "config", "created_by", "created_at", "updated_at",
+  ...BRANDING_ASSETS.map((a) => `(${a} IS NOT NULL) AS ${a}`),
+].join(", ");
+
+async function loadBranding(db, id) {
+  const [[row]] = await db.query(
+    `SELECT ${SUMMARY_COLUMNS} FROM seo_brandings WHERE id = ? AND deleted_at IS NULL`,
+    [id]
+  );
+  return row ? toBranding(row) : null;
+}
+
+// name, config and assets checked together so every problem comes back in one 400
+async function parseBranding(db, body, mode) {
+  const errors = [];
+  const collect = (fn) => {
+    try {
+      return fn();
+    } catch (err) {
+      if (!(err instanceof ValidationError)) throw err;
+      errors.push(...err.errors);
+      return undefined;
+    }
+  };
+
+  let data = {};
+  try {
+    data = await parseBody(db, SCHEMAS.seo_brandings, body, mode);
+  } catch (err) {
+    if (!(err instanceof ValidationError)) throw err;
+    errors.push(...err.errors);
+  }
+  // left out of a PUT: the stored config is kept (config stays undefined)
+  const given = body && body.config !== undefined && body.config !== null;
+  const config = given || mode === "create" ? collect(() => validateBrandingConfig(given ? body.config : {})) : undefined;
+  const assets = collect(() => decodeAssets(body));
+
+  if (errors.length) throw new ValidationError(errors);
+  return { ...data, config, assets };
+}
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,DELETE,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Max-Age", "86400");
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const user = await authorize(req, res, { GET: ANY, POST: STAFF, PUT: STAFF, DELETE: STAFF });
+  if (!user) return;
+
+  const db = getPool();
+
+  try {
+    if (req.method === "GET") {
+      const { id, asset } = req.query || {};
+
+      if (id && asset) {
+        if (!BRANDING_ASSETS.includes(asset)) {
+          return res.status(400).json({ error: `asset must be one of ${BRANDING_ASSETS.join(", ")}` });
+        }
+        const [[row]] = await db.query(
+          `SELECT ${asset} AS data FROM seo_brandings WHERE id = ? AND deleted_at IS NULL`,
+          [id]
+        );
+        if (!row || !row.data) {
+          return res.status(404).json({ error: "Asset not found" });
+        }
+        const data = Buffer.from(row.data);
+        const type = asset.startsWith("font_")
+          ? "font/ttf"
+          : data[0] === 0x89 ? "image/png" : "image/jpeg";
+        res.setHeader("Content-Type", type);
+        return res.status(200).send(data);
+      }
+
+      if (id) {
+        const branding = await loadBranding(db, id);
+        if (!branding) {
+          return res.status(404).json({ error: "Branding not found" });
+        }
+        return res.status(200).json(branding);
+      }
+
+      const [rows] = await db.query(
+        `SELECT ${SUMMARY_COLUMNS} FROM seo_brandings WHERE deleted_at IS NULL ORDER BY name ASC, id ASC`
+      );
+      return res.status(200).json(rows.map(toBranding));
+    }
+
+    if (req.method === "POST") {
+      const { name, config, assets } = await parseBranding(db, req.body, "create");
+      const columns = ["name", "config", "created_by", ...Object.keys(assets)];
+      const [result] = await db.query(
+        `INSERT INTO seo_brandings (${columns.join(", ")}, created_at)
+         VALUES (${columns.map(() => "?").join(", ")}, NOW())`,
+        [name, JSON.stringify(config), user.id || null, ...Object.values(assets)]
+      );
+      const created = await loadBranding(db, result.insertId);
+      await recordAudit(db, req, { entity: "seo_brandings", id: result.insertId, action: "create", after: created });
+      return res.status(201).json(created);
+    }
+
+    if (req.method === "PUT") {
+      const { id, name, config, assets } = await parseBranding(db, req.body, "update");
+      const before = await loadBranding(db, id);
+      if (!before) {
+        return res.status(404).json({ error: "Branding not found" });
+      }
+      const changes = { name, ...(config ? { config: JSON.stringify(config) } : {}), ...assets };
+      const sets = Object.keys(changes).map((c) => `${c} = ?`);
+      await db.query(
+        `UPDATE seo_brandings SET ${sets.join(", ")}, updated_at = NOW() WHERE id = ?`,
+        [...Object.values(changes), id]
+      );
+      const after = await loadBranding(db, id);
+      await recordAudit(db, req, { entity: "seo_brandings", id, action: "update", before, after });
+      return res.status(200).json(after);
+    }
+
+    if (req.method === "DELETE") {
+      const id = (req.body && req.body.id) || (req.query && req.query.id);
+      if (!id) {
+        return res.status(400).json({ error: "Missing id for delete" });
+      }
+      const before = await loadBranding(db, id);
+      if (!before) {
+        return res.status(404).json({ error: "Branding not found" });
+      }
+      await db.query("UPDATE seo_brandings SET deleted_at = NOW() WHERE id = ?", [id]);
+      await recordAudit(db, req, { entity: "seo_brandings", id, action: "delete", before });
+      return res.status(200).json({ message: "Branding deleted" });
+    }
+
+    res.setHeader("Allow", ["GET", "POST", "PUT", "DELETE"]);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  } catch (err) {
+    if (err instanceof ValidationError) return sendValidationError(res, err);
+    console.error("SEO Brandings API Error:", err);
+    return res.status(500).json({ error: "Internal Server Error", detail: err.code || err.message });
+  }
+}
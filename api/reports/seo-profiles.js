@@ -0,0 +1,115 @@
+// api/reports/seo-profiles.js
+//
+// Mapping profiles for SEO workbooks (see api/lib/seo-profiles.js for the config format).
+// GET    /api/reports/seo-profiles             -> all profiles
+// GET    /api/reports/seo-profiles?id=<id>     -> one profile
+// POST   { name, notes?, config }              -> create
+// PUT    { id, name, notes?, config }          -> replace
+// DELETE { id } (or ?id=)                       -> delete; stored runs keep their profile_id
+// POST /api/reports/seo takes profile_id to use one, or picks the best match itself.
+import { getPool } from "../lib/db.js";
+import { authorize, ANY, STAFF } from "../lib/auth.js";
+import { parseBody, ValidationError, sendValidationError } from "../lib/validate.js";
+import { SCHEMAS } from "../lib/schemas.js";
+import { loadForAudit, recordAudit } from "../lib/audit.js";
+import { validateProfileConfig, loadProfile, loadProfiles } from "../lib/seo-profiles.js";
+
+// name/notes and config checked together so every problem comes back in one 400
+async function parseProfile(db, body, mode) {
+  const errors = [];
+  let data = {};
+  let config;
+  try {
+    data = await parseBody(db, SCHEMAS.seo_mapping_profiles, body, mode);
+  } catch (err) {
+    if (!(err instanceof ValidationError)) throw err;
+    errors.push(...err.errors);
+  }
+  if (!body || body.config === undefined || body.config === null) {
+    errors.push({ field: "config", message: "config is required" });
+  } else {
+    try {
+      config = validateProfileConfig(body.config);
+    } catch (err) {
+      if (!(err instanceof ValidationError)) throw err;
+      errors.push(...err.errors);
+    }
+  }
+  if (errors.length) throw new ValidationError(errors);
+  return { ...data, config };
+}
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,DELETE,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Max-Age", "86400");
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const user = await authorize(req, res, { GET: ANY, POST: STAFF, PUT: STAFF, DELETE: STAFF });
+  if (!user) return;
+
+  const db = getPool();
+
+  try {
+    if (req.method === "GET") {
+      const id = req.query && req.query.id;
+      if (id) {
+        const profile = await loadProfile(db, id);
+        if (!profile) {
+          return res.status(404).json({ error: "Profile not found" });
+        }
+        return res.status(200).json(profile);
+      }
+      return res.status(200).json(await loadProfiles(db));
+    }
+
+    if (req.method === "POST") {
+      const { name, notes, config } = await parseProfile(db, req.body, "create");
+      const [result] = await db.query(
+        `INSERT INTO seo_mapping_profiles (name, notes, config, created_by, created_at)
+         VALUES (?, ?, ?, ?, NOW())`,
+        [name, notes ?? null, JSON.stringify(config), user.id || null]
+      );
+      const created = await loadForAudit(db, "seo_mapping_profiles", result.insertId);
+      await recordAudit(db, req, { entity: "seo_mapping_profiles", id: result.insertId, action: "create", after: created });
+      return res.status(201).json(await loadProfile(db, result.insertId));
+    }
+
+    if (req.method === "PUT") {
+      const { id, name, notes, config } = await parseProfile(db, req.body, "update");
+      const before = await loadForAudit(db, "seo_mapping_profiles", id);
+      if (!before) {
+        return res.status(404).json({ error: "Profile not found" });
+      }
+      await db.query(
+        "UPDATE seo_mapping_profiles SET name = ?, notes = ?, config = ?, updated_at = NOW() WHERE id = ?",
+        [name, notes ?? null, JSON.stringify(config), id]
+      );
+      const after = await loadForAudit(db, "seo_mapping_profiles", id);
+      await recordAudit(db, req, { entity: "seo_mapping_profiles", id, action: "update", before, after });
+      return res.status(200).json(await loadProfile(db, id));
+    }
+
+    if (req.method === "DELETE") {
+      const id = (req.body && req.body.id) || (req.query && req.query.id);
+      if (!id) {
+        return res.status(400).json({ error: "Missing id for delete" });
+      }
+      const before = await loadForAudit(db, "seo_mapping_profiles", id);
+      if (!before) {
+        return res.status(404).json({ error: "Profile not found" });
+      }
+      await db.query("DELETE FROM seo_mapping_profiles WHERE id = ?", [id]);
+      await recordAudit(db, req, { entity: "seo_mapping_profiles", id, action: "delete", before });
+      return res.status(200).json({ message: "Profile deleted" });
+    }
+
+    res.setHeader("Allow", ["GET", "POST", "PUT", "DELETE"]);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  } catch (err) {
+    if (err instanceof ValidationError) return sendValidationError(res, err);
+    console.error("SEO Profiles API Error:", err);
+    return res.status(500).json({ error: "Internal Server Error", detail: err.code || err.message });
+  }
+}
@@ -0,0 +1,75 @@
+// api/reports/seo-runs.js
+//
+// Saved SEO report runs (written by POST /api/reports/seo).
+// GET /api/reports/seo-runs?client_id=&domain=&page=&limit= -> runs, newest first
+// GET /api/reports/seo-runs?id=<run id>                     -> one run with keywords, rank history and backlinks
+// GET /api/reports/seo-runs?from=<run id>&to=<run id>        -> compare two runs on their latest period
+// The PDF of a run is regenerated by GET /api/reports/seo?run_id=<run id>.
+import { getPool } from "../lib/db.js";
+import { authorize, ANY } from "../lib/auth.js";
+import { sendList } from "../lib/list.js";
+import { loadSeoRun, compareSeoRuns } from "../lib/seo-runs.js";
+import { toDateString } from "../lib/renewals.js";
+
+const LIST_SPEC = {
+  table: "seo_reports",
+  filters: {
+    client_id: { type: "int" },
+    domain: { type: "string", lower: true },
+    latest_period: { type: "date" },
+  },
+  sorts: { latest_period: "latest_period", created_at: "created_at", domain: "domain" },
+  defaultSort: "-latest_period",
+  alwaysPaged: true,
+};
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Max-Age", "86400");
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const user = await authorize(req, res, { GET: ANY });
+  if (!user) return;
+
+  if (req.method !== "GET") {
+    res.setHeader("Allow", ["GET"]);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  const { id, from, to } = req.query || {};
+  const db = getPool();
+
+  try {
+    if (from || to) {
+      if (!from || !to) {
+        return res.status(400).json({ error: "Provide both from and to run ids" });
+      }
+      const [a, b] = [await loadSeoRun(db, from), await loadSeoRun(db, to)];
+      if (!a || !b) {
+        return res.status(404).json({ error: `SEO report run ${!a ? from : to} not found` });
+      }
+      return res.status(200).json(compareSeoRuns(a, b));
+    }
+
+    if (id) {
+      const stored = await loadSeoRun(db, id);
+      if (!stored) {
+        return res.status(404).json({ error: "SEO report run not found" });
+      }
+      const { run, periods, keywords, backlinks } = stored;
+      return res.status(200).json({
+        ...run,
+        periods: periods.map((p) => toDateString(p.date)),
+        keywords,
+        backlinks,
+      });
+    }
+
+    return await sendList(db, req, res, LIST_SPEC);
+  } catch (err) {
+    console.error("SEO Runs API Error:", err);
+    return res.status(500).json({ error: "Internal Server Error", detail: err.code || err.message });
+  }
+}
@@ -3,31 +3,55 @@
 // Vercel/Next.js API route to generate SEO PDF reports.
 //
 // - Accepts multipart/form-data with field "seo_file"
-// - Reads the SEO Excel workbook with exceljs
+// - Reads the SEO Excel workbook with exceljs, or CSV exports of its sheets
+//   (a single ranking CSV, or a zip with one CSV per section)
 // - Extracts ranking data from the "Ranking" sheet
-// - Extracts backlinks from backlink sheets
+// - Reads optional search volume and keyword group/tag columns; scores
+//   visibility and estimated clicks with a CTR-by-position curve and breaks
+//   rankings and movers down per group
+// - Tracks the ranking URL per period (a URL column after each date) and flags
+//   page changes, keywords switching pages and keywords sharing a page
+// - Extracts backlinks from backlink sheets and analyses their health:
+//   referring domains, statuses, duplicates and target pages
 // - Generates a branded PDF with pdfkit
+// - Reads sheets and columns through a mapping profile: the profile_id form
+//   field, else the best-matching saved profile, else the built-in layout
+// - Saves the run (optionally against a client_id form field) so it can be
+//   listed and compared via /api/reports/seo-runs
+// - Brands the PDF with the branding_id field/query, else the client's
+//   branding, else the built-in one (api/lib/seo-brandings.js)
+// - GET ?run_id=<id> regenerates the PDF of a saved run
+// - Batch: several seo_file uploads, or a zip of workbooks, return a zip with
+//   one report per workbook (named after its domain) and a manifest.json of
+//   successes and failures; runs are saved against the client whose website
+//   matches the domain. The zip is kept under Vercel's 4.5 MB response limit:
+//   files past that are listed as skipped, to be sent in another batch
+// - format (form field or query): "pdf" (default), "json" for the parsed
+//   summary, or "html" for a self-contained page with the same sections as
+//   the PDF (previews, client portal)
+//
+// The work is done in api/lib: seo-parse.js (reading uploads), seo-metrics.js
+// (summary figures), seo-pdf.js / seo-html.js (the report) and seo-batch.js.
+
+import { authorize, ANY, STAFF } from "../lib/auth.js";
+import { getPool } from "../lib/db.js";
+import { saveSeoRun, loadSeoRun } from "../lib/seo-runs.js";
+import { parseBody, ValidationError, sendValidationError } from "../lib/validate.js";
+import { loadProfile, loadProfiles } from "../lib/seo-profiles.js";
+import { DEFAULT_BRANDING, resolveBranding } from "../lib/seo-brandings.js";
+import { parseSeoWorkbook, SeoInputError } from "../lib/seo-parse.js";
+import { summariseRankings, analyseBacklinks } from "../lib/seo-metrics.js";
+import { REPORT_FORMATS, summaryJson } from "../lib/seo-format.js";
+import { buildSeoPdf } from "../lib/seo-pdf.js";
+import { buildSeoHtml } from "../lib/seo-html.js";
+import { batchItems, sendSeoBatch } from "../lib/seo-batch.js";
 
-import path from "path";
-import fs from "fs";
-
-// ---------- Dynamic imports ----------
+// ---------- Helpers ----------
 async function getFormidable() {
   const mod = await import("formidable");
   return mod.default || mod;
 }
 
-async function getExcelJS() {
-  const mod = await import("exceljs");
-  return mod.default || mod;
-}
-
-async function getPdfKit() {
-  const mod = await import("pdfkit");
-  return mod.default || mod;
-}
-
-// ---------- Helpers ----------
 async function parseForm(req) {
   const formidable = await getFormidable();
   return new Promise((resolve, reject) => {
@@ -39,1015 +63,182 @@ async function parseForm(req) {
   });
 }
 
-function cellToString(v) {
-  if (v === null || v === undefined) return "";
-  if (typeof v === "object") {
-    if (v.text) return String(v.text);
-    if (v.result) return String(v.result);
-    if (Array.isArray(v.richText)) {
-      return v.richText.map((p) => p.text || "").join("");
-    }
-  }
-  return String(v);
+// formidable v3 gives every field as an array
+function fieldValue(fields, name) {
+  const v = fields[name];
+  return Array.isArray(v) ? v[0] : v;
 }
 
-function normaliseRank(value) {
-  if (value === null || value === undefined) return null;
-
-  let n = null;
-  if (typeof value === "number") {
-    n = value;
-  } else if (!isNaN(Number(value))) {
-    n = Number(value);
+// Answer with the report in the requested format
+async function sendSeoReport(res, summary, branding, format, reportId = null) {
+  if (format === "json") {
+    res.statusCode = 200;
+    return res.json(summaryJson(summary, reportId));
   }
-
-  if (n === null || n <= 0 || n > 1000) return null;
-  return n;
-}
-
-// interpret header as a date – understands "1 Sept-25" etc
-function parseHeaderDate(value) {
-  if (!value) return null;
-  if (value instanceof Date) return value;
-
-  if (typeof value === "object" && value !== null) {
-    if (value.text) return parseHeaderDate(value.text);
-    if (value.result) return parseHeaderDate(value.result);
-    if (Array.isArray(value.richText)) {
-      const txt = value.richText.map((p) => p.text || "").join("");
-      return parseHeaderDate(txt);
-    }
-  }
-
-  if (typeof value === "number") {
-    const excelEpoch = new Date(Date.UTC(1899, 11, 30));
-    const dt = new Date(excelEpoch.getTime() + value * 86400000);
-    return isNaN(dt) ? null : dt;
+  if (format === "html") {
+    res.statusCode = 200;
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    return res.end(buildSeoHtml(summary, branding));
   }
-
-  let text = String(value).trim();
-  if (!text) return null;
-
-  text = text.replace(/\bSept\b/gi, "Sep");
-  text = text.replace(
-    /(\d{1,2})\s+([A-Za-z]{3,})-(\d{2})\b/,
-    (m, d, mon, yy) => `${d} ${mon} 20${yy}`
-  );
-
-  const looksLikeDate =
-    /^\d{1,4}[-/]\d{1,2}[-/]\d{1,4}$/.test(text) ||
-    /^\d{8}$/.test(text) ||
-    (/\d/.test(text) && (text.includes("/") || text.includes("-")));
-
-  if (!looksLikeDate) return null;
-
-  const dt = new Date(text);
-  return isNaN(dt) ? null : dt;
+  return buildSeoPdf(res, summary, branding);
 }
 
-// ---------- Ranking extraction ----------
-function parseRankingSheet(workbook) {
-  let sheet = workbook.getWorksheet("Ranking");
-  if (!sheet) sheet = workbook.worksheets[0];
-  if (!sheet) throw new Error("No worksheets found in uploaded file.");
-
-  const maxHeaderRows = Math.min(15, sheet.rowCount);
-
-  const dateByCol = new Map();
-  const rowFreq = new Map();
+// ---------- Main handler ----------
+export default async function handler(req, res) {
+  const user = await authorize(req, res, { GET: ANY, POST: STAFF });
+  if (!user) return;
 
-  for (let r = 1; r <= maxHeaderRows; r++) {
-    const row = sheet.getRow(r);
-    for (let c = 1; c <= row.cellCount; c++) {
-      const v = row.getCell(c).value;
-      const dt = parseHeaderDate(v);
-      if (dt) {
-        const existing = dateByCol.get(c);
-        if (!existing || existing.date < dt) {
-          dateByCol.set(c, { col: c, date: dt, row: r });
-        }
-        rowFreq.set(r, (rowFreq.get(r) || 0) + 1);
+  try {
+    if (req.method === "GET") {
+      const runId = req.query && req.query.run_id;
+      if (!runId) {
+        res.statusCode = 200;
+        return res.json({ ok: true, message: "SEO reports API is alive" });
       }
-    }
-  }
 
-  const dateCandidates = Array.from(dateByCol.values());
-  if (!dateCandidates.length) {
-    throw new Error(
-      "Could not find any date headers in the ranking sheet. " +
-        "Make sure the top rows contain date labels such as '1 Sept-25', '10-Nov-25', etc."
-    );
-  }
-
-  dateCandidates.sort((a, b) => a.date - b.date);
-  const latest = dateCandidates[dateCandidates.length - 1];
-  const previous =
-    dateCandidates.length >= 2
-      ? dateCandidates[dateCandidates.length - 2]
-      : null;
+      const { branding_id: brandingId = null, format = "pdf" } = await parseBody(
+        getPool(),
+        {
+          branding_id: { type: "id", references: "seo_brandings" },
+          format: { type: "enum", values: REPORT_FORMATS }
+        },
+        { branding_id: req.query.branding_id, format: req.query.format }
+      );
 
-  let headerRowNumber = latest.row;
-  if (rowFreq.size) {
-    let bestRow = headerRowNumber;
-    let bestCount = 0;
-    for (const [r, count] of rowFreq.entries()) {
-      if (count > bestCount) {
-        bestRow = r;
-        bestCount = count;
+      const stored = await loadSeoRun(getPool(), runId);
+      if (!stored) {
+        res.statusCode = 404;
+        return res.json({ error: "SEO report run not found" });
       }
-    }
-    headerRowNumber = bestRow;
-  }
-  const firstDataRow = headerRowNumber + 1;
 
-  // Domain / location (optional)
-  let domain = "";
-  let location = "";
-  const domainRegex = /[a-z0-9.-]+\.[a-z]{2,}/i;
+      const branding = await resolveBranding(getPool(), {
+        brandingId,
+        clientId: stored.run.client_id
+      });
 
-  for (let r = 1; r <= maxHeaderRows; r++) {
-    const row = sheet.getRow(r);
-    for (let c = 1; c <= row.cellCount; c++) {
-      const text = cellToString(row.getCell(c).value).trim();
-      if (!text) continue;
-      if (!domain && domainRegex.test(text)) domain = text;
-      if (!location && /new zealand/i.test(text)) location = text;
+      res.setHeader("X-SEO-Report-Id", String(stored.run.id));
+      return await sendSeoReport(
+        res,
+        {
+          ...summariseRankings(stored),
+          backlinks: {
+            ...stored.backlinks,
+            health: analyseBacklinks(stored.backlinks.sections)
+          }
+        },
+        branding,
+        format,
+        stored.run.id
+      );
     }
-  }
 
-  const KEYWORD_COL = 1;
-  const keywords = [];
-
-  for (let r = firstDataRow; r <= sheet.rowCount; r++) {
-    const row = sheet.getRow(r);
-
-    const curRank = normaliseRank(row.getCell(latest.col).value);
-    const prevRank = previous
-      ? normaliseRank(row.getCell(previous.col).value)
-      : null;
-
-    if (curRank === null && prevRank === null) continue;
-
-    const kwVal = row.getCell(KEYWORD_COL).value;
-    let keyword = cellToString(kwVal).trim();
-
-    if (!keyword) {
-      for (let c = 1; c < latest.col; c++) {
-        const txt = cellToString(row.getCell(c).value).trim();
-        if (txt && txt.length > keyword.length) keyword = txt;
-      }
+    if (req.method !== "POST") {
+      res.setHeader("Allow", ["GET", "POST"]);
+      res.statusCode = 405;
+      return res.json({ error: "Method not allowed" });
     }
-    if (!keyword) keyword = "(keyword)";
 
-    let url = "";
-    for (let c = 1; c <= row.cellCount; c++) {
-      const txt = cellToString(row.getCell(c).value).trim();
-      if (txt && (txt.startsWith("http://") || txt.startsWith("https://"))) {
-        url = txt;
-        break;
+    const { fields, files } = await parseForm(req);
+    const {
+      client_id: clientId = null,
+      profile_id: profileId = null,
+      branding_id: brandingId = null,
+      format = "pdf"
+    } = await parseBody(
+      getPool(),
+      {
+        client_id: { type: "id", references: "clients" },
+        profile_id: { type: "id" },
+        branding_id: { type: "id", references: "seo_brandings" },
+        format: { type: "enum", values: REPORT_FORMATS }
+      },
+      {
+        client_id: fieldValue(fields, "client_id"),
+        profile_id: fieldValue(fields, "profile_id"),
+        branding_id: fieldValue(fields, "branding_id"),
+        format: fieldValue(fields, "format") ?? (req.query && req.query.format)
       }
-    }
-
-    keywords.push({
-      keyword,
-      url,
-      current: curRank,
-      previous: prevRank
-    });
-  }
-
-  if (!keywords.length) {
-    throw new Error(
-      "No usable keyword rows found. Check that your ranking sheet has rows with ranks in the last date columns."
     );
-  }
-
-  const tracked = keywords.length;
-  const withCurrent = keywords.filter((k) => k.current !== null);
-  const withPrev = keywords.filter((k) => k.previous !== null);
-
-  const avgCurrent =
-    withCurrent.reduce((sum, k) => sum + k.current, 0) /
-    (withCurrent.length || 1);
-  const avgPrev =
-    withPrev.length > 0
-      ? withPrev.reduce((sum, k) => sum + k.previous, 0) / withPrev.length
-      : 0;
-
-  const top10 = withCurrent.filter((k) => k.current <= 10).length;
-  const top10Prev = withPrev.filter((k) => k.previous <= 10).length;
-
-  const page1Count = withCurrent.filter((k) => k.current <= 10).length;
-  const pos1Count = withCurrent.filter((k) => k.current === 1).length;
-  const pos2Count = withCurrent.filter((k) => k.current === 2).length;
-  const pos3Count = withCurrent.filter((k) => k.current === 3).length;
-
-  const currentRanksSorted = withCurrent
-    .map((k) => k.current)
-    .sort((a, b) => a - b);
-  let medianCurrent = 0;
-  if (currentRanksSorted.length) {
-    const mid = Math.floor(currentRanksSorted.length / 2);
-    medianCurrent =
-      currentRanksSorted.length % 2 === 1
-        ? currentRanksSorted[mid]
-        : (currentRanksSorted[mid - 1] + currentRanksSorted[mid]) / 2;
-  }
-
-  const prevRanksSorted = withPrev
-    .map((k) => k.previous)
-    .sort((a, b) => a - b);
-  let medianPrev = 0;
-  if (prevRanksSorted.length) {
-    const mid = Math.floor(prevRanksSorted.length / 2);
-    medianPrev =
-      prevRanksSorted.length % 2 === 1
-        ? prevRanksSorted[mid]
-        : (prevRanksSorted[mid - 1] + prevRanksSorted[mid]) / 2;
-  }
-
-  const movers = keywords
-    .map((k) => ({
-      ...k,
-      change:
-        k.current !== null && k.previous !== null
-          ? k.previous - k.current
-          : null
-    }))
-    .filter((k) => k.change !== null);
-
-  const topWinners = movers
-    .filter((k) => k.change > 0)
-    .sort((a, b) => b.change - a.change)
-    .slice(0, 10);
-
-  const topLosers = movers
-    .filter((k) => k.change < 0)
-    .sort((a, b) => a.change - b.change)
-    .slice(0, 10);
-
-  const hasPrevData = !!previous && withPrev.length > 0;
-
-  return {
-    domain,
-    location,
-    latest,
-    previous,
-    tracked,
-    avgCurrent,
-    avgPrev,
-    medianCurrent,
-    medianPrev,
-    top10,
-    top10Prev,
-    page1Count,
-    pos1Count,
-    pos2Count,
-    pos3Count,
-    hasPrevData,
-    keywords,
-    topWinners,
-    topLosers
-  };
-}
-
-// ---------- Backlink extraction ----------
-function parseBacklinkSheet(sheet, sheetName) {
-  const maxHeaderRows = Math.min(10, sheet.rowCount);
-
-  const candidateRows = [];
-  for (let r = 1; r <= maxHeaderRows; r++) {
-    const row = sheet.getRow(r);
-    let hasBacklink = false;
-    let hasTarget = false;
-    let hasStatus = false;
-
-    for (let c = 1; c <= row.cellCount; c++) {
-      const label = cellToString(row.getCell(c).value)
-        .trim()
-        .toLowerCase();
-      if (!label) continue;
-
-      if (label === "backlinks") hasBacklink = true;
-      if (label.includes("target") || label.includes("terget")) hasTarget = true;
-      if (label.includes("status")) hasStatus = true;
-    }
-
-    if (hasBacklink) {
-      candidateRows.push({ row: r, hasTarget, hasStatus });
-    }
-  }
-
-  if (!candidateRows.length) {
-    return { name: sheetName, total: 0, rows: [] };
-  }
-
-  candidateRows.sort((a, b) => {
-    const scoreA = (a.hasTarget ? 1 : 0) + (a.hasStatus ? 1 : 0);
-    const scoreB = (b.hasTarget ? 1 : 0) + (b.hasStatus ? 1 : 0);
-    return scoreB - scoreA || a.row - b.row;
-  });
-
-  const headerRowNumber = candidateRows[0].row;
-  const headerRow = sheet.getRow(headerRowNumber);
-
-  let backlinkCol = null;
-  let targetCol = null;
-  let statusCol = null;
-
-  headerRow.eachCell((cell, col) => {
-    const label = cellToString(cell.value).trim().toLowerCase();
-    if (!label) return;
-    if (label === "backlinks") backlinkCol = col;
-    if (
-      label === "target url" ||
-      label === "target" ||
-      label === "terget url" ||
-      label === "terget"
-    ) {
-      targetCol = col;
-    }
-    if (label === "status") statusCol = col;
-  });
-
-  if (!backlinkCol) {
-    headerRow.eachCell((cell, col) => {
-      const label = cellToString(cell.value).trim().toLowerCase();
-      if (label.includes("backlink") && !backlinkCol) backlinkCol = col;
-    });
-  }
-
-  if (!backlinkCol) {
-    return { name: sheetName, total: 0, rows: [] };
-  }
-
-  const rows = [];
-  for (let r = headerRowNumber + 1; r <= sheet.rowCount; r++) {
-    const row = sheet.getRow(r);
-    const backlink = cellToString(row.getCell(backlinkCol).value).trim();
-    const target = targetCol
-      ? cellToString(row.getCell(targetCol).value).trim()
-      : "";
-    const status = statusCol
-      ? cellToString(row.getCell(statusCol).value).trim()
-      : "";
-
-    if (!backlink && !target) continue;
-
-    rows.push({ backlink, target, status });
-  }
-
-  return {
-    name: sheetName,
-    total: rows.length,
-    rows
-  };
-}
-
-function parseBacklinks(workbook) {
-  const sheetNames = [
-    "All Backlinks",
-    "Profile Backlinks",
-    "Web 2.0 Backlinks",
-    "Syndication Backlinks",
-    "Article Submission",
-    "Social Bookmarking Backlinks"
-  ];
-
-  const sections = [];
-  for (const name of sheetNames) {
-    const sheet = workbook.getWorksheet(name);
-    if (!sheet) continue;
-    const parsed = parseBacklinkSheet(sheet, name);
-    if (parsed.total > 0) sections.push(parsed);
-  }
-
-  const totalBacklinks = sections.reduce((sum, s) => sum + s.total, 0);
-
-  return {
-    totalBacklinks,
-    sections
-  };
-}
-
-// ---------- Parse entire workbook ----------
-async function parseSeoWorkbook(filePath) {
-  const ExcelJS = await getExcelJS();
-  const workbook = new ExcelJS.Workbook();
-  await workbook.xlsx.readFile(filePath);
-
-  const ranking = parseRankingSheet(workbook);
-  const backlinks = parseBacklinks(workbook);
-
-  return { ...ranking, backlinks };
-}
-
-// format as dd/mm/yyyy
-function formatDateNZ(info) {
-  if (!info || !info.date) return "-";
-  const d = info.date;
-  const dd = String(d.getDate()).padStart(2, "0");
-  const mm = String(d.getMonth() + 1).padStart(2, "0");
-  const yyyy = d.getFullYear();
-  return `${dd}/${mm}/${yyyy}`;
-}
-
-function describeBacklinkType(name) {
-  const lower = name.toLowerCase();
-  if (lower.includes("profile")) {
-    return "Profile backlinks are links from profile pages on business listings or social platforms. They help build brand signals and basic authority.";
-  }
-  if (lower.includes("web 2.0")) {
-    return "Web 2.0 backlinks come from content published on hosted blog platforms. They support topical relevance and can drive referral traffic.";
-  }
-  if (lower.includes("syndication")) {
-    return "Syndication backlinks are created when your content is republished on other sites, spreading your brand and earning contextual links.";
-  }
-  if (lower.includes("article")) {
-    return "Article submission backlinks are links gained from publishing articles on external sites, usually with contextual anchor text.";
-  }
-  if (lower.includes("social bookmarking")) {
-    return "Social bookmarking backlinks are links from bookmarking sites where your content is saved and shared, helping with discovery and indexing.";
-  }
-  if (lower.includes("all backlinks")) {
-    return "This section summarises all backlinks recorded in your workbook across every campaign type.";
-  }
-  return "These backlinks contribute to your overall authority and help search engines discover and trust your website.";
-}
-
-// SAFE ASCII "icons" for backlink headings
-function getBacklinkIcon(name) {
-  const lower = name.toLowerCase();
-  if (lower.includes("profile")) return "[Profile]";
-  if (lower.includes("web 2.0")) return "[Web 2.0]";
-  if (lower.includes("syndication")) return "[Syndication]";
-  if (lower.includes("article")) return "[Article]";
-  if (lower.includes("social bookmarking")) return "[Social]";
-  if (lower.includes("all backlinks")) return "[All]";
-  return "[Links]";
-}
-
-// ---------- PDF generation ----------
-async function buildSeoPdf(res, summary) {
-  const PDFKit = await getPdfKit();
-  const {
-    domain,
-    latest,
-    tracked,
-    avgCurrent,
-    avgPrev,
-    pos1Count,
-    pos2Count,
-    pos3Count,
-    page1Count,
-    top10,
-    top10Prev,
-    hasPrevData,
-    keywords,
-    topWinners,
-    topLosers,
-    backlinks
-  } = summary;
-
-  const doc = new PDFKit({ size: "A4", margin: 40 });
-
-  res.statusCode = 200;
-  res.setHeader("Content-Type", "application/pdf");
-  res.setHeader(
-    "Content-Disposition",
-    `attachment; filename="SEO-Report-${domain || "site"}.pdf"`
-  );
-
-  doc.pipe(res);
-
-  const brandDark = "#222222";
-  const brandBlue = "#1976d2";
-  const brandGreen = "#43a047";
-  const brandOrange = "#fb8c00";
-
-  const pageWidth = doc.page.width;
-  const left = doc.page.margins.left;
-  const right = doc.page.width - doc.page.margins.right;
-  const contentWidth = right - left;
-
-  const heroPath = path.join(process.cwd(), "public", "IMG_0903.jpeg");
-  const logoLeftPath = path.join(process.cwd(), "public", "IMG_0902.png");
-  const logoRightPath = path.join(process.cwd(), "public", "IMG_0906.png");
-
-  const prevPage1 = hasPrevData ? top10Prev : null;
-  const top3Count = pos1Count + pos2Count + pos3Count;
-
-  let performanceTrend = "stable performance";
-  let performanceDeltaPct = 0;
-  let performanceDirection = "changed";
-
-  if (hasPrevData && avgPrev > 0) {
-    const diff = avgPrev - avgCurrent;
-    performanceDeltaPct = Math.round(Math.abs((diff / avgPrev) * 100));
 
-    if (diff > 0.5) {
-      performanceTrend = "strong growth";
-      performanceDirection = "improved";
-    } else if (diff > 0) {
-      performanceTrend = "slight improvement";
-      performanceDirection = "improved";
-    } else if (diff < -0.5) {
-      performanceTrend = "a decline";
-      performanceDirection = "declined";
-    } else if (diff < 0) {
-      performanceTrend = "a slight decline";
-      performanceDirection = "declined";
+    // profile_id picks a mapping profile; without it the best match is detected
+    let profile = null;
+    let candidates = [];
+    if (profileId) {
+      profile = await loadProfile(getPool(), profileId);
+      if (!profile) {
+        throw new ValidationError([
+          { field: "profile_id", message: `profile_id ${profileId} does not exist` }
+        ]);
+      }
     } else {
-      performanceTrend = "no significant change";
-      performanceDirection = "changed";
-    }
-  }
-
-  const newTop10 =
-    hasPrevData && top10 > top10Prev ? top10 - top10Prev : 0;
-
-  // ======================================================
-  // PAGE 1 – HERO + LOGOS + 3 BOXES + EXEC SUMMARY
-  // ======================================================
-
-  const heroHeight = 180;
-
-  if (fs.existsSync(heroPath)) {
-    doc.image(heroPath, 0, 0, { width: pageWidth, height: heroHeight });
-    doc
-      .save()
-      .rect(0, 0, pageWidth, heroHeight)
-      .fillOpacity(0.7)
-      .fill(brandDark)
-      .fillOpacity(1)
-      .restore();
-  } else {
-    doc
-      .save()
-      .rect(0, 0, pageWidth, heroHeight)
-      .fill(brandDark)
-      .restore();
-  }
-
-  doc
-    .fillColor("#ffffff")
-    .fontSize(22)
-    .font("Helvetica-Bold")
-    .text("SEO Report", left, 60);
-
-  doc.fontSize(14).font("Helvetica");
-  if (domain) doc.text(domain, left, 95);
-
-  const dateText = `Report date: ${formatDateNZ(latest)}`;
-  doc.text(dateText, left, 115);
-
-  doc
-    .save()
-    .rect(0, heroHeight, pageWidth, doc.page.height - heroHeight)
-    .fill("#ffffff")
-    .restore();
-
-  // Logos above cards
-  const logoWidth = 80;
-  const logoY = heroHeight + 8;
-
-  if (fs.existsSync(logoLeftPath)) {
-    doc.image(logoLeftPath, left, logoY, { width: logoWidth });
-  }
-  if (fs.existsSync(logoRightPath)) {
-    doc.image(logoRightPath, right - logoWidth, logoY, { width: logoWidth });
-  }
-
-  const cardGap = 10;
-  const cardsPerRow = 3;
-  const cardWidth = (contentWidth - cardGap * (cardsPerRow - 1)) / cardsPerRow;
-  const cardHeight = 60;
-
-  const metricCards = [
-    {
-      label: "Optimised keywords",
-      value: tracked.toString(),
-      color: brandBlue
-    },
-    {
-      label: "Keywords on page 1",
-      value: `${page1Count}/${tracked}`,
-      color: brandGreen
-    },
-    {
-      label: "Keywords in top position",
-      value: pos1Count.toString(),
-      color: brandOrange
-    }
-  ];
-
-  let cardIndex = 0;
-  const cardTopY = heroHeight + 60;
-
-  metricCards.forEach((card) => {
-    const col = cardIndex % cardsPerRow;
-    const x = left + col * (cardWidth + cardGap);
-    const y = cardTopY;
-
-    doc
-      .save()
-      .rect(x, y, cardWidth, cardHeight)
-      .fill(card.color)
-      .restore();
-
-    doc
-      .fillColor("#ffffff")
-      .fontSize(11)
-      .font("Helvetica")
-      .text(card.label, x + 8, y + 8, {
-        width: cardWidth - 16
-      });
-
-    doc
-      .fontSize(20)
-      .font("Helvetica-Bold")
-      .text(card.value, x + 8, y + 26, {
-        width: cardWidth - 16
-      });
-
-    cardIndex++;
-  });
-
-  const yAfterCards = cardTopY + cardHeight + 45;
-  doc.y = yAfterCards;
-
-  // Executive Summary heading
-  doc
-    .fontSize(16)
-    .font("Helvetica-Bold")
-    .fillColor("#000000")
-    .text("Executive Summary", left, doc.y);
-
-  doc.moveDown(0.8);
-
-  doc.fontSize(11).font("Helvetica").fillColor("#333333");
-
-  if (hasPrevData && performanceDeltaPct > 0) {
-    doc.text(
-      `This weeks SEO performance shows ${performanceTrend} in key metrics. ` +
-        `Performance ${performanceDirection} by approximately ${performanceDeltaPct}% compared to last week.`,
-      { width: contentWidth }
-    );
-  } else {
-    doc.text(
-      "This weeks SEO performance establishes a baseline for ongoing tracking.",
-      { width: contentWidth }
-    );
-  }
-
-  doc.moveDown(0.6);
-
-  const summaryLine = hasPrevData
-    ? `We currently hold ${page1Count} positions on the first page of Google for targeted keywords, with ${newTop10} new top-10 rankings achieved since last week.`
-    : `We currently hold ${page1Count} positions on the first page of Google for targeted keywords.`;
-
-  doc.text(summaryLine, { width: contentWidth });
-
-  // Keyword rankings sub-section
-  doc.moveDown(1.2);
-  doc
-    .fontSize(13)
-    .font("Helvetica-Bold")
-    .fillColor("#000000")
-    .text("Keyword Rankings:");
-
-  doc.moveDown(0.5);
-  doc.fontSize(11).font("Helvetica").fillColor("#333333");
-
-  const page1Change =
-    hasPrevData && prevPage1 !== null
-      ? page1Count - prevPage1
-      : null;
-
-  const krLines = [];
-  krLines.push(`Total tracked keywords: ${tracked}.`);
-
-  if (hasPrevData && prevPage1 !== null) {
-    const dir =
-      page1Change > 0
-        ? "up"
-        : page1Change < 0
-        ? "down"
-        : "the same as";
-    krLines.push(
-      `First-page positions: ${page1Count} (${dir} ${Math.abs(
-        page1Change
-      ) || ""} from ${prevPage1} last week).`
-    );
-  } else {
-    krLines.push(`First-page positions: ${page1Count}.`);
-  }
-
-  krLines.push(`Top-3 positions: ${top3Count}.`);
-
-  if (topWinners.length) {
-    const improvements = topWinners
-      .slice(0, 3)
-      .map(
-        (k) =>
-          `'${k.keyword}' climbed from position ${k.previous ?? "-"} to ${
-            k.current ?? "-"
-          }`
-      )
-      .join("; ");
-    krLines.push(`Notable improvements: ${improvements}.`);
-  } else {
-    krLines.push("Notable improvements: no major positive movements this period.");
-  }
-
-  if (topLosers.length) {
-    const focus = topLosers
-      .slice(0, 3)
-      .map(
-        (k) =>
-          `'${k.keyword}' dropped from ${k.previous ?? "-"} to ${
-            k.current ?? "-"
-          }`
-      )
-      .join("; ");
-    krLines.push(`Areas for focus: ${focus}.`);
-  } else {
-    krLines.push("Areas for focus: no significant ranking drops recorded.");
-  }
-
-  krLines.forEach((line) => {
-    doc.text("• " + line, { width: contentWidth });
-  });
-
-  // Backlinks and Authority summary
-  if (backlinks && backlinks.totalBacklinks) {
-    doc.moveDown(2.0);
-    doc
-      .fontSize(13)
-      .font("Helvetica-Bold")
-      .fillColor("#000000")
-      .text("Backlinks and Authority:");
-
-    doc.moveDown(0.5);
-    doc.fontSize(11).font("Helvetica").fillColor("#333333");
-
-    const parts = [];
-    if (backlinks.sections && backlinks.sections.length) {
-      backlinks.sections.forEach((s) => {
-        parts.push(`${s.name} (${s.total})`);
-      });
+      try {
+        candidates = await loadProfiles(getPool());
+      } catch (err) {
+        console.error("SEO profile load error:", err);
+      }
     }
 
-    const line =
-      parts.length > 0
-        ? `Links recorded in this workbook: ${backlinks.totalBacklinks}. Key backlink categories: ${parts.join(
-            ", "
-          )}.`
-        : `Links recorded in this workbook: ${backlinks.totalBacklinks}.`;
-
-    doc.text(line, { width: contentWidth });
-  }
-
-  // ======================================================
-  // KEYWORD LIST TABLE
-  // ======================================================
-  doc.addPage();
-
-  doc
-    .fontSize(16)
-    .font("Helvetica-Bold")
-    .fillColor("#000000")
-    .text("Keyword Rankings Overview", left, doc.y);
-
-  doc.moveDown(0.3);
-  doc
-    .fontSize(10)
-    .font("Helvetica")
-    .fillColor("#555555")
-    .text(
-      "This table summarises each optimised keyword, its current Google position and last week’s position so you can quickly see week-on-week movement.",
-      { width: contentWidth }
-    );
-
-  doc.moveDown(0.7);
-
-  const xCheck = left;
-  const xKeyword = left + 18;
-  const xCurrent = left + 310;
-  const xPrev = left + 420;
-
-  function drawKeywordHeader() {
-    const headerY = doc.y;
-    doc.fontSize(11).font("Helvetica-Bold").fillColor("#000000");
-    doc.text("Keyword List", xKeyword, headerY);
-    doc.text("Position", xCurrent, headerY);
-    doc.text("Last week", xPrev, headerY);
-    doc.moveDown(0.5);
-  }
-
-  drawKeywordHeader();
-
-  let y = doc.y + 2;
-  const rowHeight = 18;
-
-  doc.fontSize(10).font("Helvetica").fillColor("#333333");
-
-  keywords.forEach((k) => {
-    if (y > doc.page.height - doc.page.margins.bottom - 30) {
-      doc.addPage();
-      drawKeywordHeader();
-      y = doc.y + 2;
-      doc.fontSize(10).font("Helvetica").fillColor("#333333");
+    const uploads = [].concat(files.seo_file || []);
+    if (!uploads.length) {
+      res.statusCode = 400;
+      return res.json({ error: "Missing seo_file upload" });
     }
-
-    doc
-      .fontSize(11)
-      .font("Helvetica-Bold")
-      .fillColor(brandGreen)
-      .text("✓", xCheck, y + 2);
-
-    doc.fontSize(10).font("Helvetica").fillColor("#333333");
-    doc.text(k.keyword, xKeyword, y, {
-      width: xCurrent - xKeyword - 10
-    });
-
-    const currentStr =
-      k.current !== null && k.current !== undefined
-        ? String(k.current)
-        : "-";
-    doc.text(currentStr, xCurrent, y, { width: 60 });
-
-    const prevStr =
-      k.previous !== null && k.previous !== undefined
-        ? String(k.previous)
-        : "-";
-    doc.text(prevStr, xPrev, y, { width: 60 });
-
-    y += rowHeight;
-  });
-
-  // ======================================================
-  // BACKLINKS OVERVIEW + SECTION DETAILS (CAPPED AT 10)
-  // ======================================================
-  if (backlinks && backlinks.sections && backlinks.sections.length) {
-    const { totalBacklinks, sections } = backlinks;
-
-    const bottomLimitStart =
-      doc.page.height - doc.page.margins.bottom - 80;
-    if (doc.y > bottomLimitStart) {
-      doc.addPage();
-    } else {
-      // extra breathing room so it isn't cramped under the table
-      doc.moveDown(2.0);
+    if (uploads.some((u) => !u.filepath)) {
+      res.statusCode = 400;
+      return res.json({ error: "Could not access uploaded file path" });
     }
 
-    doc
-      .fontSize(16)
-      .font("Helvetica-Bold")
-      .fillColor("#000000")
-      .text("Backlinks Overview", left, doc.y);
-
-    doc.moveDown(0.7);
-
-    doc
-      .fontSize(11)
-      .font("Helvetica")
-      .fillColor("#333333")
-      .text(
-        `Total backlinks in this workbook: ${totalBacklinks}.`,
-        { width: contentWidth }
-      );
-
-    if (sections.length) {
-      const summaryParts = sections.map(
-        (s) => `${s.name} (${s.total})`
-      );
-      doc.moveDown(0.3);
-      doc.text(`By type: ${summaryParts.join(", ")}.`, {
-        width: contentWidth
+    // several files, or a zip of workbooks: one report each, zipped
+    const items = await batchItems(uploads);
+    if (items) {
+      return await sendSeoBatch(req, res, items, {
+        profile,
+        candidates,
+        clientId,
+        brandingId,
+        format
       });
     }
 
-    doc.moveDown(1.0);
-
-    const maxLinksToShow = 10;
-
-    sections.forEach((section, idx) => {
-      if (doc.y > doc.page.height - doc.page.margins.bottom - 80) {
-        doc.addPage();
-      }
-
-      const icon = getBacklinkIcon(section.name);
-      const headingText = `${icon} ${section.name}`;
-
-      doc
-        .fontSize(13)
-        .font("Helvetica-Bold")
-        .fillColor("#000000")
-        .text(headingText, left, doc.y);
-
-      doc.moveDown(0.35);
-      doc
-        .fontSize(10)
-        .font("Helvetica")
-        .fillColor("#333333")
-        .text(
-          `Total links: ${section.total}. Showing up to ${maxLinksToShow} links below:`,
-          { width: contentWidth }
-        );
-      doc.moveDown(0.3);
-
-      const bottomLimit =
-        doc.page.height - doc.page.margins.bottom - 40;
-
-      doc.fontSize(9).font("Helvetica").fillColor("#000000");
+    const upload = uploads[0];
+    const filePath = upload.filepath;
 
-      const toShow = Math.min(section.rows.length, maxLinksToShow);
-
-      section.rows.slice(0, toShow).forEach((row, i) => {
-        const url = row.backlink || row.target || "";
-        const statusText = row.status ? ` [${row.status}]` : "";
-        const line = `${i + 1}. ${String(url)}${statusText}`;
-
-        if (doc.y > bottomLimit) {
-          doc.addPage();
-          doc
-            .fontSize(13)
-            .font("Helvetica-Bold")
-            .fillColor("#000000")
-            .text(headingText + " (cont.)", left, doc.y);
-          doc.moveDown(0.3);
-          doc.fontSize(9).font("Helvetica").fillColor("#000000");
-        }
-
-        doc.text(line, { width: contentWidth });
-      });
-
-      if (section.total > maxLinksToShow) {
-        const remaining = section.total - maxLinksToShow;
-        if (doc.y > bottomLimit) {
-          doc.addPage();
-        }
-        doc
-          .moveDown(0.2)
-          .fontSize(9)
-          .font("Helvetica-Oblique")
-          .fillColor("#555555")
-          .text(`+ ${remaining} more links in this category.`, {
-            width: contentWidth
-          });
-      }
-
-      doc.moveDown(0.35);
-      // bold + italic description
-      doc
-        .fontSize(9)
-        .font("Helvetica-BoldOblique")
-        .fillColor("#444444")
-        .text(
-          "What this means: " + describeBacklinkType(section.name),
-          { width: contentWidth }
-        );
-
-      if (idx < sections.length - 1) {
-        doc.moveDown(1.2);
-      }
+    const summary = await parseSeoWorkbook(filePath, upload.originalFilename, {
+      profile,
+      candidates
     });
-  }
-
-  doc.end();
-}
-
-// ---------- Main handler ----------
-export default async function handler(req, res) {
-  try {
-    if (req.method === "GET") {
-      res.statusCode = 200;
-      return res.json({ ok: true, message: "SEO reports API is alive" });
-    }
-
-    if (req.method !== "POST") {
-      res.setHeader("Allow", ["GET", "POST"]);
-      res.statusCode = 405;
-      return res.json({ error: "Method not allowed" });
+    res.setHeader("X-SEO-Profile", summary.profile.id ? String(summary.profile.id) : "default");
+
+    // Keep the run for history/comparison; the report still goes out if this fails
+    let runId = null;
+    try {
+      runId = await saveSeoRun(getPool(), req, summary, {
+        clientId,
+        sourceFile: upload.originalFilename || null
+      });
+      res.setHeader("X-SEO-Report-Id", String(runId));
+    } catch (err) {
+      console.error("SEO report save error:", err);
     }
 
-    const { files } = await parseForm(req);
-    const file = files.seo_file;
-    if (!file) {
-      res.statusCode = 400;
-      return res.json({ error: "Missing seo_file upload" });
-    }
+    // branding_id, else the client's branding, else the built-in one
+    const branding =
+      brandingId || clientId
+        ? await resolveBranding(getPool(), { brandingId, clientId })
+        : DEFAULT_BRANDING;
 
-    const filePath = Array.isArray(file) ? file[0].filepath : file.filepath;
-    if (!filePath) {
+    await sendSeoReport(res, summary, branding, format, runId);
+  } catch (err) {
+    if (err instanceof ValidationError) return sendValidationError(res, err);
+    if (err instanceof SeoInputError) {
       res.statusCode = 400;
-      return res.json({ error: "Could not access uploaded file path" });
+      return res.json({
+        error: err.message,
+        found: err.found,
+        missing: err.missing,
+        ignored: err.ignored
+      });
     }
-
-    const summary = await parseSeoWorkbook(filePath);
-    await buildSeoPdf(res, summary);
-  } catch (err) {
     console.error("SEO report error:", err);
     if (!res.headersSent) {
       const msg = err && err.message ? err.message : String(err);
@@ -0,0 +1,46 @@
+// api/restore/index.js
+//
+// POST /api/restore { entity, id }
+// Brings back an archived record, along with anything that was archived
+// with it (e.g. a client's projects and sales). entity is one of the keys of
+// ARCHIVABLE in api/lib/archive.js.
+import { getPool } from "../lib/db.js";
+import { authorize, STAFF } from "../lib/auth.js";
+import { ARCHIVABLE, ArchiveError, restoreRecord } from "../lib/archive.js";
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Max-Age", "86400");
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const user = await authorize(req, res, { POST: STAFF });
+  if (!user) return;
+
+  if (req.method !== "POST") {
+    res.setHeader("Allow", ["POST"]);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  const { entity, id } = req.body || {};
+  if (!ARCHIVABLE[entity]) {
+    return res.status(400).json({ error: `entity must be one of ${Object.keys(ARCHIVABLE).join(", ")}` });
+  }
+  if (!id) {
+    return res.status(400).json({ error: "Missing id for restore" });
+  }
+
+  const db = getPool();
+
+  try {
+    const result = await restoreRecord(db, req, entity, id);
+    return res.status(200).json({ message: "Record restored", entity, ...result });
+  } catch (err) {
+    if (err instanceof ArchiveError) {
+      return res.status(err.status).json({ error: err.message, ...err.extra });
+    }
+    console.error("Restore API Error:", err);
+    return res.status(500).json({ error: "Internal Server Error", detail: err.code || err.message });
+  }
+}
@@ -0,0 +1,135 @@
+// api/search/index.js
+//
+// GET /api/search?q=<text>[&types=clients,projects][&limit=10]
+// Typo-tolerant search across clients, projects, tasks and renewals,
+// grouped by type and ranked best match first.
+import { getPool } from "../lib/db.js";
+import { authorize, ANY } from "../lib/auth.js";
+import { tokenize, candidateFilter, scoreRow, MIN_TOKEN_LENGTH } from "../lib/search.js";
+
+const CANDIDATE_LIMIT = 300;
+
+// columns: what the SQL pre-filter looks at; fields(row): what gets scored and with what weight;
+// live: condition that leaves out archived rows.
+const ENTITIES = {
+  clients: {
+    sql: "SELECT id, name, company, contact_name, email, phone, website, status FROM clients",
+    live: "deleted_at IS NULL",
+    columns: ["company", "name", "contact_name", "email", "phone", "website"],
+    fields: (r) => [
+      { name: "company", weight: 1, value: r.company },
+      { name: "name", weight: 0.9, value: r.name },
+      { name: "contact_name", weight: 0.9, value: r.contact_name },
+      { name: "email", weight: 0.8, value: r.email },
+      { name: "website", weight: 0.8, value: r.website },
+      { name: "phone", weight: 0.8, value: r.phone, digits: true },
+    ],
+    result: (r) => ({
+      id: r.id,
+      label: r.company || r.name,
+      sublabel: [r.contact_name, r.email].filter(Boolean).join(" · ") || null,
+      status: r.status || null,
+    }),
+  },
+  projects: {
+    sql: `SELECT p.id, p.title, p.notes, p.stage, p.client_id, c.company AS client_name
+          FROM projects p LEFT JOIN clients c ON c.id = p.client_id`,
+    live: "p.deleted_at IS NULL",
+    columns: ["p.title", "p.notes"],
+    fields: (r) => [
+      { name: "title", weight: 1, value: r.title },
+      { name: "notes", weight: 0.6, value: r.notes },
+    ],
+    result: (r) => ({ id: r.id, label: r.title, sublabel: r.client_name || null, status: r.stage || null, client_id: r.client_id }),
+  },
+  tasks: {
+    sql: `SELECT t.id, t.title, t.details, t.status, t.due_date, t.client_id, c.company AS client_name
+          FROM tasks t LEFT JOIN clients c ON c.id = t.client_id`,
+    live: "t.deleted_at IS NULL",
+    columns: ["t.title", "t.details"],
+    fields: (r) => [
+      { name: "title", weight: 1, value: r.title },
+      { name: "details", weight: 0.6, value: r.details },
+    ],
+    result: (r) => ({ id: r.id, label: r.title, sublabel: r.client_name || null, status: r.status || null, client_id: r.client_id }),
+  },
+  renewals: {
+    sql: `SELECT r.id, r.item_label, r.service_type, r.renewal_date, r.status, r.client_id, c.company AS client_name
+          FROM renewals r LEFT JOIN clients c ON c.id = r.client_id`,
+    live: "r.deleted_at IS NULL",
+    columns: ["r.item_label"],
+    fields: (r) => [{ name: "item_label", weight: 1, value: r.item_label }],
+    result: (r) => ({
+      id: r.id,
+      label: r.item_label,
+      sublabel: [r.service_type, r.client_name].filter(Boolean).join(" · ") || null,
+      status: r.status || null,
+      client_id: r.client_id,
+    }),
+  },
+};
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Max-Age", "86400");
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const user = await authorize(req, res, { GET: ANY });
+  if (!user) return;
+
+  if (req.method !== "GET") {
+    res.setHeader("Allow", ["GET"]);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  const { q, types, limit } = req.query || {};
+  const queryTokens = tokenize(q)
+    .filter((t) => t.length >= MIN_TOKEN_LENGTH)
+    .slice(0, 8);
+  if (!queryTokens.length) {
+    return res.status(400).json({
+      ok: false,
+      error: `Missing search query (q); words need at least ${MIN_TOKEN_LENGTH} characters`,
+    });
+  }
+
+  const wanted = types ? String(types).split(",").map((t) => t.trim()) : Object.keys(ENTITIES);
+  const unknown = wanted.filter((t) => !ENTITIES[t]);
+  if (unknown.length) {
+    return res.status(400).json({ ok: false, error: `Unknown types: ${unknown.join(", ")}` });
+  }
+  const perType = Math.min(50, Math.max(1, parseInt(limit, 10) || 10));
+
+  const db = getPool();
+
+  try {
+    const results = {};
+    let total = 0;
+
+    for (const type of wanted) {
+      const entity = ENTITIES[type];
+      const filter = candidateFilter(entity.columns, queryTokens);
+      const [rows] = await db.query(
+        `${entity.sql} WHERE ${entity.live} AND ${filter.sql} ORDER BY ${filter.rank} DESC LIMIT ${CANDIDATE_LIMIT}`,
+        [...filter.params, ...filter.rankParams]
+      );
+
+      const hits = [];
+      for (const row of rows) {
+        const match = scoreRow(queryTokens, entity.fields(row));
+        if (match) hits.push({ ...entity.result(row), score: match.score, matched: match.matched });
+      }
+      hits.sort((a, b) => b.score - a.score || a.id - b.id);
+
+      results[type] = hits.slice(0, perType);
+      total += hits.length;
+    }
+
+    return res.status(200).json({ ok: true, q: String(q), total, results });
+  } catch (err) {
+    console.error("Search API Error:", err);
+    return res.status(500).json({ ok: false, error: "Internal Server Error", detail: err.code || err.message });
+  }
+}
@@ -1,50 +1,97 @@
 import { getPool } from "../lib/db.js";
+import { authorize, ANY, STAFF } from "../lib/auth.js";
+import { sendList } from "../lib/list.js";
+import { recordAudit, loadForAudit } from "../lib/audit.js";
+import { sendArchive } from "../lib/archive.js";
+import { parseBody, ValidationError, sendValidationError } from "../lib/validate.js";
+import { SCHEMAS } from "../lib/schemas.js";
+import { sendRecord, patchRecord } from "../lib/records.js";
+import { versionGuard, assertUpdated, VersionConflictError, sendConflict } from "../lib/versions.js";
+
+const LIST_SPEC = {
+  table: "tasks",
+  archivable: true,
+  filters: {
+    client_id: { type: "int" },
+    status: { type: "string", lower: true },
+    due_date: { type: "date" },
+  },
+  sorts: { due_date: "due_date", title: "title", status: "status", created_at: "created_at" },
+  defaultSort: "due_date",
+  legacyOrder: "due_date ASC",
+};
+
+const RECORD_SPEC = {
+  entity: "tasks",
+  table: "tasks",
+  schema: SCHEMAS.tasks,
+  fields: ["client_id", "title", "details", "due_date", "status"],
+  touch: true,
+};
 
 export default async function handler(req, res) {
   res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,DELETE,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,PATCH,DELETE,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, If-Match");
+  res.setHeader("Access-Control-Expose-Headers", "ETag, X-Total-Count");
   res.setHeader("Access-Control-Max-Age", "86400");
   if (req.method === "OPTIONS") return res.status(200).end();
 
+  const user = await authorize(req, res, { GET: ANY, POST: STAFF, PUT: STAFF, PATCH: STAFF, DELETE: STAFF });
+  if (!user) return;
+
   const db = getPool();
 
   try {
     if (req.method === "GET") {
-      const [rows] = await db.query("SELECT * FROM tasks ORDER BY due_date ASC");
-      return res.status(200).json(rows);
+      if (req.query && req.query.id !== undefined) {
+        return await sendRecord(db, req, res, RECORD_SPEC);
+      }
+      return await sendList(db, req, res, LIST_SPEC);
     }
 
     if (req.method === "POST") {
-      const { client_id, title, details, due_date, status="open" } = req.body || {};
-      await db.query(
+      const { client_id, title, details, due_date, status } = await parseBody(db, SCHEMAS.tasks, req.body);
+      const [result] = await db.query(
         `INSERT INTO tasks (client_id, title, details, due_date, status, created_at)
          VALUES (?, ?, ?, ?, ?, NOW())`,
-        [client_id, title ?? "", details ?? "", due_date ?? null, status]
+        [client_id, title, details ?? "", due_date ?? null, status ?? "open"]
       );
+      const created = await loadForAudit(db, "tasks", result.insertId);
+      await recordAudit(db, req, { entity: "tasks", id: result.insertId, action: "create", after: created });
       return res.status(201).json({ message: "Task created" });
     }
 
     if (req.method === "PUT") {
-      const { id, title, details, due_date, status } = req.body || {};
-      await db.query(
+      const { id, title, details, due_date, status } = await parseBody(db, SCHEMAS.tasks, req.body, "update");
+      const guard = versionGuard(req);
+      const before = await loadForAudit(db, "tasks", id);
+      const [result] = await db.query(
         `UPDATE tasks
-         SET title=?, details=?, due_date=?, status=?, updated_at=NOW()
-         WHERE id=?`,
-        [title ?? "", details ?? "", due_date ?? null, status ?? "open", id]
+         SET title=?, details=?, due_date=?, status=?, updated_at=NOW(), version=version+1
+         WHERE id=? AND deleted_at IS NULL${guard.sql}`,
+        [title, details ?? "", due_date ?? null, status ?? "open", id, ...guard.params]
       );
-      return res.status(200).json({ message: "Task updated" });
+      await assertUpdated(db, result, "tasks", id);
+      const after = await loadForAudit(db, "tasks", id);
+      await recordAudit(db, req, { entity: "tasks", id, action: "update", before, after });
+      return res.status(200).json({ message: "Task updated", version: after.version });
+    }
+
+    if (req.method === "PATCH") {
+      return await patchRecord(db, req, res, RECORD_SPEC);
     }
 
     if (req.method === "DELETE") {
       const { id } = req.body || {};
-      await db.query("DELETE FROM tasks WHERE id=?", [id]);
-      return res.status(200).json({ message: "Task deleted" });
+      return await sendArchive(db, req, res, "tasks", id, { message: "Task deleted" });
     }
 
-    res.setHeader("Allow", ["GET", "POST", "PUT", "DELETE"]);
+    res.setHeader("Allow", ["GET", "POST", "PUT", "PATCH", "DELETE"]);
     return res.status(405).end(`Method ${req.method} Not Allowed`);
   } catch (err) {
+    if (err instanceof ValidationError) return sendValidationError(res, err);
+    if (err instanceof VersionConflictError) return sendConflict(res, err);
     console.error("Tasks API Error:", err);
     return res.status(500).json({ error: "Internal Server Error", detail: err.code || err.message });
   }
@@ -0,0 +1,86 @@
+import { getPool } from "../lib/db.js";
+import { authorize, hashPassword, ADMIN } from "../lib/auth.js";
+import { parseBody, ValidationError, sendValidationError } from "../lib/validate.js";
+import { SCHEMAS } from "../lib/schemas.js";
+
+const PUBLIC_COLUMNS = "id, email, name, role, active, last_login_at, created_at, updated_at";
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,DELETE,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Max-Age", "86400");
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const me = await authorize(req, res, { GET: ADMIN, POST: ADMIN, PUT: ADMIN, DELETE: ADMIN });
+  if (!me) return;
+
+  const db = getPool();
+
+  try {
+    if (req.method === "GET") {
+      const [rows] = await db.query(`SELECT ${PUBLIC_COLUMNS} FROM users ORDER BY email ASC`);
+      return res.status(200).json(rows);
+    }
+
+    if (req.method === "POST") {
+      const { email, name, password, role } = await parseBody(db, SCHEMAS.users, req.body);
+
+      const [result] = await db.query(
+        `INSERT INTO users (email, name, password_hash, role, active, created_at)
+         VALUES (?, ?, ?, ?, 1, NOW())`,
+        [email.toLowerCase(), name ?? "", await hashPassword(password), role ?? "staff"]
+      );
+      return res.status(201).json({ message: "User created", id: result.insertId });
+    }
+
+    if (req.method === "PUT") {
+      const { id } = req.body || {};
+      if (!id) {
+        return res.status(400).json({ error: "Missing id for update" });
+      }
+      const { name, password, role, active } = await parseBody(db, SCHEMAS.users, req.body, "patch");
+      if (Number(id) === me.id && ((role && role !== "admin") || active === 0)) {
+        return res.status(400).json({ error: "You cannot demote or deactivate yourself" });
+      }
+
+      const updates = [];
+      const values = [];
+      if (name !== undefined) { updates.push("name = ?"); values.push(name ?? ""); }
+      if (role) { updates.push("role = ?"); values.push(role); }
+      if (active !== undefined && active !== null) { updates.push("active = ?"); values.push(active); }
+      if (password) { updates.push("password_hash = ?"); values.push(await hashPassword(password)); }
+      if (!updates.length) {
+        return res.status(400).json({ error: "No valid fields to update" });
+      }
+
+      const [result] = await db.query(
+        `UPDATE users SET ${updates.join(", ")}, updated_at = NOW() WHERE id = ?`,
+        [...values, id]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ error: "User not found" });
+      }
+      return res.status(200).json({ message: "User updated" });
+    }
+
+    if (req.method === "DELETE") {
+      const { id } = req.body || {};
+      if (!id) {
+        return res.status(400).json({ error: "Missing id for delete" });
+      }
+      if (Number(id) === me.id) {
+        return res.status(400).json({ error: "You cannot delete yourself" });
+      }
+      await db.query("DELETE FROM users WHERE id = ?", [id]);
+      return res.status(200).json({ message: "User deleted" });
+    }
+
+    res.setHeader("Allow", ["GET", "POST", "PUT", "DELETE"]);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  } catch (err) {
+    if (err instanceof ValidationError) return sendValidationError(res, err);
+    console.error("Users API Error:", err);
+    return res.status(500).json({ error: "Internal Server Error", detail: err.code || err.message });
+  }
+}
@@ -0,0 +1,186 @@
+// api/xero-exports/csv.js
+//
+// GET  /api/xero-exports/csv?id=  -> stream the stored lines as a Xero Sales Invoice CSV
+// POST /api/xero-exports/csv?id=  -> rebuild the lines from sales for the period, then stream
+import { getPool } from "../lib/db.js";
+import { authorize, STAFF } from "../lib/auth.js";
+import { ymd, firstOfMonth, lastOfMonth, chargesInMonth, lineAmounts } from "../lib/recurring.js";
+import { toCsv } from "../lib/csv.js";
+
+const XERO_COLUMNS = [
+  "ContactName",
+  "InvoiceNumber",
+  "InvoiceDate",
+  "DueDate",
+  "Description",
+  "Quantity",
+  "UnitAmount",
+  "AccountCode",
+  "TaxType",
+];
+
+const ACCOUNT_CODE = process.env.XERO_ACCOUNT_CODE || "200";
+const TAX_TYPE = process.env.XERO_TAX_TYPE || "15% GST on Income";
+const INVOICE_PREFIX = process.env.XERO_INVOICE_PREFIX || "WX";
+const DUE_DAYS = Number(process.env.XERO_DUE_DAYS || 20);
+
+// Xero's NZ import expects dd/mm/yyyy
+function xeroDate(value) {
+  if (!value) return "";
+  const d = value instanceof Date ? value : new Date(value);
+  const dd = String(d.getDate()).padStart(2, "0");
+  const mm = String(d.getMonth() + 1).padStart(2, "0");
+  return `${dd}/${mm}/${d.getFullYear()}`;
+}
+
+async function buildItems(conn, exp) {
+  const monthDate = new Date(exp.period_year, exp.period_month - 1, 1);
+  const invoiceDate = firstOfMonth(monthDate);
+  const dueDate = new Date(invoiceDate.getFullYear(), invoiceDate.getMonth(), invoiceDate.getDate() + DUE_DAYS);
+  const period = `${exp.period_year}${String(exp.period_month).padStart(2, "0")}`;
+
+  // Prefer the invoices raised by a billing run; fall back to projecting from recurring_sales.
+  const [raised] = await conn.query(
+    `SELECT ri.*, COALESCE(NULLIF(c.company, ''), c.name) AS contact_name
+     FROM recurring_invoices ri
+     LEFT JOIN clients c ON c.id = ri.client_id
+     WHERE ri.period_year = ? AND ri.period_month = ?`,
+    [exp.period_year, exp.period_month]
+  );
+  const [recurring] = await conn.query(
+    `SELECT rs.*, COALESCE(NULLIF(c.company, ''), c.name) AS contact_name
+     FROM recurring_sales rs
+     LEFT JOIN clients c ON c.id = rs.client_id
+     WHERE rs.deleted_at IS NULL`
+  );
+  const [oneoff] = await conn.query(
+    `SELECT os.*, COALESCE(NULLIF(c.company, ''), c.name) AS contact_name
+     FROM oneoff_sales os
+     LEFT JOIN clients c ON c.id = os.client_id
+     WHERE os.deleted_at IS NULL AND LOWER(os.status) IN ('sent','paid') AND os.sale_date BETWEEN ? AND ?`,
+    [ymd(invoiceDate), ymd(lastOfMonth(monthDate))]
+  );
+
+  // One invoice per client per batch; Xero groups lines by InvoiceNumber.
+  // A sale with no client gets an invoice of its own (R/O + sale id) rather than
+  // sharing one with every other unlinked sale.
+  const invoiceNumber = (type, r) =>
+    `${INVOICE_PREFIX}-${period}-${r.client_id || `${type === "oneoff" ? "O" : "R"}${r.id}`}`;
+  const line = (type, r, description, charges = 1) => ({
+    source_type: type,
+    source_id: r.id,
+    client_id: r.client_id || null,
+    contact_name: r.contact_name || "",
+    invoice_number: invoiceNumber(type, r),
+    invoice_date: ymd(invoiceDate),
+    due_date: ymd(dueDate),
+    description,
+    ...lineAmounts(r, charges),
+    account_code: ACCOUNT_CODE,
+    tax_type: TAX_TYPE,
+  });
+
+  const items = [];
+  if (raised.length) {
+    for (const r of raised) {
+      items.push(line("recurring", { ...r, id: r.recurring_sale_id }, r.description || "Recurring service"));
+    }
+  } else {
+    for (const r of recurring) {
+      const charges = chargesInMonth(r, monthDate);
+      if (!charges) continue;
+      items.push(line("recurring", r, r.description || r.service_name || r.product || "Recurring service", charges));
+    }
+  }
+  for (const r of oneoff) {
+    items.push(line("oneoff", r, r.description || "One-off sale"));
+  }
+  return items;
+}
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Max-Age", "86400");
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const user = await authorize(req, res, { GET: STAFF, POST: STAFF });
+  if (!user) return;
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", ["GET", "POST"]);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  const id = (req.query && req.query.id) || (req.body && req.body.id);
+  if (!id) {
+    return res.status(400).json({ error: "Missing export id" });
+  }
+
+  const pool = getPool();
+  const conn = await pool.getConnection();
+  try {
+    const [[exp]] = await conn.query("SELECT * FROM xero_exports WHERE id = ? AND deleted_at IS NULL", [id]);
+    if (!exp) {
+      return res.status(404).json({ error: "Export not found" });
+    }
+
+    if (req.method === "POST") {
+      const items = await buildItems(conn, exp);
+
+      await conn.beginTransaction();
+      try {
+        await conn.query("DELETE FROM xero_export_items WHERE export_id = ?", [id]);
+        for (const it of items) {
+          await conn.query(
+            `INSERT INTO xero_export_items
+             (export_id, source_type, source_id, client_id, contact_name, invoice_number, invoice_date, due_date,
+              description, quantity, unit_amount, account_code, tax_type, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+            [
+              id, it.source_type, it.source_id, it.client_id, it.contact_name, it.invoice_number,
+              it.invoice_date, it.due_date, it.description, it.quantity, it.unit_amount,
+              it.account_code, it.tax_type,
+            ]
+          );
+        }
+        await conn.query("UPDATE xero_exports SET updated_at = NOW() WHERE id = ?", [id]);
+        await conn.commit();
+      } catch (err) {
+        await conn.rollback();
+        throw err;
+      }
+    }
+
+    const [rows] = await conn.query(
+      "SELECT * FROM xero_export_items WHERE export_id = ? ORDER BY invoice_number ASC, id ASC",
+      [id]
+    );
+
+    const csv = toCsv(
+      XERO_COLUMNS,
+      rows.map((r) => ({
+        ContactName: r.contact_name,
+        InvoiceNumber: r.invoice_number,
+        InvoiceDate: xeroDate(r.invoice_date),
+        DueDate: xeroDate(r.due_date),
+        Description: r.description,
+        Quantity: Number(r.quantity),
+        UnitAmount: Number(r.unit_amount).toFixed(2),
+        AccountCode: r.account_code,
+        TaxType: r.tax_type,
+      }))
+    );
+
+    const filename = `xero-invoices-${exp.period_year}-${String(exp.period_month).padStart(2, "0")}.csv`;
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    return res.status(200).send(csv);
+  } catch (err) {
+    console.error("Xero CSV API Error:", err);
+    return res.status(500).json({ error: "Internal Server Error", detail: err.code || err.message });
+  } finally {
+    try { conn.release(); } catch {}
+  }
+}
@@ -1,7 +1,28 @@
 // /api/xero-exports/index.js
 import mysql from "mysql2/promise";
+import { authorize, STAFF, ADMIN } from "../lib/auth.js";
+import { recordAudit, loadForAudit } from "../lib/audit.js";
+import { sendArchive } from "../lib/archive.js";
+import { parseBody, ValidationError, sendValidationError } from "../lib/validate.js";
+import { SCHEMAS } from "../lib/schemas.js";
+import { sendRecord, patchRecord } from "../lib/records.js";
+import { versionGuard, assertUpdated, VersionConflictError, sendConflict } from "../lib/versions.js";
+
+const RECORD_SPEC = {
+  entity: "xero_exports",
+  table: "xero_exports",
+  schema: SCHEMAS.xero_exports,
+  fields: ["name", "period_year", "period_month"],
+  touch: true,
+  select: `SELECT xe.*, (SELECT COUNT(*) FROM xero_export_items xt WHERE xt.export_id = xe.id) AS item_count
+           FROM xero_exports xe`,
+  alias: "xe",
+};
 
 export default async function handler(req, res) {
+  const user = await authorize(req, res, { GET: STAFF, POST: STAFF, PUT: STAFF, PATCH: STAFF, DELETE: ADMIN });
+  if (!user) return;
+
 const db = await mysql.createConnection({
   host: process.env.DB_HOST,
   user: process.env.DB_USER,
@@ -12,10 +33,14 @@ const db = await mysql.createConnection({
 
   try {
     if (req.method === "GET") {
+      if (req.query && req.query.id !== undefined) {
+        return await sendRecord(db, req, res, RECORD_SPEC);
+      }
       const [rows] = await db.query(`
         SELECT xe.*, COUNT(xt.id) AS item_count
         FROM xero_exports xe
         LEFT JOIN xero_export_items xt ON xe.id = xt.export_id
+        WHERE xe.deleted_at IS NULL
         GROUP BY xe.id
         ORDER BY xe.created_at DESC
       `);
@@ -23,36 +48,47 @@ const db = await mysql.createConnection({
     }
 
     if (req.method === "POST") {
-      const { name, period_year, period_month } = req.body;
-      await db.query(
+      const { name, period_year, period_month } = await parseBody(db, SCHEMAS.xero_exports, req.body);
+      const [result] = await db.query(
         `INSERT INTO xero_exports (name, period_year, period_month, created_at)
          VALUES (?, ?, ?, NOW())`,
         [name, period_year, period_month]
       );
+      const created = await loadForAudit(db, "xero_exports", result.insertId);
+      await recordAudit(db, req, { entity: "xero_exports", id: result.insertId, action: "create", after: created });
       return res.status(201).json({ message: "Export created" });
     }
 
     if (req.method === "PUT") {
-      const { id, name, period_year, period_month } = req.body;
-      await db.query(
+      const { id, name, period_year, period_month } = await parseBody(db, SCHEMAS.xero_exports, req.body, "update");
+      const guard = versionGuard(req);
+      const before = await loadForAudit(db, "xero_exports", id);
+      const [result] = await db.query(
         `UPDATE xero_exports
-         SET name=?, period_year=?, period_month=?, updated_at=NOW()
-         WHERE id=?`,
-        [name, period_year, period_month, id]
+         SET name=?, period_year=?, period_month=?, updated_at=NOW(), version=version+1
+         WHERE id=? AND deleted_at IS NULL${guard.sql}`,
+        [name, period_year, period_month, id, ...guard.params]
       );
-      return res.status(200).json({ message: "Export updated" });
+      await assertUpdated(db, result, "xero_exports", id);
+      const after = await loadForAudit(db, "xero_exports", id);
+      await recordAudit(db, req, { entity: "xero_exports", id, action: "update", before, after });
+      return res.status(200).json({ message: "Export updated", version: after.version });
+    }
+
+    if (req.method === "PATCH") {
+      return await patchRecord(db, req, res, RECORD_SPEC);
     }
 
     if (req.method === "DELETE") {
-      const { id } = req.body;
-      await db.query("DELETE FROM xero_exports WHERE id=?", [id]);
-      await db.query("DELETE FROM xero_export_items WHERE export_id=?", [id]);
-      return res.status(200).json({ message: "Export and related items deleted" });
+      const { id } = req.body || {};
+      return await sendArchive(db, req, res, "xero_exports", id, { message: "Export archived" });
     }
 
-    res.setHeader("Allow", ["GET", "POST", "PUT", "DELETE"]);
+    res.setHeader("Allow", ["GET", "POST", "PUT", "PATCH", "DELETE"]);
     res.status(405).end(`Method ${req.method} Not Allowed`);
   } catch (err) {
+    if (err instanceof ValidationError) return sendValidationError(res, err);
+    if (err instanceof VersionConflictError) return sendConflict(res, err);
     console.error("Xero Exports API Error:", err);
     res.status(500).json({ error: "Internal Server Error" });
   } finally {
@@ -0,0 +1,18 @@
+-- xero_export_items already exists (one row per line of an export batch).
+-- /api/xero-exports/csv stores the source sale and the Xero Sales Invoice
+-- columns per line; IF NOT EXISTS (MariaDB, as on Hostinger) leaves any of
+-- them that a database already has alone, so this can be re-run safely.
+-- Dates stay nullable for the rows written before this migration.
+ALTER TABLE xero_export_items
+  ADD COLUMN IF NOT EXISTS source_type    ENUM('recurring','oneoff') NULL,
+  ADD COLUMN IF NOT EXISTS source_id      INT NULL,
+  ADD COLUMN IF NOT EXISTS client_id      INT NULL,
+  ADD COLUMN IF NOT EXISTS description    VARCHAR(1000) NOT NULL DEFAULT '',
+  ADD COLUMN IF NOT EXISTS contact_name   VARCHAR(255)  NOT NULL DEFAULT '',
+  ADD COLUMN IF NOT EXISTS invoice_number VARCHAR(50)   NOT NULL DEFAULT '',
+  ADD COLUMN IF NOT EXISTS invoice_date   DATE NULL,
+  ADD COLUMN IF NOT EXISTS due_date       DATE NULL,
+  ADD COLUMN IF NOT EXISTS quantity       DECIMAL(12,2) NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS unit_amount    DECIMAL(12,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS account_code   VARCHAR(20)   NOT NULL DEFAULT '',
+  ADD COLUMN IF NOT EXISTS tax_type       VARCHAR(50)   NOT NULL DEFAULT '';
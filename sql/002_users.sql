@@ -0,0 +1,15 @@
+-- Staff accounts for /api/auth/login. Roles: admin, staff, readonly.
+-- First admin: generate a hash with
+--   node -e 'import("./api/lib/auth.js").then(a => a.hashPassword(process.argv[1])).then(console.log)' 'the-password'
+-- and INSERT it by hand.
+CREATE TABLE IF NOT EXISTS users (
+  id            INT AUTO_INCREMENT PRIMARY KEY,
+  email         VARCHAR(255) NOT NULL UNIQUE,
+  name          VARCHAR(255) NOT NULL DEFAULT '',
+  password_hash VARCHAR(255) NOT NULL,
+  role          ENUM('admin','staff','readonly') NOT NULL DEFAULT 'staff',
+  active        TINYINT(1) NOT NULL DEFAULT 1,
+  last_login_at DATETIME NULL,
+  created_at    DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at    DATETIME NULL
+);
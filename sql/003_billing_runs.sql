@@ -0,0 +1,29 @@
+-- Monthly recurring billing runs (/api/billing-runs).
+-- The unique key on recurring_invoices is what makes a re-run for the same month a no-op.
+CREATE TABLE IF NOT EXISTS billing_runs (
+  id             INT AUTO_INCREMENT PRIMARY KEY,
+  period_year    SMALLINT NOT NULL,
+  period_month   TINYINT  NOT NULL,
+  created_count  INT NOT NULL DEFAULT 0,
+  skipped_count  INT NOT NULL DEFAULT 0,
+  total_amount   DECIMAL(12,2) NOT NULL DEFAULT 0,
+  run_by         INT NULL,
+  created_at     DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_period (period_year, period_month)
+);
+
+CREATE TABLE IF NOT EXISTS recurring_invoices (
+  id                INT AUTO_INCREMENT PRIMARY KEY,
+  run_id            INT NOT NULL,
+  recurring_sale_id INT NOT NULL,
+  client_id         INT NULL,
+  period_year       SMALLINT NOT NULL,
+  period_month      TINYINT  NOT NULL,
+  description       VARCHAR(1000) NOT NULL DEFAULT '',
+  quantity          DECIMAL(12,2) NOT NULL DEFAULT 1,
+  unit_amount       DECIMAL(12,2) NOT NULL DEFAULT 0,
+  amount            DECIMAL(12,2) NOT NULL DEFAULT 0,
+  created_at        DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_sale_period (recurring_sale_id, period_year, period_month),
+  KEY idx_period (period_year, period_month)
+);
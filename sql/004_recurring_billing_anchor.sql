@@ -0,0 +1,4 @@
+-- Anchor date for quarterly/annual/weekly recurring sales (see chargesInMonth in api/lib/recurring.js).
+-- When NULL the row's start_date is used.
+ALTER TABLE recurring_sales
+  ADD COLUMN billing_anchor DATE NULL AFTER billing_cycle;
@@ -0,0 +1,12 @@
+-- One row per reminder email sent by /api/renewals/reminders.
+-- renewal_date is part of the key so a renewal rolled forward gets fresh reminders.
+CREATE TABLE IF NOT EXISTS renewal_reminders (
+  id           INT AUTO_INCREMENT PRIMARY KEY,
+  renewal_id   INT NOT NULL,
+  renewal_date DATE NOT NULL,
+  window_days  INT NOT NULL,
+  recipient    VARCHAR(255) NOT NULL,
+  subject      VARCHAR(500) NOT NULL DEFAULT '',
+  sent_at      DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_reminder (renewal_id, renewal_date, window_days, recipient)
+);
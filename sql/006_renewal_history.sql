@@ -0,0 +1,21 @@
+-- Term used by /api/renewals/renew to roll renewal_date forward.
+ALTER TABLE renewals
+  ADD COLUMN renewal_term ENUM('monthly','1y','2y') NOT NULL DEFAULT '1y' AFTER renewal_date;
+
+-- One row per renewal actually performed, with what was paid.
+CREATE TABLE IF NOT EXISTS renewal_history (
+  id                    INT AUTO_INCREMENT PRIMARY KEY,
+  renewal_id            INT NOT NULL,
+  item_label            VARCHAR(255) NOT NULL DEFAULT '',
+  provider              VARCHAR(255) NULL,
+  term                  VARCHAR(10) NOT NULL,
+  previous_renewal_date DATE NULL,
+  new_renewal_date      DATE NOT NULL,
+  cost                  DECIMAL(12,2) NOT NULL DEFAULT 0,
+  oneoff_sale_id        INT NULL,
+  renewed_by            INT NULL,
+  notes                 VARCHAR(1000) NULL,
+  created_at            DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_renewal (renewal_id),
+  KEY idx_item (item_label)
+);
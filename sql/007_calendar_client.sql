@@ -0,0 +1,4 @@
+-- Link calendar events to a client so they show on the client detail page.
+ALTER TABLE calendar_events
+  ADD COLUMN client_id INT NULL AFTER id,
+  ADD KEY idx_client (client_id);
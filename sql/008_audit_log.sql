@@ -0,0 +1,16 @@
+-- Written by recordAudit() in api/lib/audit.js, read by /api/audit.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id          BIGINT AUTO_INCREMENT PRIMARY KEY,
+  entity      VARCHAR(50) NOT NULL,
+  entity_id   INT NOT NULL,
+  action      ENUM('create','update','delete') NOT NULL,
+  user_id     INT NULL,
+  user_email  VARCHAR(255) NULL,
+  changes     JSON NOT NULL,
+  before_data JSON NULL,
+  after_data  JSON NULL,
+  reason      VARCHAR(500) NULL,
+  created_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_record (entity, entity_id, id),
+  KEY idx_user (user_id)
+);
@@ -0,0 +1,13 @@
+-- Soft delete: DELETE routes set deleted_at, /api/restore clears it.
+-- A client's dependents archived with it share its deleted_at timestamp.
+ALTER TABLE clients         ADD COLUMN deleted_at DATETIME NULL, ADD KEY idx_clients_deleted (deleted_at);
+ALTER TABLE projects        ADD COLUMN deleted_at DATETIME NULL, ADD KEY idx_projects_deleted (deleted_at);
+ALTER TABLE tasks           ADD COLUMN deleted_at DATETIME NULL, ADD KEY idx_tasks_deleted (deleted_at);
+ALTER TABLE renewals        ADD COLUMN deleted_at DATETIME NULL, ADD KEY idx_renewals_deleted (deleted_at);
+ALTER TABLE oneoff_sales    ADD COLUMN deleted_at DATETIME NULL, ADD KEY idx_oneoff_sales_deleted (deleted_at);
+ALTER TABLE recurring_sales ADD COLUMN deleted_at DATETIME NULL, ADD KEY idx_recurring_sales_deleted (deleted_at);
+ALTER TABLE calendar_events ADD COLUMN deleted_at DATETIME NULL, ADD KEY idx_calendar_events_deleted (deleted_at);
+ALTER TABLE xero_exports    ADD COLUMN deleted_at DATETIME NULL, ADD KEY idx_xero_exports_deleted (deleted_at);
+
+ALTER TABLE audit_log
+  MODIFY action ENUM('create','update','delete','archive','restore') NOT NULL;
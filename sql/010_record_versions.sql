@@ -0,0 +1,10 @@
+-- Optimistic concurrency: every write bumps version; PUT/PATCH with If-Match
+-- (or body.version) only apply if it still matches. See api/lib/versions.js.
+ALTER TABLE clients         ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1;
+ALTER TABLE projects        ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1;
+ALTER TABLE tasks           ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1;
+ALTER TABLE renewals        ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1;
+ALTER TABLE oneoff_sales    ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1;
+ALTER TABLE recurring_sales ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1;
+ALTER TABLE calendar_events ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1;
+ALTER TABLE xero_exports    ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1;
@@ -0,0 +1,50 @@
+-- SEO report runs saved by /api/reports/seo, read back by /api/reports/seo-runs.
+-- One row per generated report with its headline numbers.
+CREATE TABLE IF NOT EXISTS seo_reports (
+  id              INT AUTO_INCREMENT PRIMARY KEY,
+  client_id       INT NULL,
+  domain          VARCHAR(255) NOT NULL DEFAULT '',
+  location        VARCHAR(255) NULL,
+  source_file     VARCHAR(255) NULL,
+  periods         JSON NOT NULL,
+  first_period    DATE NOT NULL,
+  latest_period   DATE NOT NULL,
+  keyword_count   INT NOT NULL DEFAULT 0,
+  avg_position    DECIMAL(7,2) NULL,
+  top10           INT NOT NULL DEFAULT 0,
+  total_backlinks INT NOT NULL DEFAULT 0,
+  created_by      INT NULL,
+  created_at      DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_client (client_id, latest_period),
+  KEY idx_domain (domain, latest_period)
+);
+
+-- Keywords of a run in workbook order.
+CREATE TABLE IF NOT EXISTS seo_report_keywords (
+  id         INT AUTO_INCREMENT PRIMARY KEY,
+  report_id  INT NOT NULL,
+  sort_order INT NOT NULL,
+  keyword    VARCHAR(500) NOT NULL,
+  url        VARCHAR(1000) NULL,
+  KEY idx_report (report_id, sort_order)
+);
+
+-- Google position of a keyword on each period date (no row = not ranked).
+CREATE TABLE IF NOT EXISTS seo_report_rankings (
+  report_id   INT NOT NULL,
+  keyword_id  INT NOT NULL,
+  period_date DATE NOT NULL,
+  position    DECIMAL(7,2) NOT NULL,
+  PRIMARY KEY (keyword_id, period_date),
+  KEY idx_report (report_id)
+);
+
+-- Backlink sheets of a run: count per section plus the links themselves.
+CREATE TABLE IF NOT EXISTS seo_report_backlinks (
+  id         INT AUTO_INCREMENT PRIMARY KEY,
+  report_id  INT NOT NULL,
+  section    VARCHAR(100) NOT NULL,
+  total      INT NOT NULL DEFAULT 0,
+  links      JSON NULL,
+  KEY idx_report (report_id)
+);
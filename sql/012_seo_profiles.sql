@@ -0,0 +1,18 @@
+-- Sheet/column mapping profiles for SEO workbooks, see api/lib/seo-profiles.js.
+CREATE TABLE IF NOT EXISTS seo_mapping_profiles (
+  id         INT AUTO_INCREMENT PRIMARY KEY,
+  name       VARCHAR(255) NOT NULL,
+  notes      TEXT NULL,
+  config     JSON NOT NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NULL,
+  KEY idx_name (name)
+);
+
+-- Which profile read a stored run (NULL = the built-in layout), and keyword search volume.
+ALTER TABLE seo_reports
+  ADD COLUMN profile_id INT NULL AFTER client_id;
+
+ALTER TABLE seo_report_keywords
+  ADD COLUMN search_volume INT NULL AFTER url;
@@ -0,0 +1,20 @@
+-- White-label branding for SEO PDFs, see api/lib/seo-brandings.js.
+CREATE TABLE IF NOT EXISTS seo_brandings (
+  id           INT AUTO_INCREMENT PRIMARY KEY,
+  name         VARCHAR(255) NOT NULL,
+  config       JSON NOT NULL,
+  hero_image   MEDIUMBLOB NULL,
+  logo_left    MEDIUMBLOB NULL,
+  logo_right   MEDIUMBLOB NULL,
+  font_regular MEDIUMBLOB NULL,
+  font_bold    MEDIUMBLOB NULL,
+  created_by   INT NULL,
+  created_at   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at   DATETIME NULL,
+  deleted_at   DATETIME NULL,
+  KEY idx_name (name)
+);
+
+-- Branding used for a client's SEO reports unless the request picks another.
+ALTER TABLE clients
+  ADD COLUMN seo_branding_id INT NULL AFTER notes;
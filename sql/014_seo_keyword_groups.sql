@@ -0,0 +1,9 @@
+-- Keyword groups/tags and the visibility score of stored SEO runs.
+ALTER TABLE seo_report_keywords
+  ADD COLUMN keyword_group VARCHAR(100) NULL AFTER search_volume;
+
+-- visibility: % of the clicks the keywords would earn all at #1 (CTR curve in api/lib/seo-metrics.js);
+-- est_traffic: estimated monthly clicks, NULL when the workbook had no search volumes.
+ALTER TABLE seo_reports
+  ADD COLUMN visibility DECIMAL(5,1) NULL AFTER top10,
+  ADD COLUMN est_traffic INT NULL AFTER visibility;
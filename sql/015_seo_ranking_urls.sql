@@ -0,0 +1,3 @@
+-- Page a keyword ranked with on each period date, when the workbook records it.
+ALTER TABLE seo_report_rankings
+  ADD COLUMN url VARCHAR(1000) NULL AFTER position;
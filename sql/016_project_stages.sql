@@ -0,0 +1,35 @@
+-- One row per stage a project enters, see api/lib/project-stages.js.
+CREATE TABLE IF NOT EXISTS project_stage_history (
+  id               INT AUTO_INCREMENT PRIMARY KEY,
+  project_id       INT NOT NULL,
+  from_stage       VARCHAR(30) NULL,
+  stage            VARCHAR(30) NOT NULL,
+  progress_percent TINYINT UNSIGNED NULL,
+  changed_by       INT NULL,
+  changed_at       DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_project (project_id, changed_at)
+);
+
+-- Existing projects start their history in the stage they are in now. When
+-- they entered it is not known; the start date is the closest there is.
+INSERT INTO project_stage_history (project_id, from_stage, stage, progress_percent, changed_at)
+SELECT id, NULL, stage, progress_percent, COALESCE(start_date, NOW())
+FROM projects;
+
+-- Named milestones with a due date and the date they were actually met.
+-- DELETE archives them (deleted_at) like every other entity; see api/lib/archive.js.
+CREATE TABLE IF NOT EXISTS project_milestones (
+  id             INT AUTO_INCREMENT PRIMARY KEY,
+  project_id     INT NOT NULL,
+  title          VARCHAR(255) NOT NULL,
+  due_date       DATE NULL,
+  completed_date DATE NULL,
+  notes          TEXT NULL,
+  created_by     INT NULL,
+  created_at     DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at     DATETIME NULL,
+  version        INT UNSIGNED NOT NULL DEFAULT 1,
+  deleted_at     DATETIME NULL,
+  KEY idx_project (project_id, due_date),
+  KEY idx_project_milestones_deleted (deleted_at)
+);
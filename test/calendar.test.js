@@ -0,0 +1,31 @@
+// test/calendar.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fakePool, request, response } from "./support/fake-db.js";
+import handler from "../api/calendar/index.js";
+
+test("POST creates an event with its client", async () => {
+  const calls = fakePool((sql) => {
+    if (/FROM clients WHERE id = \?/.test(sql)) return [[{ id: 3 }]];
+    if (/INSERT INTO calendar_events/.test(sql)) return [{ insertId: 41, affectedRows: 1 }];
+    return undefined;
+  });
+  const res = response();
+  await handler(request("POST", { body: { title: " Kickoff ", date: "2026-11-02", client_id: 3 } }), res);
+
+  assert.equal(res.statusCode, 201);
+  assert.equal(res.body.event.id, 41);
+  assert.equal(res.body.event.client_id, 3);
+  const insert = calls.find((c) => /INSERT INTO calendar_events/.test(c.sql));
+  assert.deepEqual(insert.params, [3, "Kickoff", "meeting", "2026-11-02", null, null]);
+});
+
+test("POST without a client stores none", async () => {
+  const calls = fakePool();
+  const res = response();
+  await handler(request("POST", { body: { title: "Dentist", date: "2026-11-03", type: "personal" } }), res);
+
+  assert.equal(res.statusCode, 201);
+  const insert = calls.find((c) => /INSERT INTO calendar_events/.test(c.sql));
+  assert.equal(insert.params[0], null);
+});
@@ -0,0 +1,65 @@
+// test/list-date-range.test.js
+//
+// created_at_from/_to on /api/audit (api/lib/list.js date filters) against a
+// DATETIME column: the "to" day counts in full.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fakePool, request, response } from "./support/fake-db.js";
+import { buildFilters } from "../api/lib/list.js";
+import handler from "../api/audit/index.js";
+
+const entries = [
+  { id: 1, entity: "clients", created_at: new Date("2026-03-31T23:59:59") },
+  { id: 2, entity: "clients", created_at: new Date("2026-04-01T00:00:00") },
+  { id: 3, entity: "clients", created_at: new Date("2026-04-30T14:00:00") },
+  { id: 4, entity: "clients", created_at: new Date("2026-05-01T00:00:00") },
+];
+
+const day = (ymd, plus = 0) => {
+  const [y, m, d] = ymd.split("-").map(Number);
+  return new Date(y, m - 1, d + plus);
+};
+
+// Just enough of MySQL to apply the two date-range conditions list.js writes
+function applyWhere(sql, params) {
+  const where = (sql.match(/WHERE (.*?)(ORDER BY|$)/s) || [])[1] || "";
+  const tests = where
+    .split(" AND ")
+    .map((cond) => cond.trim())
+    .filter(Boolean)
+    .map((cond, i) => {
+      const value = params[i];
+      if (cond === "created_at >= ?") return (r) => r.created_at >= day(value);
+      if (cond === "created_at < DATE_ADD(?, INTERVAL 1 DAY)") return (r) => r.created_at < day(value, 1);
+      throw new Error(`unexpected condition: ${cond}`);
+    });
+  return entries.filter((r) => tests.every((t) => t(r)));
+}
+
+test("the _to bound runs to the end of the day", () => {
+  const { where, params } = buildFilters(
+    { filters: { created_at: { type: "date" } } },
+    { created_at_from: "2026-04-01", created_at_to: "2026-04-30" }
+  );
+  assert.deepEqual(where, ["created_at >= ?", "created_at < DATE_ADD(?, INTERVAL 1 DAY)"]);
+  assert.deepEqual(params, ["2026-04-01", "2026-04-30"]);
+});
+
+test("an audit entry at 14:00 on the to date is listed", async () => {
+  fakePool((sql, params) => {
+    if (/FROM audit_log/.test(sql)) {
+      const rows = applyWhere(sql, params);
+      return /COUNT\(\*\)/.test(sql) ? [[{ total: rows.length }]] : [rows];
+    }
+    return undefined;
+  });
+  const res = response();
+  await handler(
+    request("GET", { query: { created_at_from: "2026-04-01", created_at_to: "2026-04-30" } }),
+    res
+  );
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.total, 2);
+  assert.deepEqual(res.body.data.map((r) => r.id), [2, 3]);
+});
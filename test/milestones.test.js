@@ -0,0 +1,47 @@
+// test/milestones.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fakePool, request, response } from "./support/fake-db.js";
+import handler from "../api/projects/milestones.js";
+import restore from "../api/restore/index.js";
+
+const MILESTONE = { id: 5, project_id: 2, title: "Launch", due_date: "2026-11-01", completed_date: null, deleted_at: null };
+const NOW = "2026-10-19 10:00:00";
+
+test("DELETE archives the milestone instead of removing it", async () => {
+  const calls = fakePool((sql) => {
+    if (/FROM project_milestones WHERE id = \?/.test(sql)) return [[MILESTONE]];
+    if (/SELECT NOW\(\) AS ts/.test(sql)) return [[{ ts: NOW }]];
+    return undefined;
+  });
+  const res = response();
+  await handler(request("DELETE", { body: { id: 5 } }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.id, 5);
+  assert.ok(!calls.some((c) => /^\s*DELETE/i.test(c.sql)));
+  const archive = calls.find((c) => /UPDATE project_milestones SET deleted_at = \?/.test(c.sql));
+  assert.deepEqual(archive.params, [NOW, 5]);
+});
+
+test("an archived milestone can be restored", async () => {
+  const calls = fakePool((sql) => {
+    if (/FROM project_milestones WHERE id = \?/.test(sql)) return [[{ ...MILESTONE, deleted_at: NOW }]];
+    return undefined;
+  });
+  const res = response();
+  await restore(request("POST", { body: { entity: "project_milestones", id: 5 } }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.ok(calls.some((c) => /UPDATE project_milestones SET deleted_at = NULL/.test(c.sql)));
+});
+
+test("lists leave archived milestones out unless asked", async () => {
+  const calls = fakePool();
+  await handler(request("GET", { query: { project_id: "2" } }), response());
+  await handler(request("GET", { query: { project_id: "2", archived: "only" } }), response());
+
+  const lists = calls.filter((c) => /FROM project_milestones m/.test(c.sql));
+  assert.match(lists[0].sql, /m\.deleted_at IS NULL/);
+  assert.match(lists[1].sql, /m\.deleted_at IS NOT NULL/);
+});
@@ -0,0 +1,32 @@
+// test/renewals.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fakePool, request, response } from "./support/fake-db.js";
+import handler from "../api/renewals/index.js";
+
+const stored = { id: 5, renewal_term: "monthly", version: 2, deleted_at: null };
+const answer = (sql) => {
+  if (/SELECT \* FROM renewals WHERE id = \?/.test(sql)) return [[stored]];
+  return undefined;
+};
+
+test("POST without a term creates a yearly renewal", async () => {
+  const calls = fakePool(answer);
+  const res = response();
+  await handler(request("POST", { body: { item_label: "example.co.nz", renewal_date: "2027-01-10" } }), res);
+
+  assert.equal(res.statusCode, 201);
+  const insert = calls.find((c) => /INSERT INTO renewals/.test(c.sql));
+  assert.equal(insert.params[5], "1y");
+});
+
+test("PUT without a term keeps the stored one", async () => {
+  const calls = fakePool(answer);
+  const res = response();
+  await handler(request("PUT", { body: { id: 5, item_label: "example.co.nz", renewal_date: "2027-01-10" } }), res);
+
+  assert.equal(res.statusCode, 200);
+  const update = calls.find((c) => /UPDATE renewals/.test(c.sql));
+  assert.match(update.sql, /renewal_term = COALESCE\(\?, renewal_term\)/);
+  assert.equal(update.params[5], null);
+});
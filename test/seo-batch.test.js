@@ -0,0 +1,55 @@
+// test/seo-batch.test.js
+//
+// Batch SEO reports (api/lib/seo-batch.js): one report per file in the zip,
+// and a manifest of what worked and what failed.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import JSZip from "jszip";
+import { fakePool, request, response } from "./support/fake-db.js";
+import { sendSeoBatch } from "../api/lib/seo-batch.js";
+
+const rankingCsv = (domain) =>
+  Buffer.from(
+    [
+      [domain, "", ""].join(","),
+      ["Keyword", "2024-06-01", "2024-07-01"].join(","),
+      ["web design auckland", 8, 4].join(","),
+      ["seo agency", 12, 9].join(",")
+    ].join("\n") + "\n"
+  );
+
+const item = (name, data) => ({ name, read: async () => data });
+
+test("a zip with a report per file and a manifest", async () => {
+  fakePool((sql) => {
+    if (/FROM clients WHERE deleted_at IS NULL/.test(sql)) return [[{ id: 4, website: "https://www.acme.co.nz/", seo_branding_id: null }]];
+    return undefined;
+  });
+  const res = response();
+  const items = [
+    item("acme-Ranking.csv", rankingCsv("acme.co.nz")),
+    item("notes.txt", Buffer.from("not a workbook")),
+    item("other-Ranking.csv", rankingCsv("other.com"))
+  ];
+  await sendSeoBatch(request("POST"), res, items, { profile: null, candidates: [], clientId: null, brandingId: null, format: "json" });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers["content-type"], "application/zip");
+  const zip = await JSZip.loadAsync(res.body);
+  const manifest = JSON.parse(await zip.file("manifest.json").async("string"));
+  assert.deepEqual([manifest.total, manifest.succeeded, manifest.failed], [3, 2, 1]);
+  assert.deepEqual(manifest.files.map((f) => f.output || null), ["SEO-Report-acme.co.nz.json", null, "SEO-Report-other.com.json"]);
+  assert.equal(manifest.files[0].client_id, 4);
+  assert.equal(manifest.files[2].client_id, null);
+  assert.match(manifest.files[1].error, /not an \.xlsx, \.csv or \.zip file/);
+  assert.ok(zip.file("SEO-Report-acme.co.nz.json"));
+});
+
+test("no report at all is a 400 with the manifest", async () => {
+  fakePool();
+  const res = response();
+  await sendSeoBatch(request("POST"), res, [item("notes.txt", Buffer.from("x"))], { profile: null, candidates: [], clientId: null, brandingId: null, format: "json" });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.failed, 1);
+});
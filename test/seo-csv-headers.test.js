@@ -0,0 +1,76 @@
+// test/seo-csv-headers.test.js
+//
+// Date headers of ranking CSVs (api/lib/seo-parse.js). CSV cells arrive as text,
+// and NZ exports write dates day first.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseHeaderDate, parseSeoWorkbook } from "../api/lib/seo-parse.js";
+
+const ymd = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+
+const rankingCsv = (headers) =>
+  Buffer.from(
+    [
+      ["Keyword", ...headers].join(","),
+      ["web design auckland", 8, 6, 4].join(","),
+      ["seo agency", 12, 11, 9].join(",")
+    ].join("\n") + "\n"
+  );
+
+const periodDates = async (headers) => {
+  const parsed = await parseSeoWorkbook(rankingCsv(headers), "Ranking.csv");
+  return parsed.periods.map((p) => ymd(p.date));
+};
+
+test("day-first headers, including days over 12", async () => {
+  assert.deepEqual(await periodDates(["13/05/2024", "01/06/2024", "15/07/2024"]), [
+    "2024-05-13",
+    "2024-06-01",
+    "2024-07-15"
+  ]);
+});
+
+test("dashes, dots and two-digit years are day first too", async () => {
+  assert.deepEqual(await periodDates(["01-06-2024", "1.7.2024", "1/8/24"]), [
+    "2024-06-01",
+    "2024-07-01",
+    "2024-08-01"
+  ]);
+});
+
+test("ISO headers", async () => {
+  assert.deepEqual(await periodDates(["2024-06-01", "2024-07-01", "2024-08-01"]), [
+    "2024-06-01",
+    "2024-07-01",
+    "2024-08-01"
+  ]);
+});
+
+test("month-name headers", async () => {
+  assert.deepEqual(await periodDates(["1 Jul 2025", "1 Aug-25", "1 Sept-25"]), [
+    "2025-07-01",
+    "2025-08-01",
+    "2025-09-01"
+  ]);
+});
+
+test("the latest two periods are the ones compared", async () => {
+  const parsed = await parseSeoWorkbook(rankingCsv(["13/05/2024", "01/06/2024", "15/07/2024"]), "Ranking.csv");
+  assert.equal(ymd(parsed.latest.date), "2024-07-15");
+  assert.equal(ymd(parsed.previous.date), "2024-06-01");
+  assert.deepEqual(parsed.keywords[0].history, [8, 6, 4]);
+});
+
+test("impossible dates are not headers", () => {
+  assert.equal(parseHeaderDate("31/02/2024"), null);
+  assert.equal(parseHeaderDate("13/13/2024"), null);
+  assert.equal(parseHeaderDate("Keyword"), null);
+});
+
+test("two columns with the same date are rejected", async () => {
+  await assert.rejects(
+    parseSeoWorkbook(rankingCsv(["01/06/2024", "15/07/2024", "15/07/2024"]), "Ranking.csv"),
+    /Columns C and D of sheet 'Ranking' are both dated 15\/07\/2024/
+  );
+});
@@ -0,0 +1,32 @@
+// test/seo-link-status.test.js
+//
+// Backlink status cells (api/lib/seo-metrics.js) mapped onto Live / Pending / Removed.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { linkStatus } from "../api/lib/seo-metrics.js";
+
+const expectStatus = (status, values) => {
+  for (const value of values) assert.equal(linkStatus(value), status, `"${value}"`);
+};
+
+test("plain statuses", () => {
+  expectStatus("Live", ["Live", "live", "Indexed", "OK", "200", "Published", "Done"]);
+  expectStatus("Pending", ["Pending", "Submitted", "In progress", "Awaiting approval"]);
+  expectStatus("Removed", ["Removed", "Deleted", "404", "Not found", "Lost"]);
+});
+
+test("negated statuses are not Live", () => {
+  expectStatus("Removed", ["Not live", "not LIVE", "Not OK", "no longer live", "Not active", "Deindexed"]);
+  expectStatus("Pending", ["not indexed", "Not yet live", "unindexed"]);
+});
+
+test("mixed statuses go by the removal or wait, not the old state", () => {
+  expectStatus("Removed", ["removed (was live)", "Live - now 404", "lost, was indexed"]);
+  expectStatus("Pending", ["submitted, live soon"]);
+});
+
+test("blank and unrecognised statuses", () => {
+  assert.equal(linkStatus(""), "Unknown");
+  assert.equal(linkStatus(null), "Unknown");
+  assert.equal(linkStatus("  NOFOLLOW "), "Nofollow");
+});
@@ -0,0 +1,40 @@
+// test/seo-profiles.test.js
+//
+// location_pattern checks in api/lib/seo-profiles.js: patterns that don't
+// compile, are too long or could backtrack catastrophically are refused on save.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateProfileConfig, locationPatternProblem, MAX_LOCATION_PATTERN } from "../api/lib/seo-profiles.js";
+import { ValidationError } from "../api/lib/validate.js";
+
+const rejects = (pattern) => {
+  assert.throws(
+    () => validateProfileConfig({ location_pattern: pattern }),
+    (err) => err instanceof ValidationError && err.errors.some((e) => e.field === "config.location_pattern"),
+    JSON.stringify(pattern)
+  );
+};
+
+test("ordinary location patterns are kept", () => {
+  for (const pattern of ["new zealand|australia", "(auckland|wellington),? nz", "united (states|kingdom)", "[a-z]+ region", "nz{1,2}"]) {
+    assert.equal(locationPatternProblem(pattern), null, pattern);
+    assert.equal(validateProfileConfig({ location_pattern: pattern }).location_pattern, pattern);
+  }
+});
+
+test("patterns that don't compile or are too long are refused", () => {
+  rejects("new (zealand");
+  rejects("   ");
+  rejects("a".repeat(MAX_LOCATION_PATTERN + 1));
+});
+
+test("catastrophic backtracking shapes are refused", () => {
+  for (const pattern of ["(a+)+$", "(a*)*b", "(a|aa)+", "((ab)*)+", "(?:x+){2,}", "(a)\\1", "(?<n>a)\\k<n>"]) {
+    rejects(pattern);
+  }
+});
+
+test("escaped and bracketed quantifier characters are not mistaken for quantifiers", () => {
+  assert.equal(locationPatternProblem("(\\+64)+"), null);
+  assert.equal(locationPatternProblem("([+*|])+"), null);
+});
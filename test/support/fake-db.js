@@ -0,0 +1,73 @@
+// test/support/fake-db.js
+//
+// Runs route handlers without MySQL: the shared pool's query() is swapped for
+// a recorder that answers from `respond(sql, params)`, and requests carry a
+// real signed token for a user the fake pool knows.
+import { getPool } from "../../api/lib/db.js";
+import { signToken } from "../../api/lib/auth.js";
+
+process.env.AUTH_SECRET = process.env.AUTH_SECRET || "test-secret";
+
+export const STAFF_USER = { id: 7, email: "staff@example.com", name: "Staff", role: "staff", active: 1 };
+
+/**
+ * Point the pool at `respond`; returns the list of { sql, params } it receives.
+ * respond may return undefined for statements the test doesn't care about.
+ */
+export function fakePool(respond = () => undefined) {
+  const pool = getPool();
+  const calls = [];
+  const query = async (sql, params = []) => {
+    calls.push({ sql, params });
+    if (/FROM users WHERE id = \?/.test(sql)) return [[STAFF_USER]];
+    const answer = await respond(sql, params);
+    if (answer !== undefined) return answer;
+    return /^\s*(INSERT|UPDATE|DELETE)/i.test(sql) ? [{ insertId: 1, affectedRows: 1 }] : [[]];
+  };
+  pool.query = query;
+  pool.getConnection = async () => ({
+    query,
+    beginTransaction: async () => {},
+    commit: async () => {},
+    rollback: async () => {},
+    release: () => {},
+  });
+  return calls;
+}
+
+export function request(method, { body, query = {}, user = STAFF_USER } = {}) {
+  return {
+    method,
+    body,
+    query,
+    headers: { authorization: `Bearer ${signToken(user)}` },
+  };
+}
+
+export function response() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      return res;
+    },
+    end(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+}